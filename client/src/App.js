@@ -6,6 +6,7 @@ import { AuthProvider } from './contexts/AuthContext';
 import Login from './components/auth/Login';
 import ChatUI from './components/ChatUI';
 import AdminPanel from './components/AdminPanel';
+import KnowledgeBrowser from './components/KnowledgeBrowser';
 import ProtectedRoute from './components/auth/ProtectedRoute';
 import Navbar from './components/layout/Navbar';
 import { Box } from '@mui/material';
@@ -81,6 +82,19 @@ function App() {
               </ProtectedRoute>
             } />
             
+            {['/kb', '/kb/:id'].map(path => (
+              <Route key={path} path={path} element={
+                <ProtectedRoute>
+                  <>
+                    <Navbar />
+                    <Box sx={{ mt: 2 }}>
+                      <KnowledgeBrowser />
+                    </Box>
+                  </>
+                </ProtectedRoute>
+              } />
+            ))}
+            
             <Route path="/admin" element={
               <ProtectedRoute allowedRoles={['admin', 'hr']}>
                 <>
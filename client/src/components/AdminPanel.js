@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   Box, Container, Typography, Paper, Button,
   TextField, Select, MenuItem, FormControl,
@@ -7,7 +7,7 @@ import {
   Dialog, DialogTitle, DialogContent,
   DialogActions, Alert, Snackbar,
   Chip, IconButton, Tab, Tabs,
-  CircularProgress
+  CircularProgress, LinearProgress
 } from '@mui/material';
 import {
   Upload as UploadIcon,
@@ -18,10 +18,35 @@ import {
   People as PeopleIcon,
   Block as BlockIcon,
   CheckCircle as ActiveIcon,
-  Refresh as RefreshIcon
+  Refresh as RefreshIcon,
+  Restore as RestoreIcon,
+  History as HistoryIcon
 } from '@mui/icons-material';
 import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
+import SafeMarkdown from './SafeMarkdown';
+
+// Files dropped on the upload dialog, with their paths inside any dropped
+// folders. Directory readers return entries in batches until one is empty.
+const readDroppedEntry = async (entry, parentPath = '') => {
+  const entryPath = parentPath ? `${parentPath}/${entry.name}` : entry.name;
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [{ file, path: entryPath }];
+  }
+
+  const reader = entry.createReader();
+  const children = [];
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) break;
+    children.push(...batch);
+  }
+  const nested = await Promise.all(children.map(child => readDroppedEntry(child, entryPath)));
+  return nested.flat();
+};
+
+const isZipFile = (file) => /\.zip$/i.test(file.name);
 
 const AdminPanel = () => {
   const { user: currentUser, isAdmin, isHR } = useAuth();
@@ -30,19 +55,65 @@ const AdminPanel = () => {
   const [openUpload, setOpenUpload] = useState(false);
   const [openQA, setOpenQA] = useState(false);
   const [openUserDialog, setOpenUserDialog] = useState(false);
-  const [selectedFile, setSelectedFile] = useState(null);
+  // Each { file, path }, the path including any folders the file came from
+  const [selectedFiles, setSelectedFiles] = useState([]);
   const [uploading, setUploading] = useState(false);
+  const [dragActive, setDragActive] = useState(false);
+  const [uploadReport, setUploadReport] = useState(null);
+  // Upload job waiting for a decision on likely duplicates
+  const [duplicateReviewJob, setDuplicateReviewJob] = useState(null);
+  // Revision history dialog: the document, its revisions and the compared pair
+  const [revisionDoc, setRevisionDoc] = useState(null);
+  const [revisions, setRevisions] = useState([]);
+  const [revisionCompare, setRevisionCompare] = useState({ from: '', to: '' });
+  const [revisionDiff, setRevisionDiff] = useState(null);
   const [loadingUsers, setLoadingUsers] = useState(false);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
   const [activeTab, setActiveTab] = useState(0);
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedUser, setSelectedUser] = useState(null);
+  const [glossaryTerms, setGlossaryTerms] = useState([]);
+  const [openGlossaryDialog, setOpenGlossaryDialog] = useState(false);
+  const [editingTerm, setEditingTerm] = useState(null);
+  const [promptTemplates, setPromptTemplates] = useState([]);
+  const [promptSelection, setPromptSelection] = useState({ name: 'answer', role: 'default' });
+  const [promptDraft, setPromptDraft] = useState({ content: '', note: '' });
+  const [promptVersions, setPromptVersions] = useState([]);
+  const [previewForm, setPreviewForm] = useState({ question: '', userName: '', department: '' });
+  const [previewResult, setPreviewResult] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [securityFlags, setSecurityFlags] = useState([]);
+  const [securityStats, setSecurityStats] = useState(null);
+  const [flagStatusFilter, setFlagStatusFilter] = useState('open');
+  const [jobs, setJobs] = useState([]);
+  const [gaps, setGaps] = useState([]);
+  const [gapStats, setGapStats] = useState(null);
+  const [gapStatusFilter, setGapStatusFilter] = useState('open');
+  const [quarantinedDocuments, setQuarantinedDocuments] = useState([]);
+  const [usage, setUsage] = useState(null);
+  const [usageQuotas, setUsageQuotas] = useState([]);
+  const [modelSettings, setModelSettings] = useState(null);
+  const [taskDrafts, setTaskDrafts] = useState({});
+  const [experiments, setExperiments] = useState([]);
+  const [experimentForm, setExperimentForm] = useState(null);
+  const [experimentResults, setExperimentResults] = useState(null);
+  const [quotaForm, setQuotaForm] = useState({
+    scope: 'role',
+    role: 'employee',
+    userEmail: '',
+    dailyTokens: '',
+    monthlyTokens: '',
+    note: ''
+  });
   
   // Upload form state
   const [uploadForm, setUploadForm] = useState({
     title: '',
     category: 'general',
-    tags: ''
+    tags: '',
+    departments: '',
+    offices: '',
+    duplicateAction: 'review'
   });
   
   // QA form state
@@ -52,6 +123,13 @@ const AdminPanel = () => {
     category: 'general'
   });
 
+  // Glossary form state
+  const [glossaryForm, setGlossaryForm] = useState({
+    term: '',
+    synonyms: '',
+    definition: ''
+  });
+
   // User form state
   const [userForm, setUserForm] = useState({
     name: '',
@@ -60,6 +138,7 @@ const AdminPanel = () => {
     role: 'employee',
     department: '',
     position: '',
+    office: '',
     employeeId: ''
   });
 
@@ -85,8 +164,12 @@ const AdminPanel = () => {
     }
   }, []);
 
+  const showSnackbar = useCallback((message, severity) => {
+    setSnackbar({ open: true, message, severity });
+  }, []);
+
   // Fetch documents
-  const fetchDocuments = async () => {
+  const fetchDocuments = useCallback(async () => {
     try {
       const response = await axios.get('/admin/documents', {
         params: { search: searchQuery }
@@ -100,10 +183,10 @@ const AdminPanel = () => {
         showSnackbar('Error fetching documents', 'error');
       }
     }
-  };
+  }, [searchQuery, showSnackbar]);
 
   // Fetch users
-  const fetchUsers = async () => {
+  const fetchUsers = useCallback(async () => {
     if (!isAdmin && !isHR) return;
     
     try {
@@ -117,50 +200,312 @@ const AdminPanel = () => {
     } finally {
       setLoadingUsers(false);
     }
+  }, [isAdmin, isHR]);
+
+  // Fetch glossary
+  const fetchGlossary = useCallback(async () => {
+    try {
+      const response = await axios.get('/admin/glossary', {
+        params: { search: searchQuery }
+      });
+      setGlossaryTerms(response.data.terms);
+    } catch (error) {
+      showSnackbar('Error fetching glossary', 'error');
+    }
+  }, [searchQuery, showSnackbar]);
+
+  // Fetch prompt templates
+  const fetchPromptTemplates = useCallback(async () => {
+    try {
+      const response = await axios.get('/admin/prompts');
+      setPromptTemplates(response.data.templates);
+    } catch (error) {
+      showSnackbar('Error fetching prompt templates', 'error');
+    }
+  }, [showSnackbar]);
+
+  const fetchPromptVersions = useCallback(async () => {
+    try {
+      const response = await axios.get(`/admin/prompts/${promptSelection.name}/versions`, {
+        params: { role: promptSelection.role }
+      });
+      setPromptVersions(response.data.versions);
+    } catch (error) {
+      showSnackbar('Error fetching prompt versions', 'error');
+    }
+  }, [promptSelection, showSnackbar]);
+
+  const getSelectedPrompt = useCallback(
+    () => promptTemplates.find(t => t.name === promptSelection.name),
+    [promptTemplates, promptSelection.name]
+  );
+
+  const getSelectedPromptRole = useCallback(
+    () => getSelectedPrompt()?.roles.find(r => r.role === promptSelection.role),
+    [getSelectedPrompt, promptSelection.role]
+  );
+
+  // Load the selected template into the editor with its history
+  useEffect(() => {
+    if (activeTab !== 7) return;
+    const roleTemplate = getSelectedPromptRole();
+    setPromptDraft({ content: roleTemplate?.content || '', note: '' });
+    setPreviewResult(null);
+    fetchPromptVersions();
+  }, [activeTab, getSelectedPromptRole, fetchPromptVersions]);
+
+  // Fetch recent ingestion jobs
+  const fetchJobs = useCallback(async () => {
+    try {
+      const response = await axios.get('/admin/jobs', { params: { limit: 10 } });
+      setJobs(response.data.jobs);
+    } catch (error) {
+      showSnackbar('Error fetching ingestion jobs', 'error');
+    }
+  }, [showSnackbar]);
+
+  // Reload documents when a job finishes
+  const previousJobs = useRef([]);
+  useEffect(() => {
+    const finished = jobs.some(job => job.status === 'completed' &&
+      previousJobs.current.some(old => old._id === job._id && old.status !== 'completed'));
+    previousJobs.current = jobs;
+    if (finished) fetchDocuments();
+  }, [jobs, fetchDocuments]);
+
+  // Poll while a job is queued or running
+  useEffect(() => {
+    if (activeTab >= 5 || !jobs.some(job => job.status === 'queued' || job.status === 'running')) return;
+    const timer = setTimeout(fetchJobs, 2000);
+    return () => clearTimeout(timer);
+  }, [jobs, activeTab, fetchJobs]);
+
+  const handleResolveDuplicates = async (action, documentId) => {
+    try {
+      await axios.post(`/admin/jobs/${duplicateReviewJob._id}/duplicates`, { action, documentId });
+      setDuplicateReviewJob(null);
+      fetchJobs();
+    } catch (error) {
+      showSnackbar(error.response?.data?.error || 'Failed to resolve duplicates', 'error');
+    }
+  };
+
+  const handleRetryJob = async (id) => {
+    try {
+      await axios.post(`/admin/jobs/${id}/retry`);
+      fetchJobs();
+    } catch (error) {
+      showSnackbar(error.response?.data?.error || 'Failed to retry job', 'error');
+    }
+  };
+
+  const handleRemoveJob = async (job) => {
+    if (job.status !== 'completed' &&
+        !window.confirm('Remove this job? The partly processed document is deleted with it.')) return;
+
+    try {
+      await axios.delete(`/admin/jobs/${job._id}`);
+      fetchJobs();
+      fetchDocuments();
+    } catch (error) {
+      showSnackbar(error.response?.data?.error || 'Failed to remove job', 'error');
+    }
   };
 
+  // Fetch clusters of questions the bot could not answer
+  const fetchGaps = useCallback(async () => {
+    try {
+      const response = await axios.get('/admin/knowledge-gaps', { params: { status: gapStatusFilter } });
+      setGaps(response.data.gaps);
+      setGapStats(response.data.stats);
+    } catch (error) {
+      showSnackbar('Error fetching knowledge gaps', 'error');
+    }
+  }, [gapStatusFilter, showSnackbar]);
+
+  // Fetch injection flags and quarantined documents
+  const fetchSecurity = useCallback(async () => {
+    try {
+      const [flagsResponse, quarantineResponse] = await Promise.all([
+        axios.get('/admin/security/flags', { params: { status: flagStatusFilter } }),
+        axios.get('/admin/security/quarantine')
+      ]);
+      setSecurityFlags(flagsResponse.data.flags);
+      setSecurityStats(flagsResponse.data.stats);
+      setQuarantinedDocuments(quarantineResponse.data.documents);
+    } catch (error) {
+      showSnackbar('Error fetching security review data', 'error');
+    }
+  }, [flagStatusFilter, showSnackbar]);
+
+  // Fetch token usage rollups and quotas
+  const fetchUsage = useCallback(async () => {
+    try {
+      const [usageResponse, quotasResponse] = await Promise.all([
+        axios.get('/admin/usage'),
+        axios.get('/admin/usage/quotas')
+      ]);
+      setUsage(usageResponse.data.usage);
+      setUsageQuotas(quotasResponse.data.quotas);
+    } catch (error) {
+      showSnackbar('Error fetching token usage', 'error');
+    }
+  }, [showSnackbar]);
+
+  // Fetch per-task model settings
+  const fetchModelSettings = useCallback(async () => {
+    try {
+      const response = await axios.get('/admin/model-settings');
+      setModelSettings(response.data);
+      setTaskDrafts(Object.fromEntries(response.data.tasks.map(({ task, saved }) => [task, { ...saved }])));
+    } catch (error) {
+      showSnackbar('Error fetching model settings', 'error');
+    }
+  }, [showSnackbar]);
+
+  const fetchExperiments = useCallback(async () => {
+    try {
+      const response = await axios.get('/admin/experiments');
+      setExperiments(response.data.experiments);
+    } catch (error) {
+      showSnackbar('Error fetching experiments', 'error');
+    }
+  }, [showSnackbar]);
+
   useEffect(() => {
     fetchDocuments();
+    if (activeTab < 5) {
+      fetchJobs();
+    }
     if (activeTab === 5) {
       fetchUsers();
     }
-  }, [searchQuery, activeTab]);
+    if (activeTab === 6) {
+      fetchGlossary();
+    }
+    if (activeTab === 7) {
+      fetchPromptTemplates();
+    }
+    if (activeTab === 8) {
+      fetchGaps();
+    }
+    if (activeTab === 9 && isAdmin) {
+      fetchSecurity();
+    }
+    if (activeTab === 10 && isAdmin) {
+      fetchUsage();
+    }
+    if (activeTab === 11 && isAdmin) {
+      fetchModelSettings();
+      fetchExperiments();
+    }
+  }, [
+    activeTab, isAdmin, fetchDocuments, fetchJobs, fetchUsers, fetchGlossary, fetchPromptTemplates,
+    fetchGaps, fetchSecurity, fetchUsage, fetchModelSettings, fetchExperiments
+  ]);
 
-  const handleFileSelect = (event) => {
-    setSelectedFile(event.target.files[0]);
-    if (!uploadForm.title && event.target.files[0]) {
+  const addSelectedFiles = (entries) => {
+    if (entries.length === 0) return;
+    const next = [...selectedFiles, ...entries.filter(entry => !selectedFiles.some(s => s.path === entry.path))];
+    setUploadReport(null);
+    setSelectedFiles(next);
+    if (!uploadForm.title && next.length === 1) {
       setUploadForm(prev => ({
         ...prev,
-        title: event.target.files[0].name.replace(/\.[^/.]+$/, "")
+        title: next[0].file.name.replace(/\.[^/.]+$/, "")
       }));
     }
   };
 
+  // Files and folders picked with the file inputs
+  const handleFileSelect = (event) => {
+    addSelectedFiles(Array.from(event.target.files).map(file => ({
+      file,
+      path: file.webkitRelativePath || file.name
+    })));
+    event.target.value = '';
+  };
+
+  const handleDrop = async (event) => {
+    event.preventDefault();
+    setDragActive(false);
+
+    // Entries have to be taken before the drop event is over
+    const entries = Array.from(event.dataTransfer.items || [])
+      .map(item => item.webkitGetAsEntry?.())
+      .filter(Boolean);
+
+    try {
+      if (entries.length > 0) {
+        const nested = await Promise.all(entries.map(entry => readDroppedEntry(entry)));
+        addSelectedFiles(nested.flat());
+      } else {
+        addSelectedFiles(Array.from(event.dataTransfer.files).map(file => ({ file, path: file.name })));
+      }
+    } catch (error) {
+      showSnackbar('Could not read the dropped files: ' + error.message, 'error');
+    }
+  };
+
+  const closeUploadDialog = () => {
+    setOpenUpload(false);
+    setSelectedFiles([]);
+    setUploadReport(null);
+  };
+
+  // One document goes through the single upload with its own title; several
+  // files, folders and ZIP archives go through the bulk upload
+  const isBulkUpload = selectedFiles.length > 1 || selectedFiles.some(({ file }) => isZipFile(file));
+
+  // Build an access policy from comma separated department and office lists
+  const buildAccessPolicy = ({ departments, offices }) => {
+    const toValues = (text) => text.split(',').map(v => v.trim()).filter(Boolean);
+    const rules = [];
+    if (toValues(departments).length > 0) {
+      rules.push({ attribute: 'department', operator: 'in', values: toValues(departments) });
+    }
+    if (toValues(offices).length > 0) {
+      rules.push({ attribute: 'office', operator: 'in', values: toValues(offices) });
+    }
+    return { rules };
+  };
+
   const handleUpload = async () => {
-    if (!selectedFile) {
+    if (selectedFiles.length === 0) {
       showSnackbar('Please select a file', 'error');
       return;
     }
 
     setUploading(true);
     const formData = new FormData();
-    formData.append('document', selectedFile);
-    formData.append('title', uploadForm.title);
+    if (isBulkUpload) {
+      selectedFiles.forEach(({ file, path }) => formData.append('documents', file, path));
+    } else {
+      formData.append('document', selectedFiles[0].file);
+      formData.append('title', uploadForm.title);
+    }
     formData.append('category', uploadForm.category);
     formData.append('tags', uploadForm.tags);
+    formData.append('accessPolicy', JSON.stringify(buildAccessPolicy(uploadForm)));
+    formData.append('duplicateAction', uploadForm.duplicateAction);
 
     try {
-      const response = await axios.post('/admin/upload', formData, {
+      const response = await axios.post(isBulkUpload ? '/admin/upload/bulk' : '/admin/upload', formData, {
         headers: { 'Content-Type': 'multipart/form-data' }
       });
       
-      showSnackbar('Document uploaded successfully', 'success');
-      setOpenUpload(false);
-      setSelectedFile(null);
-      setUploadForm({ title: '', category: 'general', tags: '' });
-      fetchDocuments();
+      showSnackbar(response.data.message, response.data.summary?.failed ? 'warning' : 'success');
+      setSelectedFiles([]);
+      setUploadForm({ title: '', category: 'general', tags: '', departments: '', offices: '', duplicateAction: 'review' });
+      // Keep the dialog open on the per-file report of a bulk upload
+      if (response.data.results) {
+        setUploadReport(response.data);
+      } else {
+        setOpenUpload(false);
+      }
+      fetchJobs();
     } catch (error) {
-      showSnackbar('Upload failed: ' + error.message, 'error');
+      showSnackbar('Upload failed: ' + (error.response?.data?.error || error.message), 'error');
     } finally {
       setUploading(false);
     }
@@ -173,16 +518,86 @@ const AdminPanel = () => {
     }
 
     try {
-      await axios.post('/admin/qa', qaForm);
-      showSnackbar('Q&A added successfully', 'success');
+      const { gap, ...qa } = qaForm;
+      const response = await axios.post('/admin/qa', qa);
+      const duplicates = response.data.duplicates || [];
+      if (duplicates.length > 0) {
+        showSnackbar(`Q&A added, but it is similar to ${duplicates.map(d => `"${d.title}" (${Math.round(d.similarity * 100)}%)`).join(', ')}`, 'warning');
+      } else {
+        showSnackbar(qaForm.gapId ? 'Q&A added and gap resolved' : 'Q&A added successfully', 'success');
+      }
       setOpenQA(false);
       setQaForm({ question: '', answer: '', category: 'general' });
       fetchDocuments();
+      if (qaForm.gapId) fetchGaps();
     } catch (error) {
       showSnackbar('Failed to add Q&A', 'error');
     }
   };
 
+  // Answer a gap cluster with a new Q&A entry
+  const handleAnswerGap = (gap) => {
+    setQaForm({ question: gap.question, answer: '', category: 'general', gapId: gap._id, gap });
+    setOpenQA(true);
+  };
+
+  const handleUpdateGap = async (id, status) => {
+    try {
+      await axios.put(`/admin/knowledge-gaps/${id}`, { status });
+      fetchGaps();
+    } catch (error) {
+      showSnackbar('Failed to update knowledge gap', 'error');
+    }
+  };
+
+  const fetchRevisionDiff = async (docId, from, to) => {
+    setRevisionCompare({ from, to });
+    try {
+      const response = await axios.get(`/admin/documents/${docId}/revisions/diff`, { params: { from, to } });
+      setRevisionDiff(response.data.diff);
+    } catch (error) {
+      setRevisionDiff(null);
+      showSnackbar(error.response?.data?.error || 'Error comparing revisions', 'error');
+    }
+  };
+
+  // Opens on the latest change: the current revision against the one before
+  const fetchRevisions = async (doc) => {
+    try {
+      const response = await axios.get(`/admin/documents/${doc._id}/revisions`);
+      const list = response.data.revisions;
+      setRevisions(list);
+      if (list.length > 1) {
+        fetchRevisionDiff(doc._id, list[1].revision, list[0].revision);
+      } else {
+        setRevisionCompare({ from: '', to: '' });
+        setRevisionDiff(null);
+      }
+    } catch (error) {
+      showSnackbar('Error fetching revisions', 'error');
+    }
+  };
+
+  const handleOpenRevisions = (doc) => {
+    setRevisionDoc(doc);
+    setRevisions([]);
+    setRevisionDiff(null);
+    fetchRevisions(doc);
+  };
+
+  const handleRestoreRevision = async (revision) => {
+    if (!window.confirm(`Restore revision ${revision}? The current text is kept in the history.`)) return;
+
+    try {
+      const response = await axios.post(`/admin/documents/${revisionDoc._id}/revisions/${revision}/restore`);
+      showSnackbar(response.data.message, 'success');
+      fetchRevisions(revisionDoc);
+      fetchDocuments();
+    } catch (error) {
+      showSnackbar(error.response?.data?.error || 'Restore failed', 'error');
+    }
+  };
+
   const handleDelete = async (id) => {
     if (!window.confirm('Are you sure you want to delete this document?')) return;
 
@@ -195,6 +610,244 @@ const AdminPanel = () => {
     }
   };
 
+  const handleReviewFlag = async (id, status) => {
+    try {
+      await axios.put(`/admin/security/flags/${id}`, { status });
+      fetchSecurity();
+    } catch (error) {
+      showSnackbar('Failed to update flag', 'error');
+    }
+  };
+
+  const handleReleaseDocument = async (id) => {
+    if (!window.confirm('Release this document? It will be used to answer questions again.')) return;
+
+    try {
+      await axios.post(`/admin/security/quarantine/${id}/release`);
+      showSnackbar('Document released', 'success');
+      fetchSecurity();
+    } catch (error) {
+      showSnackbar('Release failed', 'error');
+    }
+  };
+
+  const handleDeleteQuarantined = async (id) => {
+    if (!window.confirm('Are you sure you want to delete this document?')) return;
+
+    try {
+      await axios.delete(`/admin/documents/${id}`);
+      showSnackbar('Document deleted', 'success');
+      fetchSecurity();
+    } catch (error) {
+      showSnackbar('Delete failed', 'error');
+    }
+  };
+
+  const handleScanDocuments = async () => {
+    try {
+      const response = await axios.post('/admin/security/scan');
+      showSnackbar(response.data.message, response.data.quarantinedCount > 0 ? 'warning' : 'success');
+      fetchSecurity();
+    } catch (error) {
+      showSnackbar('Scan failed', 'error');
+    }
+  };
+
+  const handleSaveQuota = async () => {
+    try {
+      await axios.put('/admin/usage/quotas', quotaForm);
+      showSnackbar('Quota saved', 'success');
+      setQuotaForm({ ...quotaForm, userEmail: '', dailyTokens: '', monthlyTokens: '', note: '' });
+      fetchUsage();
+    } catch (error) {
+      showSnackbar(error.response?.data?.error || 'Failed to save quota', 'error');
+    }
+  };
+
+  const handleEditQuota = (quota) => {
+    setQuotaForm({
+      scope: quota.scope,
+      role: quota.role || 'employee',
+      userEmail: quota.userId?.email || '',
+      dailyTokens: quota.dailyTokens ?? '',
+      monthlyTokens: quota.monthlyTokens ?? '',
+      note: quota.note || ''
+    });
+  };
+
+  const handleDeleteQuota = async (id) => {
+    if (!window.confirm('Remove this quota?')) return;
+
+    try {
+      await axios.delete(`/admin/usage/quotas/${id}`);
+      showSnackbar('Quota removed', 'success');
+      fetchUsage();
+    } catch (error) {
+      showSnackbar('Failed to remove quota', 'error');
+    }
+  };
+
+  const updateTaskDraft = (task, field, value) => {
+    setTaskDrafts(prev => ({ ...prev, [task]: { ...prev[task], [field]: value } }));
+  };
+
+  const handleSaveTaskSettings = async (task) => {
+    try {
+      await axios.put(`/admin/model-settings/${task}`, { settings: taskDrafts[task] });
+      showSnackbar(`Settings for ${task} saved`, 'success');
+      fetchModelSettings();
+    } catch (error) {
+      showSnackbar(error.response?.data?.error || 'Failed to save model settings', 'error');
+    }
+  };
+
+  const newVariant = (key) => ({ key, name: '', weight: 1, settings: {} });
+
+  const updateVariant = (index, changes) => {
+    setExperimentForm(prev => ({
+      ...prev,
+      variants: prev.variants.map((variant, i) => i === index ? { ...variant, ...changes } : variant)
+    }));
+  };
+
+  const handleCreateExperiment = async () => {
+    try {
+      await axios.post('/admin/experiments', experimentForm);
+      showSnackbar('Experiment created', 'success');
+      setExperimentForm(null);
+      fetchExperiments();
+    } catch (error) {
+      showSnackbar(error.response?.data?.error || 'Failed to create experiment', 'error');
+    }
+  };
+
+  const handleExperimentAction = async (experiment, action) => {
+    if (action === 'start' && !window.confirm('Start this experiment? A running experiment is stopped.')) return;
+    if (action === 'delete' && !window.confirm('Delete this experiment?')) return;
+
+    try {
+      if (action === 'delete') {
+        await axios.delete(`/admin/experiments/${experiment._id}`);
+      } else {
+        await axios.post(`/admin/experiments/${experiment._id}/${action}`);
+      }
+      fetchExperiments();
+    } catch (error) {
+      showSnackbar(error.response?.data?.error || `Failed to ${action} experiment`, 'error');
+    }
+  };
+
+  const handleShowResults = async (experiment) => {
+    try {
+      const response = await axios.get(`/admin/experiments/${experiment._id}/results`);
+      setExperimentResults(response.data);
+    } catch (error) {
+      showSnackbar('Error fetching experiment results', 'error');
+    }
+  };
+
+  const handleOpenGlossaryDialog = (term = null) => {
+    setEditingTerm(term);
+    setGlossaryForm(term
+      ? { term: term.term, synonyms: term.synonyms.join(', '), definition: term.definition }
+      : { term: '', synonyms: '', definition: '' });
+    setOpenGlossaryDialog(true);
+  };
+
+  const handleSaveGlossaryTerm = async () => {
+    if (!glossaryForm.term || !glossaryForm.definition) {
+      showSnackbar('Please fill in both term and definition', 'error');
+      return;
+    }
+
+    try {
+      if (editingTerm) {
+        await axios.put(`/admin/glossary/${editingTerm._id}`, glossaryForm);
+        showSnackbar('Glossary term updated', 'success');
+      } else {
+        await axios.post('/admin/glossary', glossaryForm);
+        showSnackbar('Glossary term added', 'success');
+      }
+      setOpenGlossaryDialog(false);
+      setEditingTerm(null);
+      fetchGlossary();
+    } catch (error) {
+      showSnackbar(error.response?.data?.error || 'Failed to save glossary term', 'error');
+    }
+  };
+
+  const handleDeleteGlossaryTerm = async (id) => {
+    if (!window.confirm('Are you sure you want to delete this glossary term?')) return;
+
+    try {
+      await axios.delete(`/admin/glossary/${id}`);
+      showSnackbar('Glossary term deleted', 'success');
+      fetchGlossary();
+    } catch (error) {
+      showSnackbar('Delete failed', 'error');
+    }
+  };
+
+  const handleSavePrompt = async () => {
+    try {
+      const response = await axios.post(`/admin/prompts/${promptSelection.name}`, {
+        role: promptSelection.role,
+        content: promptDraft.content,
+        note: promptDraft.note
+      });
+      showSnackbar(response.data.message, 'success');
+      fetchPromptTemplates();
+    } catch (error) {
+      showSnackbar(error.response?.data?.error || 'Failed to save prompt template', 'error');
+    }
+  };
+
+  const handleRollbackPrompt = async (version) => {
+    if (!window.confirm(`Make version ${version} the active template again?`)) return;
+
+    try {
+      const response = await axios.post(`/admin/prompts/${promptSelection.name}/rollback`, {
+        role: promptSelection.role,
+        version
+      });
+      showSnackbar(response.data.message, 'success');
+      fetchPromptTemplates();
+    } catch (error) {
+      showSnackbar(error.response?.data?.error || 'Rollback failed', 'error');
+    }
+  };
+
+  const handleResetPrompt = async () => {
+    if (!window.confirm('Stop using saved versions for this role? The history is kept.')) return;
+
+    try {
+      await axios.delete(`/admin/prompts/${promptSelection.name}`, {
+        params: { role: promptSelection.role }
+      });
+      showSnackbar('Prompt template reset', 'success');
+      fetchPromptTemplates();
+    } catch (error) {
+      showSnackbar(error.response?.data?.error || 'Reset failed', 'error');
+    }
+  };
+
+  const handlePreviewPrompt = async () => {
+    setPreviewing(true);
+    try {
+      const response = await axios.post('/admin/prompts/preview', {
+        name: promptSelection.name,
+        role: promptSelection.role,
+        content: promptDraft.content,
+        ...previewForm
+      });
+      setPreviewResult(response.data);
+    } catch (error) {
+      showSnackbar(error.response?.data?.error || 'Preview failed', 'error');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
   const handleCreateUser = async () => {
     try {
       const response = await axios.post('/auth/register', userForm);
@@ -207,6 +860,7 @@ const AdminPanel = () => {
         role: 'employee',
         department: '',
         position: '',
+        office: '',
         employeeId: ''
       });
       fetchUsers();
@@ -253,10 +907,6 @@ const AdminPanel = () => {
     }
   };
 
-  const showSnackbar = (message, severity) => {
-    setSnackbar({ open: true, message, severity });
-  };
-
   const handleCloseSnackbar = () => {
     setSnackbar({ ...snackbar, open: false });
   };
@@ -302,12 +952,15 @@ const AdminPanel = () => {
               startIcon={<UploadIcon />}
               onClick={() => setOpenUpload(true)}
             >
-              Upload Document
+              Upload Documents
             </Button>
             <Button
               variant="outlined"
               startIcon={<AddIcon />}
-              onClick={() => setOpenQA(true)}
+              onClick={() => {
+                setQaForm({ question: '', answer: '', category: 'general' });
+                setOpenQA(true);
+              }}
             >
               Add Q&A
             </Button>
@@ -333,11 +986,100 @@ const AdminPanel = () => {
           <Tab label="IT Support" />
           <Tab label="HR" />
           {(isAdmin || isHR) && <Tab label="User Management" />}
+          <Tab label="Glossary" />
+          <Tab label="Prompts" />
+          <Tab label="Gaps" />
+          {isAdmin && <Tab label="Security" />}
+          {isAdmin && <Tab label="Usage" />}
+          {isAdmin && <Tab label="Models" />}
         </Tabs>
       </Paper>
 
-      {/* Documents Tab */}
-      {activeTab < 5 && (
+      {/* Ingestion Jobs */}
+      {activeTab < 5 && jobs.length > 0 && (
+        <TableContainer component={Paper} sx={{ mb: 2 }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Upload</TableCell>
+                <TableCell>Stages</TableCell>
+                <TableCell sx={{ width: 160 }}>Progress</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {jobs.map((job) => (
+                <TableRow key={job._id}>
+                  <TableCell>
+                    <Typography variant="body2">{job.title}</Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {job.fileName} - {new Date(job.createdAt).toLocaleString()}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    {job.stages.map((stage) => (
+                      <Chip
+                        key={stage.name}
+                        label={stage.attempts > 1 ? `${stage.name} (${stage.attempts})` : stage.name}
+                        size="small"
+                        variant={stage.status === 'pending' ? 'outlined' : 'filled'}
+                        color={{ completed: 'success', running: 'info', failed: 'error' }[stage.status] || 'default'}
+                        title={stage.error || ''}
+                        sx={{ mr: 0.5 }}
+                      />
+                    ))}
+                  </TableCell>
+                  <TableCell>
+                    <LinearProgress
+                      variant={job.status === 'running' && job.progress === 0 ? 'indeterminate' : 'determinate'}
+                      value={job.progress}
+                      color={job.status === 'failed' ? 'error' : 'primary'}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <Chip
+                      label={job.status === 'completed' && job.quarantined ? 'quarantined' : job.status}
+                      size="small"
+                      color={job.status === 'failed' || job.quarantined ? 'error' : job.status === 'completed' ? 'success' : job.status === 'review' ? 'warning' : 'default'}
+                    />
+                    {job.error && (
+                      <Typography variant="caption" color="error" display="block">
+                        {job.error}
+                      </Typography>
+                    )}
+                    {job.status === 'review' && (
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        Similar to {job.duplicates[0].title} ({Math.round(job.duplicates[0].similarity * 100)}%)
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {job.status === 'failed' && (
+                      <Button size="small" onClick={() => handleRetryJob(job._id)}>
+                        Retry
+                      </Button>
+                    )}
+                    {job.status === 'review' && (
+                      <Button size="small" color="warning" onClick={() => setDuplicateReviewJob(job)}>
+                        Review
+                      </Button>
+                    )}
+                    {job.status !== 'running' && (
+                      <IconButton size="small" onClick={() => handleRemoveJob(job)}>
+                        <DeleteIcon />
+                      </IconButton>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {/* Documents Tab */}
+      {activeTab < 5 && (
         <TableContainer component={Paper}>
           <Table>
             <TableHead>
@@ -390,6 +1132,9 @@ const AdminPanel = () => {
                     <IconButton size="small" color="primary">
                       <EditIcon />
                     </IconButton>
+                    <IconButton size="small" title="Revision history" onClick={() => handleOpenRevisions(doc)}>
+                      <HistoryIcon />
+                    </IconButton>
                     <IconButton 
                       size="small" 
                       color="error"
@@ -502,30 +1247,1080 @@ const AdminPanel = () => {
         </Box>
       )}
 
-      {/* Upload Dialog */}
-      <Dialog open={openUpload} onClose={() => setOpenUpload(false)} maxWidth="sm" fullWidth>
-        <DialogTitle>Upload Document</DialogTitle>
-        <DialogContent>
-          <Box sx={{ pt: 2, display: 'flex', flexDirection: 'column', gap: 2 }}>
+      {/* Glossary Tab */}
+      {activeTab === 6 && (
+        <Box>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 3 }}>
+            <Typography variant="h5">
+              Glossary ({glossaryTerms.length})
+            </Typography>
             <Button
-              variant="outlined"
-              component="label"
-              startIcon={<UploadIcon />}
+              variant="contained"
+              startIcon={<AddIcon />}
+              onClick={() => handleOpenGlossaryDialog()}
             >
-              {selectedFile ? selectedFile.name : 'Select File'}
-              <input
-                type="file"
-                hidden
-                onChange={handleFileSelect}
-                accept=".pdf,.md,.txt,.docx"
+              Add Term
+            </Button>
+          </Box>
+
+          <TableContainer component={Paper}>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Term</TableCell>
+                  <TableCell>Synonyms</TableCell>
+                  <TableCell>Definition</TableCell>
+                  <TableCell>Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {glossaryTerms.map((term) => (
+                  <TableRow key={term._id}>
+                    <TableCell>
+                      <Typography variant="subtitle2">{term.term}</Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                        {term.synonyms.map((synonym, idx) => (
+                          <Chip key={idx} label={synonym} size="small" />
+                        ))}
+                      </Box>
+                    </TableCell>
+                    <TableCell>{term.definition}</TableCell>
+                    <TableCell>
+                      <IconButton
+                        size="small"
+                        color="primary"
+                        onClick={() => handleOpenGlossaryDialog(term)}
+                      >
+                        <EditIcon />
+                      </IconButton>
+                      <IconButton
+                        size="small"
+                        color="error"
+                        onClick={() => handleDeleteGlossaryTerm(term._id)}
+                      >
+                        <DeleteIcon />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Box>
+      )}
+
+      {/* Prompt Templates Tab */}
+      {activeTab === 7 && (
+        <Box>
+          <Paper sx={{ p: 3, mb: 3 }}>
+            <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+              <FormControl size="small" sx={{ minWidth: 220 }}>
+                <InputLabel>Template</InputLabel>
+                <Select
+                  value={promptSelection.name}
+                  label="Template"
+                  onChange={(e) => setPromptSelection({ ...promptSelection, name: e.target.value })}
+                >
+                  {promptTemplates.map((template) => (
+                    <MenuItem key={template.name} value={template.name}>
+                      {template.label}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <FormControl size="small" sx={{ minWidth: 180 }}>
+                <InputLabel>Role</InputLabel>
+                <Select
+                  value={promptSelection.role}
+                  label="Role"
+                  onChange={(e) => setPromptSelection({ ...promptSelection, role: e.target.value })}
+                >
+                  <MenuItem value="default">All roles (default)</MenuItem>
+                  {roles.map((role) => (
+                    <MenuItem key={role.value} value={role.value}>
+                      {role.label}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              {getSelectedPromptRole() && (
+                <Chip
+                  sx={{ alignSelf: 'center' }}
+                  color={getSelectedPromptRole().source === 'role' ? 'primary' : 'default'}
+                  label={{
+                    role: `Version ${getSelectedPromptRole().activeVersion}`,
+                    default: 'Using the default template',
+                    builtIn: 'Built-in text'
+                  }[getSelectedPromptRole().source]}
+                />
+              )}
+            </Box>
+
+            {getSelectedPrompt() && (
+              <>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                  {getSelectedPrompt().description}. Variables:
+                </Typography>
+                <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mb: 2 }}>
+                  {getSelectedPrompt().variables.map((variable) => (
+                    <Chip key={variable} label={`{{${variable}}}`} size="small" variant="outlined" />
+                  ))}
+                </Box>
+              </>
+            )}
+
+            <TextField
+              label="Template"
+              fullWidth
+              multiline
+              minRows={8}
+              maxRows={24}
+              value={promptDraft.content}
+              onChange={(e) => setPromptDraft({ ...promptDraft, content: e.target.value })}
+              helperText="Use {{#variable}}...{{/variable}} for text that should only appear when the variable is set"
+              InputProps={{ sx: { fontFamily: 'monospace', fontSize: 13 } }}
+            />
+            <TextField
+              label="Change note"
+              fullWidth
+              size="small"
+              value={promptDraft.note}
+              onChange={(e) => setPromptDraft({ ...promptDraft, note: e.target.value })}
+              sx={{ mt: 2 }}
+            />
+            <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
+              <Button variant="contained" onClick={handleSavePrompt}>
+                Save Version
+              </Button>
+              <Button
+                variant="outlined"
+                startIcon={<RestoreIcon />}
+                onClick={handleResetPrompt}
+                disabled={getSelectedPromptRole()?.source !== 'role'}
+              >
+                Stop Using Saved Versions
+              </Button>
+            </Box>
+          </Paper>
+
+          <Paper sx={{ p: 3, mb: 3 }}>
+            <Typography variant="h6" gutterBottom>
+              Preview
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+              {promptSelection.name === 'answer' && (
+                <TextField
+                  label="Sample question"
+                  size="small"
+                  sx={{ flexGrow: 1 }}
+                  value={previewForm.question}
+                  onChange={(e) => setPreviewForm({ ...previewForm, question: e.target.value })}
+                />
+              )}
+              <TextField
+                label="User name"
+                size="small"
+                value={previewForm.userName}
+                onChange={(e) => setPreviewForm({ ...previewForm, userName: e.target.value })}
+              />
+              <TextField
+                label="Department"
+                size="small"
+                value={previewForm.department}
+                onChange={(e) => setPreviewForm({ ...previewForm, department: e.target.value })}
+              />
+              <Button variant="outlined" onClick={handlePreviewPrompt} disabled={previewing}>
+                {previewing ? <CircularProgress size={20} /> : 'Preview'}
+              </Button>
+            </Box>
+
+            {previewResult && (
+              <>
+                {previewResult.response && (
+                  <Alert severity={previewResult.confidence === 'low' ? 'warning' : 'info'} sx={{ mb: 2 }}>
+                    <SafeMarkdown text={previewResult.response} />
+                    <Typography variant="caption" color="text.secondary">
+                      {previewResult.structured
+                        ? `Confidence: ${previewResult.confidence || 'not given'} · Cited: ${previewResult.citedSources.join(', ') || 'none'}`
+                        : 'The model did not reply in the structured format'}
+                    </Typography>
+                  </Alert>
+                )}
+                <Typography variant="subtitle2">Rendered prompt</Typography>
+                <Box
+                  component="pre"
+                  sx={{ p: 2, bgcolor: 'grey.100', borderRadius: 1, whiteSpace: 'pre-wrap', fontSize: 13, maxHeight: 400, overflow: 'auto' }}
+                >
+                  {previewResult.prompt}
+                </Box>
+              </>
+            )}
+          </Paper>
+
+          <TableContainer component={Paper}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Version</TableCell>
+                  <TableCell>Note</TableCell>
+                  <TableCell>Saved By</TableCell>
+                  <TableCell>Saved</TableCell>
+                  <TableCell>Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {promptVersions.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={5}>
+                      <Typography variant="body2" color="text.secondary">
+                        No saved versions for this role yet.
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+                {promptVersions.map((version) => (
+                  <TableRow key={version._id}>
+                    <TableCell>
+                      {version.version}
+                      {version.isActive && <Chip label="Active" size="small" color="success" sx={{ ml: 1 }} />}
+                    </TableCell>
+                    <TableCell>{version.note || '-'}</TableCell>
+                    <TableCell>{version.createdBy}</TableCell>
+                    <TableCell>{new Date(version.createdAt).toLocaleString()}</TableCell>
+                    <TableCell>
+                      <Button
+                        size="small"
+                        onClick={() => setPromptDraft({ content: version.content, note: '' })}
+                      >
+                        Load
+                      </Button>
+                      <Button
+                        size="small"
+                        startIcon={<RestoreIcon />}
+                        disabled={version.isActive}
+                        onClick={() => handleRollbackPrompt(version.version)}
+                      >
+                        Roll Back
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Box>
+      )}
+
+      {/* Security Review Tab */}
+      {activeTab === 8 && (
+        <Box>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+            <Typography variant="h6">
+              Knowledge Gaps
+              {gapStats && (
+                <Chip label={`${gapStats.open} open, ${gapStats.openQuestions} questions`} size="small" sx={{ ml: 1 }} />
+              )}
+            </Typography>
+            <FormControl size="small" sx={{ minWidth: 160 }}>
+              <InputLabel>Status</InputLabel>
+              <Select
+                value={gapStatusFilter}
+                label="Status"
+                onChange={(e) => setGapStatusFilter(e.target.value)}
+              >
+                <MenuItem value="open">Open</MenuItem>
+                <MenuItem value="resolved">Resolved</MenuItem>
+                <MenuItem value="dismissed">Dismissed</MenuItem>
+                <MenuItem value="all">All</MenuItem>
+              </Select>
+            </FormControl>
+          </Box>
+          <TableContainer component={Paper}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Question</TableCell>
+                  <TableCell align="right">Asked</TableCell>
+                  <TableCell>Why</TableCell>
+                  <TableCell>Last Asked</TableCell>
+                  <TableCell>Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {gaps.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={5}>
+                      <Typography variant="body2" color="text.secondary">
+                        No knowledge gaps.
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+                {gaps.map((gap) => (
+                  <TableRow key={gap._id}>
+                    <TableCell sx={{ maxWidth: 420 }}>
+                      <Typography variant="body2">{gap.question}</Typography>
+                      {gap.count > 1 && (
+                        <Typography variant="caption" color="text.secondary">
+                          {[...new Set(gap.questions.map(q => q.text))]
+                            .filter(text => text !== gap.question)
+                            .slice(-3)
+                            .join(' / ')}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell align="right">{gap.count}</TableCell>
+                    <TableCell>
+                      {Object.entries(gap.reasonCounts)
+                        .filter(([, count]) => count > 0)
+                        .map(([reason, count]) => (
+                          <Chip key={reason} label={`${reason} ${count}`} size="small" variant="outlined" sx={{ mr: 0.5 }} />
+                        ))}
+                    </TableCell>
+                    <TableCell>{new Date(gap.lastSeenAt).toLocaleString()}</TableCell>
+                    <TableCell>
+                      {gap.status === 'open' && (
+                        <>
+                          <Button size="small" onClick={() => handleAnswerGap(gap)}>
+                            Answer
+                          </Button>
+                          <Button size="small" onClick={() => handleUpdateGap(gap._id, 'dismissed')}>
+                            Dismiss
+                          </Button>
+                        </>
+                      )}
+                      {gap.status === 'dismissed' && (
+                        <Button size="small" onClick={() => handleUpdateGap(gap._id, 'open')}>
+                          Reopen
+                        </Button>
+                      )}
+                      {gap.status === 'resolved' && (
+                        <Chip label="resolved" size="small" color="success" />
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Box>
+      )}
+
+      {activeTab === 9 && isAdmin && (
+        <Box>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+            <Typography variant="h6">
+              Quarantined Documents
+            </Typography>
+            <Button variant="outlined" onClick={handleScanDocuments}>
+              Scan Documents
+            </Button>
+          </Box>
+          <TableContainer component={Paper} sx={{ mb: 4 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Title</TableCell>
+                  <TableCell>Reasons</TableCell>
+                  <TableCell>Added By</TableCell>
+                  <TableCell>Flagged</TableCell>
+                  <TableCell>Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {quarantinedDocuments.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={5}>
+                      <Typography variant="body2" color="text.secondary">
+                        No documents are quarantined.
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+                {quarantinedDocuments.map((doc) => (
+                  <TableRow key={doc._id}>
+                    <TableCell>{doc.title}</TableCell>
+                    <TableCell>
+                      {doc.quarantine.reasons.map((reason) => (
+                        <Chip key={reason} label={reason} size="small" color="warning" sx={{ mr: 0.5, mb: 0.5 }} />
+                      ))}
+                    </TableCell>
+                    <TableCell>{doc.createdBy}</TableCell>
+                    <TableCell>{new Date(doc.quarantine.flaggedAt).toLocaleString()}</TableCell>
+                    <TableCell>
+                      <Button size="small" onClick={() => handleReleaseDocument(doc._id)}>
+                        Release
+                      </Button>
+                      <IconButton size="small" color="error" onClick={() => handleDeleteQuarantined(doc._id)}>
+                        <DeleteIcon />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+            <Typography variant="h6">
+              Injection Attempts
+              {securityStats && (
+                <Chip label={`${securityStats.open} open`} size="small" sx={{ ml: 1 }} />
+              )}
+            </Typography>
+            <FormControl size="small" sx={{ minWidth: 160 }}>
+              <InputLabel>Status</InputLabel>
+              <Select
+                value={flagStatusFilter}
+                label="Status"
+                onChange={(e) => setFlagStatusFilter(e.target.value)}
+              >
+                <MenuItem value="open">Open</MenuItem>
+                <MenuItem value="confirmed">Confirmed</MenuItem>
+                <MenuItem value="dismissed">Dismissed</MenuItem>
+                <MenuItem value="all">All</MenuItem>
+              </Select>
+            </FormControl>
+          </Box>
+          <TableContainer component={Paper}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>When</TableCell>
+                  <TableCell>Source</TableCell>
+                  <TableCell>From</TableCell>
+                  <TableCell>Matched Text</TableCell>
+                  <TableCell>Score</TableCell>
+                  <TableCell>Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {securityFlags.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={6}>
+                      <Typography variant="body2" color="text.secondary">
+                        Nothing to review.
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+                {securityFlags.map((flag) => (
+                  <TableRow key={flag._id}>
+                    <TableCell>{new Date(flag.createdAt).toLocaleString()}</TableCell>
+                    <TableCell>
+                      <Chip label={flag.source} size="small" variant="outlined" />
+                      {flag.action !== 'logged' && (
+                        <Chip label={flag.action} size="small" color="warning" sx={{ ml: 0.5 }} />
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      {flag.source === 'document' ? flag.documentTitle : flag.userEmail}
+                    </TableCell>
+                    <TableCell sx={{ maxWidth: 360 }}>
+                      <Typography variant="body2" sx={{ fontFamily: 'monospace', fontSize: 12 }}>
+                        {flag.excerpt}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {flag.matches.map(match => match.label).join(', ')}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>{flag.score}</TableCell>
+                    <TableCell>
+                      {flag.status === 'open' ? (
+                        <>
+                          <Button size="small" color="error" onClick={() => handleReviewFlag(flag._id, 'confirmed')}>
+                            Confirm
+                          </Button>
+                          <Button size="small" onClick={() => handleReviewFlag(flag._id, 'dismissed')}>
+                            Dismiss
+                          </Button>
+                        </>
+                      ) : (
+                        <Chip label={flag.status} size="small" />
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Box>
+      )}
+
+      {activeTab === 10 && isAdmin && (
+        <Box>
+          <Typography variant="h6" gutterBottom>
+            Token Usage
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 2, mb: 3 }}>
+            {[['Today', usage?.today], ['This Month', usage?.month]].map(([label, totals]) => (
+              <Paper key={label} sx={{ p: 2, minWidth: 200 }}>
+                <Typography variant="body2" color="text.secondary">{label}</Typography>
+                <Typography variant="h5">{(totals?.totalTokens || 0).toLocaleString()} tokens</Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {totals?.calls || 0} calls, {totals?.failures || 0} failed
+                </Typography>
+              </Paper>
+            ))}
+          </Box>
+
+          <Box sx={{ display: 'flex', gap: 2, mb: 4, flexWrap: 'wrap', alignItems: 'flex-start' }}>
+            <TableContainer component={Paper} sx={{ flex: 1, minWidth: 320 }}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Day</TableCell>
+                    <TableCell align="right">Calls</TableCell>
+                    <TableCell align="right">Prompt</TableCell>
+                    <TableCell align="right">Completion</TableCell>
+                    <TableCell align="right">Avg Latency</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {(usage?.daily || []).slice().reverse().map((day) => (
+                    <TableRow key={day.day}>
+                      <TableCell>{day.day}</TableCell>
+                      <TableCell align="right">{day.calls}</TableCell>
+                      <TableCell align="right">{day.promptTokens.toLocaleString()}</TableCell>
+                      <TableCell align="right">{day.completionTokens.toLocaleString()}</TableCell>
+                      <TableCell align="right">{Math.round(day.avgLatencyMs || 0)} ms</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+
+            <Box sx={{ flex: 1, minWidth: 320, display: 'flex', flexDirection: 'column', gap: 2 }}>
+              <TableContainer component={Paper}>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Month</TableCell>
+                      <TableCell align="right">Calls</TableCell>
+                      <TableCell align="right">Tokens</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {(usage?.monthly || []).slice().reverse().map((month) => (
+                      <TableRow key={month.month}>
+                        <TableCell>{month.month}</TableCell>
+                        <TableCell align="right">{month.calls}</TableCell>
+                        <TableCell align="right">{month.totalTokens.toLocaleString()}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+
+              <TableContainer component={Paper}>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Feature (this month)</TableCell>
+                      <TableCell align="right">Calls</TableCell>
+                      <TableCell align="right">Tokens</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {(usage?.byFeature || []).map((entry) => (
+                      <TableRow key={entry.feature}>
+                        <TableCell>{entry.feature}</TableCell>
+                        <TableCell align="right">{entry.calls}</TableCell>
+                        <TableCell align="right">{entry.totalTokens.toLocaleString()}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+
+              <TableContainer component={Paper}>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Top Users (this month)</TableCell>
+                      <TableCell align="right">Calls</TableCell>
+                      <TableCell align="right">Tokens</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {(usage?.topUsers || []).map((entry) => (
+                      <TableRow key={entry.userId}>
+                        <TableCell>{entry.email || entry.userId}</TableCell>
+                        <TableCell align="right">{entry.calls}</TableCell>
+                        <TableCell align="right">{entry.totalTokens.toLocaleString()}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </Box>
+          </Box>
+
+          <Typography variant="h6" gutterBottom>
+            Quotas
+          </Typography>
+          <Paper sx={{ p: 2, mb: 2, display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+            <FormControl size="small" sx={{ minWidth: 120 }}>
+              <InputLabel>Applies To</InputLabel>
+              <Select
+                value={quotaForm.scope}
+                label="Applies To"
+                onChange={(e) => setQuotaForm({ ...quotaForm, scope: e.target.value })}
+              >
+                <MenuItem value="role">Role</MenuItem>
+                <MenuItem value="user">User</MenuItem>
+              </Select>
+            </FormControl>
+            {quotaForm.scope === 'role' ? (
+              <FormControl size="small" sx={{ minWidth: 140 }}>
+                <InputLabel>Role</InputLabel>
+                <Select
+                  value={quotaForm.role}
+                  label="Role"
+                  onChange={(e) => setQuotaForm({ ...quotaForm, role: e.target.value })}
+                >
+                  {roles.map((role) => (
+                    <MenuItem key={role.value} value={role.value}>{role.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            ) : (
+              <TextField
+                size="small"
+                label="User Email"
+                value={quotaForm.userEmail}
+                onChange={(e) => setQuotaForm({ ...quotaForm, userEmail: e.target.value })}
               />
+            )}
+            <TextField
+              size="small"
+              type="number"
+              label="Daily Tokens"
+              value={quotaForm.dailyTokens}
+              onChange={(e) => setQuotaForm({ ...quotaForm, dailyTokens: e.target.value })}
+              helperText="Empty for no limit"
+            />
+            <TextField
+              size="small"
+              type="number"
+              label="Monthly Tokens"
+              value={quotaForm.monthlyTokens}
+              onChange={(e) => setQuotaForm({ ...quotaForm, monthlyTokens: e.target.value })}
+              helperText="Empty for no limit"
+            />
+            <TextField
+              size="small"
+              label="Note"
+              value={quotaForm.note}
+              onChange={(e) => setQuotaForm({ ...quotaForm, note: e.target.value })}
+            />
+            <Button variant="contained" onClick={handleSaveQuota}>
+              Save Quota
             </Button>
+          </Paper>
+          <TableContainer component={Paper}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Applies To</TableCell>
+                  <TableCell align="right">Daily Tokens</TableCell>
+                  <TableCell align="right">Monthly Tokens</TableCell>
+                  <TableCell>Note</TableCell>
+                  <TableCell>Updated</TableCell>
+                  <TableCell>Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {usageQuotas.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={6}>
+                      <Typography variant="body2" color="text.secondary">
+                        No quotas: usage is unlimited.
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+                {usageQuotas.map((quota) => (
+                  <TableRow key={quota._id}>
+                    <TableCell>
+                      {quota.scope === 'role' ? `Role: ${quota.role}` : `User: ${quota.userId?.email || 'deleted user'}`}
+                    </TableCell>
+                    <TableCell align="right">{quota.dailyTokens?.toLocaleString() ?? 'No limit'}</TableCell>
+                    <TableCell align="right">{quota.monthlyTokens?.toLocaleString() ?? 'No limit'}</TableCell>
+                    <TableCell>{quota.note}</TableCell>
+                    <TableCell>{new Date(quota.updatedAt).toLocaleString()} by {quota.updatedBy}</TableCell>
+                    <TableCell>
+                      <IconButton size="small" onClick={() => handleEditQuota(quota)}>
+                        <EditIcon />
+                      </IconButton>
+                      <IconButton size="small" color="error" onClick={() => handleDeleteQuota(quota._id)}>
+                        <DeleteIcon />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Box>
+      )}
+
+      {activeTab === 11 && isAdmin && modelSettings && (
+        <Box>
+          <Typography variant="h6">
+            Model Settings
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Provider: {modelSettings.provider}. Empty fields use the default
+            ({modelSettings.defaultModel}, temperature {modelSettings.defaults.temperature},
+            topK {modelSettings.defaults.topK}, topP {modelSettings.defaults.topP},
+            {' '}{modelSettings.defaults.maxOutputTokens} output tokens).
+          </Typography>
+          <TableContainer component={Paper} sx={{ mb: 4 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Task</TableCell>
+                  <TableCell>Model</TableCell>
+                  <TableCell>Temperature</TableCell>
+                  <TableCell>Top K</TableCell>
+                  <TableCell>Top P</TableCell>
+                  <TableCell>Max Output Tokens</TableCell>
+                  <TableCell></TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {modelSettings.tasks.map(({ task, settings }) => (
+                  <TableRow key={task}>
+                    <TableCell>{task}</TableCell>
+                    {['model', 'temperature', 'topK', 'topP', 'maxOutputTokens'].map((field) => (
+                      <TableCell key={field}>
+                        <TextField
+                          size="small"
+                          type={field === 'model' ? 'text' : 'number'}
+                          value={taskDrafts[task]?.[field] ?? ''}
+                          placeholder={String(settings[field] ?? modelSettings.defaultModel)}
+                          onChange={(e) => updateTaskDraft(task, field, e.target.value)}
+                          sx={{ width: field === 'model' ? 180 : 110 }}
+                        />
+                      </TableCell>
+                    ))}
+                    <TableCell>
+                      <Button size="small" onClick={() => handleSaveTaskSettings(task)}>
+                        Save
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+            <Typography variant="h6">
+              Answer Experiments
+            </Typography>
+            <Button
+              variant="outlined"
+              startIcon={<AddIcon />}
+              onClick={() => setExperimentForm({ name: '', description: '', variants: [newVariant('A'), newVariant('B')] })}
+            >
+              New Experiment
+            </Button>
+          </Box>
+
+          {experimentForm && (
+            <Paper sx={{ p: 2, mb: 2, display: 'flex', flexDirection: 'column', gap: 2 }}>
+              <Box sx={{ display: 'flex', gap: 2 }}>
+                <TextField
+                  size="small"
+                  label="Name"
+                  value={experimentForm.name}
+                  onChange={(e) => setExperimentForm({ ...experimentForm, name: e.target.value })}
+                />
+                <TextField
+                  size="small"
+                  label="Description"
+                  value={experimentForm.description}
+                  onChange={(e) => setExperimentForm({ ...experimentForm, description: e.target.value })}
+                  sx={{ flex: 1 }}
+                />
+              </Box>
+              {experimentForm.variants.map((variant, index) => (
+                <Box key={index} sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center' }}>
+                  <TextField
+                    size="small"
+                    label="Key"
+                    value={variant.key}
+                    onChange={(e) => updateVariant(index, { key: e.target.value })}
+                    sx={{ width: 80 }}
+                  />
+                  <TextField
+                    size="small"
+                    label="Name"
+                    value={variant.name}
+                    onChange={(e) => updateVariant(index, { name: e.target.value })}
+                  />
+                  <TextField
+                    size="small"
+                    type="number"
+                    label="Weight"
+                    value={variant.weight}
+                    onChange={(e) => updateVariant(index, { weight: e.target.value })}
+                    sx={{ width: 90 }}
+                  />
+                  {['model', 'temperature', 'topK', 'topP', 'maxOutputTokens'].map((field) => (
+                    <TextField
+                      key={field}
+                      size="small"
+                      type={field === 'model' ? 'text' : 'number'}
+                      label={field}
+                      value={variant.settings[field] ?? ''}
+                      onChange={(e) => updateVariant(index, { settings: { ...variant.settings, [field]: e.target.value } })}
+                      sx={{ width: field === 'model' ? 160 : 120 }}
+                    />
+                  ))}
+                  {experimentForm.variants.length > 2 && (
+                    <IconButton
+                      size="small"
+                      onClick={() => setExperimentForm({
+                        ...experimentForm,
+                        variants: experimentForm.variants.filter((v, i) => i !== index)
+                      })}
+                    >
+                      <DeleteIcon />
+                    </IconButton>
+                  )}
+                </Box>
+              ))}
+              <Typography variant="caption" color="text.secondary">
+                Empty settings keep the answer task's settings. New conversations are split between variants by weight.
+              </Typography>
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <Button
+                  onClick={() => setExperimentForm({
+                    ...experimentForm,
+                    variants: [...experimentForm.variants, newVariant(String.fromCharCode(65 + experimentForm.variants.length))]
+                  })}
+                >
+                  Add Variant
+                </Button>
+                <Box sx={{ flex: 1 }} />
+                <Button onClick={() => setExperimentForm(null)}>Cancel</Button>
+                <Button variant="contained" onClick={handleCreateExperiment}>Create</Button>
+              </Box>
+            </Paper>
+          )}
+
+          <TableContainer component={Paper} sx={{ mb: 2 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Variants</TableCell>
+                  <TableCell>Started</TableCell>
+                  <TableCell>Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {experiments.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={5}>
+                      <Typography variant="body2" color="text.secondary">
+                        No experiments yet.
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+                {experiments.map((experiment) => (
+                  <TableRow key={experiment._id}>
+                    <TableCell>{experiment.name}</TableCell>
+                    <TableCell>
+                      <Chip
+                        label={experiment.status}
+                        size="small"
+                        color={experiment.status === 'running' ? 'success' : 'default'}
+                      />
+                    </TableCell>
+                    <TableCell>{experiment.variants.map(v => `${v.key} (${v.weight})`).join(', ')}</TableCell>
+                    <TableCell>{experiment.startedAt ? new Date(experiment.startedAt).toLocaleString() : '-'}</TableCell>
+                    <TableCell>
+                      {experiment.status === 'draft' && (
+                        <Button size="small" onClick={() => handleExperimentAction(experiment, 'start')}>Start</Button>
+                      )}
+                      {experiment.status === 'running' && (
+                        <Button size="small" onClick={() => handleExperimentAction(experiment, 'stop')}>Stop</Button>
+                      )}
+                      {experiment.status !== 'draft' && (
+                        <Button size="small" onClick={() => handleShowResults(experiment)}>Results</Button>
+                      )}
+                      {experiment.status !== 'running' && (
+                        <IconButton size="small" color="error" onClick={() => handleExperimentAction(experiment, 'delete')}>
+                          <DeleteIcon />
+                        </IconButton>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          {experimentResults && (
+            <Paper sx={{ p: 2 }}>
+              <Typography variant="subtitle1" gutterBottom>
+                Results: {experimentResults.experiment.name}
+              </Typography>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Variant</TableCell>
+                    <TableCell align="right">Conversations</TableCell>
+                    <TableCell align="right">Answers</TableCell>
+                    <TableCell align="right">Avg Response</TableCell>
+                    <TableCell align="right">Ratings</TableCell>
+                    <TableCell align="right">Avg Rating</TableCell>
+                    <TableCell align="right">Helpful</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {experimentResults.variants.map((variant) => (
+                    <TableRow key={variant.key}>
+                      <TableCell>{variant.key}{variant.name !== variant.key && ` - ${variant.name}`}</TableCell>
+                      <TableCell align="right">{variant.conversations}</TableCell>
+                      <TableCell align="right">{variant.answers}</TableCell>
+                      <TableCell align="right">
+                        {variant.avgResponseTime !== null ? `${Math.round(variant.avgResponseTime)} ms` : '-'}
+                      </TableCell>
+                      <TableCell align="right">{variant.ratings}</TableCell>
+                      <TableCell align="right">
+                        {variant.avgRating !== null
+                          ? `${variant.avgRating.toFixed(2)}${variant.ratingStdDev !== null ? ` ± ${variant.ratingStdDev.toFixed(2)}` : ''}`
+                          : '-'}
+                      </TableCell>
+                      <TableCell align="right">
+                        {variant.helpfulRate !== null ? `${Math.round(variant.helpfulRate * 100)}%` : '-'}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </Paper>
+          )}
+        </Box>
+      )}
+
+      {/* Upload Dialog */}
+      <Dialog open={openUpload} onClose={closeUploadDialog} maxWidth="sm" fullWidth>
+        <DialogTitle>Upload Documents</DialogTitle>
+        <DialogContent>
+          <Box sx={{ pt: 2, display: 'flex', flexDirection: 'column', gap: 2 }}>
+            {uploadReport && (
+              <>
+                <Alert severity={uploadReport.summary.failed > 0 ? 'warning' : 'success'}>
+                  {uploadReport.message}
+                </Alert>
+                <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 320 }}>
+                  <Table size="small" stickyHeader>
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>File</TableCell>
+                        <TableCell>Result</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {uploadReport.results.map((result, index) => (
+                        <TableRow key={index}>
+                          <TableCell>
+                            <Typography variant="body2">{result.file}</Typography>
+                            {result.status === 'created' && (
+                              <Typography variant="caption" color="text.secondary">
+                                {[result.category, ...result.tags].join(', ')}
+                              </Typography>
+                            )}
+                          </TableCell>
+                          <TableCell>
+                            <Chip
+                              label={result.status}
+                              size="small"
+                              color={{ created: 'success', duplicate: 'warning', failed: 'error' }[result.status]}
+                            />
+                            {result.reason && (
+                              <Typography variant="caption" display="block" color="text.secondary">
+                                {result.reason}
+                              </Typography>
+                            )}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              </>
+            )}
+
+            <Box
+              onDragOver={(e) => { e.preventDefault(); setDragActive(true); }}
+              onDragLeave={() => setDragActive(false)}
+              onDrop={handleDrop}
+              sx={{
+                p: 3,
+                border: '2px dashed',
+                borderColor: dragActive ? 'primary.main' : 'divider',
+                borderRadius: 1,
+                bgcolor: dragActive ? 'action.hover' : 'transparent',
+                textAlign: 'center'
+              }}
+            >
+              <Typography variant="body2" color="text.secondary" gutterBottom>
+                Drag files, folders or ZIP archives here
+              </Typography>
+              <Box sx={{ display: 'flex', gap: 1, justifyContent: 'center' }}>
+                <Button variant="outlined" component="label" startIcon={<UploadIcon />}>
+                  Select Files
+                  <input
+                    type="file"
+                    hidden
+                    multiple
+                    onChange={handleFileSelect}
+                    accept=".pdf,.docx,.doc,.odt,.rtf,.html,.htm,.md,.txt,.zip"
+                  />
+                </Button>
+                <Button variant="outlined" component="label">
+                  Select Folder
+                  <input type="file" hidden multiple webkitdirectory="" onChange={handleFileSelect} />
+                </Button>
+              </Box>
+            </Box>
+
+            {selectedFiles.length > 0 && (
+              <Box>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <Typography variant="body2">
+                    {selectedFiles.length} file(s) selected
+                  </Typography>
+                  <Button size="small" onClick={() => setSelectedFiles([])}>Clear</Button>
+                </Box>
+                <Box sx={{ maxHeight: 120, overflow: 'auto' }}>
+                  {selectedFiles.map(({ path }) => (
+                    <Typography key={path} variant="caption" display="block" color="text.secondary">
+                      {path}
+                    </Typography>
+                  ))}
+                </Box>
+              </Box>
+            )}
 
             <TextField
               label="Title"
-              value={uploadForm.title}
+              value={isBulkUpload ? '' : uploadForm.title}
               onChange={(e) => setUploadForm({ ...uploadForm, title: e.target.value })}
               fullWidth
+              disabled={isBulkUpload}
+              helperText={isBulkUpload ? 'Each document is titled after its file name' : ''}
             />
 
             <FormControl fullWidth>
@@ -551,29 +2346,246 @@ const AdminPanel = () => {
               placeholder="policy, benefits, hr"
             />
 
+            <TextField
+              label="Restrict to departments (comma separated)"
+              value={uploadForm.departments}
+              onChange={(e) => setUploadForm({ ...uploadForm, departments: e.target.value })}
+              fullWidth
+              placeholder="Engineering, Marketing"
+              helperText="Leave empty to share with every department"
+            />
+
+            <TextField
+              label="Restrict to offices (comma separated)"
+              value={uploadForm.offices}
+              onChange={(e) => setUploadForm({ ...uploadForm, offices: e.target.value })}
+              fullWidth
+              placeholder="London"
+              helperText="Leave empty to share with every office"
+            />
+
+            <FormControl fullWidth>
+              <InputLabel>If a similar document exists</InputLabel>
+              <Select
+                value={uploadForm.duplicateAction}
+                label="If a similar document exists"
+                onChange={(e) => setUploadForm({ ...uploadForm, duplicateAction: e.target.value })}
+              >
+                <MenuItem value="review">Ask me</MenuItem>
+                <MenuItem value="keep">Keep both</MenuItem>
+                <MenuItem value="replace">Replace it</MenuItem>
+                <MenuItem value="merge">Merge as a new revision</MenuItem>
+              </Select>
+            </FormControl>
+
             <Alert severity="info">
-              Supported formats: PDF, Markdown (.md), Text (.txt), Word (.docx)
-              Max size: 10MB
+              Supported formats: PDF, Word (.docx, .doc), OpenDocument (.odt), RTF, HTML, Markdown (.md), Text (.txt)
+              Max size: 10MB per document. ZIP archives and folders are unpacked; a folder named after a
+              category (for example "Benefits" or "IT Support") sets the category of the documents in it,
+              and other folder names become tags.
             </Alert>
           </Box>
         </DialogContent>
         <DialogActions>
-          <Button onClick={() => setOpenUpload(false)}>Cancel</Button>
+          <Button onClick={closeUploadDialog}>{uploadReport ? 'Close' : 'Cancel'}</Button>
           <Button
             variant="contained"
             onClick={handleUpload}
-            disabled={!selectedFile || uploading}
+            disabled={selectedFiles.length === 0 || uploading}
           >
             {uploading ? <CircularProgress size={24} /> : 'Upload'}
           </Button>
         </DialogActions>
       </Dialog>
 
+      {/* Duplicate Review Dialog */}
+      <Dialog open={Boolean(duplicateReviewJob)} onClose={() => setDuplicateReviewJob(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Possible Duplicate - {duplicateReviewJob?.title}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            The upload {duplicateReviewJob?.fileName} looks like a copy of these documents. Replace one of them,
+            merge the upload into one as a new revision, or keep both.
+          </Typography>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Document</TableCell>
+                <TableCell>Similarity</TableCell>
+                <TableCell>Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {duplicateReviewJob?.duplicates.map((duplicate) => (
+                <TableRow key={duplicate.documentId}>
+                  <TableCell>
+                    <Typography variant="body2">{duplicate.title}</Typography>
+                    <Typography variant="caption" color="text.secondary">{duplicate.createdBy}</Typography>
+                  </TableCell>
+                  <TableCell>
+                    {duplicate.exact ? 'Identical text' : `${Math.round(duplicate.similarity * 100)}%`}
+                  </TableCell>
+                  <TableCell>
+                    <Button size="small" onClick={() => handleResolveDuplicates('replace', duplicate.documentId)}>
+                      Replace
+                    </Button>
+                    <Button size="small" onClick={() => handleResolveDuplicates('merge', duplicate.documentId)}>
+                      Merge
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDuplicateReviewJob(null)}>Cancel</Button>
+          <Button variant="contained" onClick={() => handleResolveDuplicates('keep')}>
+            Keep Both
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Revision History Dialog */}
+      <Dialog open={Boolean(revisionDoc)} onClose={() => setRevisionDoc(null)} maxWidth="md" fullWidth>
+        <DialogTitle>Revision History - {revisionDoc?.title}</DialogTitle>
+        <DialogContent>
+          <TableContainer component={Paper} variant="outlined" sx={{ mt: 1, maxHeight: 260 }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Revision</TableCell>
+                  <TableCell>Change</TableCell>
+                  <TableCell>By</TableCell>
+                  <TableCell>Saved</TableCell>
+                  <TableCell>Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {revisions.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={5}>
+                      <Typography variant="body2" color="text.secondary">
+                        No revisions yet. The first edit saves the current text as revision 1.
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+                {revisions.map((revision, index) => (
+                  <TableRow key={revision._id}>
+                    <TableCell>
+                      {revision.revision}
+                      {index === 0 && <Chip label="Current" size="small" color="success" sx={{ ml: 1 }} />}
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2">
+                        {revision.action}{revision.changedFields.length > 0 && `: ${revision.changedFields.join(', ')}`}
+                      </Typography>
+                      {revision.note && (
+                        <Typography variant="caption" color="text.secondary">{revision.note}</Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>{revision.createdBy}</TableCell>
+                    <TableCell>{new Date(revision.createdAt).toLocaleString()}</TableCell>
+                    <TableCell>
+                      <Button
+                        size="small"
+                        disabled={index === revisions.length - 1}
+                        onClick={() => fetchRevisionDiff(revisionDoc._id, revisions[index + 1].revision, revision.revision)}
+                      >
+                        Changes
+                      </Button>
+                      <Button
+                        size="small"
+                        startIcon={<RestoreIcon />}
+                        disabled={index === 0}
+                        onClick={() => handleRestoreRevision(revision.revision)}
+                      >
+                        Restore
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          {revisions.length > 1 && (
+            <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
+              {['from', 'to'].map((side) => (
+                <FormControl key={side} size="small" sx={{ minWidth: 140 }}>
+                  <InputLabel>{side === 'from' ? 'Compare' : 'With'}</InputLabel>
+                  <Select
+                    value={revisionCompare[side]}
+                    label={side === 'from' ? 'Compare' : 'With'}
+                    onChange={(e) => {
+                      const next = { ...revisionCompare, [side]: e.target.value };
+                      fetchRevisionDiff(revisionDoc._id, next.from, next.to);
+                    }}
+                  >
+                    {revisions.map((revision) => (
+                      <MenuItem key={revision.revision} value={revision.revision}>
+                        Revision {revision.revision}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              ))}
+            </Box>
+          )}
+
+          {revisionDiff && (
+            <Box sx={{ mt: 2 }}>
+              <Typography variant="subtitle2" gutterBottom>
+                Revision {revisionDiff.from} to {revisionDiff.to}: {revisionDiff.content.added} line(s) added, {revisionDiff.content.removed} removed
+              </Typography>
+              {revisionDiff.fields.map((change) => (
+                <Typography key={change.field} variant="body2" sx={{ mb: 0.5 }}>
+                  <strong>{change.field}</strong>: {JSON.stringify(change.from)} &rarr; {JSON.stringify(change.to)}
+                </Typography>
+              ))}
+              {revisionDiff.content.hunks.map((hunk, hunkIndex) => (
+                <Paper
+                  key={hunkIndex}
+                  variant="outlined"
+                  sx={{ mt: 1, fontFamily: 'monospace', fontSize: 13, whiteSpace: 'pre-wrap', overflowX: 'auto' }}
+                >
+                  <Box sx={{ px: 1, bgcolor: 'action.hover', color: 'text.secondary' }}>
+                    @@ -{hunk.oldStart},{hunk.oldLines} +{hunk.newStart},{hunk.newLines} @@
+                  </Box>
+                  {hunk.lines.map((line, lineIndex) => (
+                    <Box
+                      key={lineIndex}
+                      sx={{
+                        px: 1,
+                        bgcolor: line.startsWith('+') ? 'success.light' : line.startsWith('-') ? 'error.light' : 'transparent'
+                      }}
+                    >
+                      {line}
+                    </Box>
+                  ))}
+                </Paper>
+              ))}
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRevisionDoc(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Add Q&A Dialog */}
       <Dialog open={openQA} onClose={() => setOpenQA(false)} maxWidth="md" fullWidth>
-        <DialogTitle>Add New Q&A</DialogTitle>
+        <DialogTitle>{qaForm.gapId ? 'Answer Knowledge Gap' : 'Add New Q&A'}</DialogTitle>
         <DialogContent>
           <Box sx={{ pt: 2, display: 'flex', flexDirection: 'column', gap: 2 }}>
+            {qaForm.gap && (
+              <Alert severity="info">
+                Asked {qaForm.gap.count} time{qaForm.gap.count === 1 ? '' : 's'}, for example:
+                {[...new Set(qaForm.gap.questions.map(q => q.text))].slice(-5).map((text) => (
+                  <Typography key={text} variant="body2">- {text}</Typography>
+                ))}
+              </Alert>
+            )}
             <TextField
               label="Question"
               value={qaForm.question}
@@ -616,6 +2628,47 @@ const AdminPanel = () => {
         </DialogActions>
       </Dialog>
 
+      {/* Glossary Dialog (Create/Edit) */}
+      <Dialog open={openGlossaryDialog} onClose={() => setOpenGlossaryDialog(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editingTerm ? 'Edit Glossary Term' : 'Add Glossary Term'}</DialogTitle>
+        <DialogContent>
+          <Box sx={{ pt: 2, display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <TextField
+              label="Term"
+              value={glossaryForm.term}
+              onChange={(e) => setGlossaryForm({ ...glossaryForm, term: e.target.value })}
+              fullWidth
+              required
+              placeholder="PTO"
+            />
+
+            <TextField
+              label="Synonyms (comma separated)"
+              value={glossaryForm.synonyms}
+              onChange={(e) => setGlossaryForm({ ...glossaryForm, synonyms: e.target.value })}
+              fullWidth
+              placeholder="paid leave, vacation, days off"
+            />
+
+            <TextField
+              label="Definition"
+              value={glossaryForm.definition}
+              onChange={(e) => setGlossaryForm({ ...glossaryForm, definition: e.target.value })}
+              fullWidth
+              required
+              multiline
+              rows={3}
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpenGlossaryDialog(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSaveGlossaryTerm}>
+            {editingTerm ? 'Update Term' : 'Add Term'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* User Dialog (Create/Edit) */}
       <Dialog open={openUserDialog} onClose={() => setOpenUserDialog(false)} maxWidth="sm" fullWidth>
         <DialogTitle>
@@ -714,6 +2767,13 @@ const AdminPanel = () => {
                   fullWidth
                 />
 
+                <TextField
+                  label="Office"
+                  value={userForm.office}
+                  onChange={(e) => setUserForm({ ...userForm, office: e.target.value })}
+                  fullWidth
+                />
+
                 <TextField
                   label="Employee ID"
                   value={userForm.employeeId}
@@ -2,18 +2,77 @@ import React, { useState, useEffect, useRef } from 'react';
 import {
   Box, Container, Paper, TextField, IconButton,
   Avatar, Typography, Button, Chip,
-  CircularProgress, Card, CardContent
+  CircularProgress, Card, CardContent,
+  Dialog, DialogTitle, DialogContent, DialogActions
 } from '@mui/material';
 import SendIcon from '@mui/icons-material/Send';
+import StopIcon from '@mui/icons-material/Stop';
 import AttachFileIcon from '@mui/icons-material/AttachFile';
 import ThumbUpIcon from '@mui/icons-material/ThumbUp';
 import ThumbDownIcon from '@mui/icons-material/ThumbDown';
+import DescriptionIcon from '@mui/icons-material/Description';
+import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
+import SafeMarkdown from './SafeMarkdown';
+
+// Read Server-Sent Events from a fetch response
+const readEvents = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    events.forEach(block => {
+      const event = block.match(/^event: (.*)$/m)?.[1] || 'message';
+      const data = block.match(/^data: (.*)$/m)?.[1];
+      if (data) onEvent(event, JSON.parse(data));
+    });
+  }
+};
+
+// POST to the streaming chat endpoint, refreshing the token once if it expired
+const openChatStream = async (body, signal, retry = true) => {
+  const token = localStorage.getItem('token');
+  const response = await fetch('http://localhost:5000/api/chat/stream', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` })
+    },
+    credentials: 'include',
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (response.status === 401 && retry) {
+    const refresh = await axios.post('/auth/refresh');
+    localStorage.setItem('token', refresh.data.token);
+    return openChatStream(body, signal, false);
+  }
+
+  if (!response.ok) {
+    // Refusals such as a used-up quota come with a reply to show
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(`Chat request failed with status ${response.status}`);
+    error.reply = data.reply;
+    throw error;
+  }
+
+  return response;
+};
 
 const ChatUI = () => {
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [isStreaming, setIsStreaming] = useState(false);
   const [sessionId, setSessionId] = useState(null);
   const [quickReplies, setQuickReplies] = useState([
     "What are the working hours?",
@@ -22,7 +81,10 @@ const ChatUI = () => {
     "What benefits are available?"
   ]);
   const [showFeedback, setShowFeedback] = useState(null);
+  const [openCitation, setOpenCitation] = useState(null);
   const messagesEndRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  const navigate = useNavigate();
 
   // Initialize session
   useEffect(() => {
@@ -44,14 +106,14 @@ const ChatUI = () => {
   const loadConversationHistory = async (sessionId) => {
     try {
       const response = await axios.get(`http://localhost:5000/api/chat/history/${sessionId}`);
-      setMessages(response.data);
+      setMessages(response.data.messages);
     } catch (error) {
       console.error('Error loading history:', error);
     }
   };
 
   const sendMessage = async () => {
-    if (!input.trim()) return;
+    if (!input.trim() || isStreaming) return;
     
     const userMessage = { 
       role: 'user', 
@@ -63,46 +125,92 @@ const ChatUI = () => {
     setInput('');
     setShowFeedback(null);
 
-    try {
-      const response = await axios.post('http://localhost:5000/api/chat', {
-        message: input,
-        sessionId: sessionId
-      });
-      
-      const botMessage = {
-        role: 'bot',
-        content: response.data.reply,
-        quickReplies: response.data.quickReplies,
-        timestamp: new Date(),
-        conversationId: response.data.conversationId
-      };
-      
-      setMessages(prev => [...prev, botMessage]);
-      
-      if (response.data.sessionId && !sessionId) {
-        setSessionId(response.data.sessionId);
-        localStorage.setItem('chatSessionId', response.data.sessionId);
+    // The bot message is added with the first token and updated as text arrives
+    let started = false;
+    const updateBotMessage = (changes) => {
+      if (!started) {
+        started = true;
+        setIsLoading(false);
+        setMessages(prev => [...prev, { role: 'bot', content: '', timestamp: new Date(), ...changes }]);
+        return;
       }
-      
-      if (response.data.quickReplies) {
-        setQuickReplies(response.data.quickReplies);
+      setMessages(prev => [
+        ...prev.slice(0, -1),
+        { ...prev[prev.length - 1], ...changes }
+      ]);
+    };
+
+    const rememberSession = (newSessionId) => {
+      if (newSessionId && !sessionId) {
+        setSessionId(newSessionId);
+        localStorage.setItem('chatSessionId', newSessionId);
       }
-      
-      // Show feedback option
-      setShowFeedback(response.data.conversationId);
+    };
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setIsStreaming(true);
+    let content = '';
+
+    try {
+      const response = await openChatStream({ message: input, sessionId: sessionId }, controller.signal);
+
+      await readEvents(response, (event, data) => {
+        if (event === 'start') {
+          rememberSession(data.sessionId);
+        } else if (event === 'token') {
+          content += data.text;
+          updateBotMessage({ content });
+        } else if (event === 'done') {
+          updateBotMessage({
+            content: data.reply,
+            quickReplies: data.quickReplies,
+            citations: data.citations,
+            conversationId: data.conversationId,
+            metadata: {
+              cached: data.cached,
+              interrupted: data.interrupted,
+              confidence: data.confidence,
+              degraded: data.degraded,
+              fallback: data.fallback
+            }
+          });
+
+          if (data.quickReplies) {
+            setQuickReplies(data.quickReplies);
+          }
+
+          // Show feedback option
+          setShowFeedback(data.conversationId);
+        } else if (event === 'error') {
+          updateBotMessage({ content: data.reply });
+        }
+      });
       
     } catch (error) {
-      console.error('Error sending message:', error);
-      setMessages(prev => [...prev, {
-        role: 'bot',
-        content: "Sorry, I'm having trouble connecting. Please try again later.",
-        timestamp: new Date()
-      }]);
+      if (error.name === 'AbortError') {
+        // Stopped by the user; the server keeps the partial answer
+        if (started) {
+          updateBotMessage({ metadata: { interrupted: true } });
+        }
+      } else {
+        console.error('Error sending message:', error);
+        updateBotMessage({
+          content: error.reply || "Sorry, I'm having trouble connecting. Please try again later.",
+          timestamp: new Date()
+        });
+      }
     }
     
+    abortControllerRef.current = null;
+    setIsStreaming(false);
     setIsLoading(false);
   };
 
+  const stopGenerating = () => {
+    abortControllerRef.current?.abort();
+  };
+
   const handleQuickReply = (reply) => {
     setInput(reply);
     setTimeout(() => sendMessage(), 100);
@@ -172,7 +280,40 @@ const ChatUI = () => {
                     borderRadius: msg.role === 'user' ? '18px 18px 4px 18px' : '18px 18px 18px 4px'
                   }}
                 >
-                  <Typography>{msg.content}</Typography>
+                  {msg.role === 'bot'
+                    ? <SafeMarkdown text={msg.content} />
+                    : <Typography>{msg.content}</Typography>}
+
+                  {msg.role === 'bot' && msg.metadata?.degraded && msg.metadata.fallback !== 'unavailable' && (
+                    <Typography variant="body2" sx={{ mt: 1, color: 'warning.dark' }}>
+                      {msg.metadata.fallback === 'extractive'
+                        ? 'Quoted from the knowledge base while the AI assistant is unavailable.'
+                        : 'The AI assistant stopped responding, so this answer is incomplete. Please try again later.'}
+                    </Typography>
+                  )}
+
+                  {msg.role === 'bot' && msg.metadata?.confidence === 'low' && (
+                    <Typography variant="body2" sx={{ mt: 1, color: 'warning.dark' }}>
+                      Low confidence: the knowledge base may not fully cover this. Check the sources or ask HR to confirm.
+                    </Typography>
+                  )}
+
+                  {msg.role === 'bot' && msg.citations?.length > 0 && (
+                    <Box sx={{ mt: 1, display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                      {msg.citations.map((citation, i) => (
+                        <Chip
+                          key={i}
+                          icon={<DescriptionIcon />}
+                          label={`${i + 1}. ${citation.title}`}
+                          size="small"
+                          variant="outlined"
+                          color="primary"
+                          onClick={() => setOpenCitation(citation)}
+                          sx={{ cursor: 'pointer', maxWidth: 240 }}
+                        />
+                      ))}
+                    </Box>
+                  )}
                   
                   {msg.quickReplies && idx === messages.length - 1 && msg.role === 'bot' && (
                     <Box sx={{ mt: 1, display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
@@ -207,6 +348,8 @@ const ChatUI = () => {
                 }}
               >
                 {new Date(msg.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                {msg.role === 'bot' && msg.metadata?.cached && ' · Cached answer'}
+                {msg.role === 'bot' && msg.metadata?.interrupted && ' · Stopped'}
               </Typography>
             </Box>
           ))}
@@ -286,17 +429,54 @@ const ChatUI = () => {
             multiline
             maxRows={3}
           />
-          <IconButton 
-            color="primary" 
-            onClick={sendMessage}
-            disabled={isLoading || !input.trim()}
-            sx={{ alignSelf: 'flex-end' }}
-          >
-            {isLoading ? <CircularProgress size={24} /> : <SendIcon />}
-          </IconButton>
+          {isStreaming ? (
+            <IconButton 
+              color="error" 
+              onClick={stopGenerating}
+              title="Stop generating"
+              sx={{ alignSelf: 'flex-end' }}
+            >
+              <StopIcon />
+            </IconButton>
+          ) : (
+            <IconButton 
+              color="primary" 
+              onClick={sendMessage}
+              disabled={!input.trim()}
+              sx={{ alignSelf: 'flex-end' }}
+            >
+              <SendIcon />
+            </IconButton>
+          )}
         </Box>
       </Paper>
 
+      {/* Source Passage Dialog */}
+      <Dialog open={Boolean(openCitation)} onClose={() => setOpenCitation(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{openCitation?.title}</DialogTitle>
+        <DialogContent dividers>
+          <Typography sx={{ whiteSpace: 'pre-wrap' }}>
+            {openCitation?.snippet}
+          </Typography>
+          {openCitation?.score !== undefined && (
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 2 }}>
+              Relevance: {Math.round(openCitation.score * 100)}%
+            </Typography>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpenCitation(null)}>Close</Button>
+          <Button
+            variant="contained"
+            onClick={() => navigate(
+              `/kb/${openCitation.documentId}?start=${openCitation.startOffset}&end=${openCitation.endOffset}`
+            )}
+          >
+            Open document
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Info Card */}
       <Card sx={{ mt: 2 }}>
         <CardContent>
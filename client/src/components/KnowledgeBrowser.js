@@ -0,0 +1,253 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import {
+  Box, Container, Paper, Typography, TextField,
+  List, ListItemButton, ListItemText, Chip,
+  CircularProgress, Button, Alert, Divider
+} from '@mui/material';
+import {
+  Search as SearchIcon,
+  ArrowBack as BackIcon,
+  Description as DocumentIcon
+} from '@mui/icons-material';
+import axios from 'axios';
+
+const categoryLabels = {
+  policy: 'Company Policy',
+  benefits: 'Benefits',
+  it: 'IT Support',
+  hr: 'HR',
+  general: 'General',
+  'hr-only': 'HR Only',
+  'admin-only': 'Admin Only'
+};
+
+const KnowledgeBrowser = () => {
+  const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const [categories, setCategories] = useState([]);
+  const [selectedCategory, setSelectedCategory] = useState('all');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [documents, setDocuments] = useState([]);
+  const [activeDocument, setActiveDocument] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const highlightRef = useRef(null);
+
+  // Passage to highlight when opened from a chat citation
+  const highlightStart = parseInt(searchParams.get('start'));
+  const highlightEnd = parseInt(searchParams.get('end'));
+
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const response = await axios.get('/kb/categories');
+        setCategories(response.data.categories);
+      } catch (error) {
+        console.error('Error fetching categories:', error);
+      }
+    };
+    fetchCategories();
+  }, []);
+
+  useEffect(() => {
+    if (id) return;
+
+    const fetchDocuments = async () => {
+      setLoading(true);
+      try {
+        const response = await axios.get('/kb/documents', {
+          params: { category: selectedCategory, search: searchQuery || undefined }
+        });
+        setDocuments(response.data.documents);
+        setError('');
+      } catch (error) {
+        setError('Could not load documents. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    const timer = setTimeout(fetchDocuments, 300);
+    return () => clearTimeout(timer);
+  }, [id, selectedCategory, searchQuery]);
+
+  useEffect(() => {
+    if (!id) {
+      setActiveDocument(null);
+      return;
+    }
+
+    const fetchDocument = async () => {
+      setLoading(true);
+      try {
+        const response = await axios.get(`/kb/documents/${id}`);
+        setActiveDocument(response.data.document);
+        setError('');
+      } catch (error) {
+        setActiveDocument(null);
+        setError(error.response?.status === 404
+          ? 'This document does not exist or you do not have access to it.'
+          : 'Could not load the document. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchDocument();
+  }, [id]);
+
+  // Scroll the highlighted passage into view
+  useEffect(() => {
+    if (activeDocument && highlightRef.current) {
+      highlightRef.current.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [activeDocument]);
+
+  const renderContent = () => {
+    const content = activeDocument.content;
+    const hasHighlight = Number.isInteger(highlightStart) && Number.isInteger(highlightEnd) &&
+      highlightStart >= 0 && highlightEnd > highlightStart && highlightEnd <= content.length;
+
+    if (!hasHighlight) {
+      return content;
+    }
+
+    return (
+      <>
+        {content.substring(0, highlightStart)}
+        <Box component="mark" ref={highlightRef} sx={{ bgcolor: 'warning.light', borderRadius: 0.5 }}>
+          {content.substring(highlightStart, highlightEnd)}
+        </Box>
+        {content.substring(highlightEnd)}
+      </>
+    );
+  };
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      <Typography variant="h4" gutterBottom>
+        Knowledge Base
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 3, alignItems: 'flex-start' }}>
+        {/* Category Navigation */}
+        <Paper sx={{ width: 240, flexShrink: 0 }}>
+          <List dense>
+            <ListItemButton
+              selected={selectedCategory === 'all'}
+              onClick={() => { setSelectedCategory('all'); navigate('/kb'); }}
+            >
+              <ListItemText primary="All Documents" />
+            </ListItemButton>
+            {categories.map(({ category, count }) => (
+              <ListItemButton
+                key={category}
+                selected={selectedCategory === category}
+                onClick={() => { setSelectedCategory(category); navigate('/kb'); }}
+              >
+                <ListItemText primary={categoryLabels[category] || category} />
+                <Chip label={count} size="small" />
+              </ListItemButton>
+            ))}
+          </List>
+        </Paper>
+
+        <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          {id ? (
+            /* Document Reader */
+            <Paper sx={{ p: 3 }}>
+              <Button startIcon={<BackIcon />} onClick={() => navigate('/kb')} sx={{ mb: 2 }}>
+                Back to documents
+              </Button>
+
+              {loading && (
+                <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+                  <CircularProgress />
+                </Box>
+              )}
+
+              {activeDocument && !loading && (
+                <>
+                  <Typography variant="h5" gutterBottom>
+                    {activeDocument.title}
+                  </Typography>
+                  <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+                    <Chip
+                      label={categoryLabels[activeDocument.category] || activeDocument.category}
+                      size="small"
+                      color="primary"
+                      variant="outlined"
+                    />
+                    {activeDocument.tags?.map((tag, idx) => (
+                      <Chip key={idx} label={tag} size="small" />
+                    ))}
+                  </Box>
+                  <Typography variant="caption" color="text.secondary">
+                    Last updated {new Date(activeDocument.updatedAt).toLocaleDateString()}
+                  </Typography>
+                  <Divider sx={{ my: 2 }} />
+                  <Typography component="div" sx={{ whiteSpace: 'pre-wrap', lineHeight: 1.7 }}>
+                    {renderContent()}
+                  </Typography>
+                </>
+              )}
+            </Paper>
+          ) : (
+            /* Document List */
+            <Paper sx={{ p: 2 }}>
+              <TextField
+                placeholder="Search the knowledge base..."
+                variant="outlined"
+                size="small"
+                fullWidth
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                InputProps={{
+                  startAdornment: <SearchIcon sx={{ mr: 1, color: 'action.active' }} />
+                }}
+                sx={{ mb: 2 }}
+              />
+
+              {loading ? (
+                <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+                  <CircularProgress />
+                </Box>
+              ) : documents.length === 0 ? (
+                <Typography color="text.secondary" sx={{ p: 2 }}>
+                  No documents found.
+                </Typography>
+              ) : (
+                <List>
+                  {documents.map((doc) => (
+                    <ListItemButton key={doc._id} onClick={() => navigate(`/kb/${doc._id}`)}>
+                      <DocumentIcon sx={{ mr: 2, color: 'action.active' }} />
+                      <ListItemText
+                        primary={doc.title}
+                        secondary={doc.summary ? `${doc.summary.substring(0, 150)}...` : null}
+                      />
+                      <Chip
+                        label={categoryLabels[doc.category] || doc.category}
+                        size="small"
+                        variant="outlined"
+                        sx={{ ml: 2 }}
+                      />
+                    </ListItemButton>
+                  ))}
+                </List>
+              )}
+            </Paper>
+          )}
+        </Box>
+      </Box>
+    </Container>
+  );
+};
+
+export default KnowledgeBrowser;
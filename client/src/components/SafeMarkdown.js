@@ -0,0 +1,92 @@
+import React from 'react';
+import { Box, Typography, Link } from '@mui/material';
+
+// Renders the Markdown subset bot answers use: paragraphs, bullet and
+// numbered lists, **bold**, *italic* and links. Everything is built as React
+// elements, never as HTML, and only http(s) and mailto links are clickable.
+
+const INLINE_PATTERN = /(\*\*[^*\n]+\*\*|\*[^*\s][^*\n]*\*|\[[^\]\n]+\]\([^)\s]+\))/;
+const BULLET_PATTERN = /^\s*[-*•]\s+(.*)$/;
+const NUMBERED_PATTERN = /^\s*\d+[.)]\s+(.*)$/;
+
+const isSafeUrl = (url) => /^(https?:\/\/|mailto:)/i.test(url);
+
+const renderInline = (text, keyPrefix = '') => {
+  return text.split(INLINE_PATTERN).filter(Boolean).map((part, i) => {
+    const key = `${keyPrefix}${i}`;
+
+    if (/^\*\*.+\*\*$/.test(part)) {
+      return <strong key={key}>{renderInline(part.slice(2, -2), `${key}-`)}</strong>;
+    }
+    if (/^\*.+\*$/.test(part)) {
+      return <em key={key}>{renderInline(part.slice(1, -1), `${key}-`)}</em>;
+    }
+
+    const link = part.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+    if (link) {
+      return isSafeUrl(link[2])
+        ? <Link key={key} href={link[2]} target="_blank" rel="noopener noreferrer">{link[1]}</Link>
+        : link[1];
+    }
+
+    return part;
+  });
+};
+
+// Group lines into paragraphs and lists
+const parseBlocks = (text) => {
+  const blocks = [];
+  let current = null;
+
+  (text || '').replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+    const bullet = line.match(BULLET_PATTERN);
+    const numbered = !bullet && line.match(NUMBERED_PATTERN);
+    const type = bullet ? 'ul' : numbered ? 'ol' : line.trim() ? 'p' : null;
+
+    if (!type) {
+      current = null;
+      return;
+    }
+
+    if (!current || current.type !== type) {
+      current = { type, lines: [] };
+      blocks.push(current);
+    }
+    current.lines.push(bullet ? bullet[1] : numbered ? numbered[1] : line.trim());
+  });
+
+  return blocks;
+};
+
+const SafeMarkdown = ({ text }) => {
+  return (
+    <Box sx={{ '& > :first-of-type': { mt: 0 }, '& > :last-child': { mb: 0 } }}>
+      {parseBlocks(text).map((block, i) => {
+        if (block.type === 'p') {
+          return (
+            <Typography key={i} sx={{ my: 1 }}>
+              {block.lines.map((line, j) => (
+                <React.Fragment key={j}>
+                  {j > 0 && <br />}
+                  {renderInline(line, `${i}-${j}-`)}
+                </React.Fragment>
+              ))}
+            </Typography>
+          );
+        }
+
+        return (
+          <Box key={i} component={block.type} sx={{ my: 1, pl: 3 }}>
+            {block.lines.map((line, j) => (
+              <Typography key={j} component="li">
+                {renderInline(line, `${i}-${j}-`)}
+              </Typography>
+            ))}
+          </Box>
+        );
+      })}
+    </Box>
+  );
+};
+
+export default SafeMarkdown;
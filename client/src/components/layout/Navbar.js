@@ -17,6 +17,7 @@ import {
   SmartToy as ChatIcon,
   Settings as AdminIcon,
   Person as UserIcon,
+  MenuBook as KnowledgeBaseIcon,
   ExitToApp as LogoutIcon,
   ArrowDropDown as ArrowDropDownIcon
 } from '@mui/icons-material';
@@ -76,6 +77,15 @@ const Navbar = () => {
               >
                 Chat
               </Button>
+
+              <Button 
+                color="inherit" 
+                component={Link} 
+                to="/kb"
+                startIcon={<KnowledgeBaseIcon />}
+              >
+                Knowledge Base
+              </Button>
               
               {(isAdmin || isHR) && (
                 <Button 
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const { RULE_ATTRIBUTES, RULE_OPERATORS } = require('../services/AccessPolicyService');
+
+// Embedded access policy shared by KnowledgeBase documents and their chunks.
+// A reader must satisfy every rule, e.g. { attribute: 'department',
+// operator: 'in', values: ['engineering'] }.
+const accessRuleSchema = new mongoose.Schema({
+  attribute: {
+    type: String,
+    enum: RULE_ATTRIBUTES,
+    required: true
+  },
+  operator: {
+    type: String,
+    enum: RULE_OPERATORS,
+    default: 'in'
+  },
+  values: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }]
+}, { _id: false });
+
+const accessPolicySchema = new mongoose.Schema({
+  rules: [accessRuleSchema]
+}, { _id: false });
+
+module.exports = accessPolicySchema;
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const citationSchema = require('./Citation');
+
+// A generated answer that can be served again for the same question
+const answerCacheSchema = new mongoose.Schema({
+  questionKey: {
+    type: String,
+    required: true
+  },
+  question: {
+    type: String,
+    required: true
+  },
+  userRole: {
+    type: String,
+    enum: ['employee', 'admin', 'hr'],
+    required: true
+  },
+  // Knowledge base revision the answer was generated against
+  kbRevision: {
+    type: Number,
+    required: true
+  },
+  answer: {
+    type: String,
+    required: true
+  },
+  confidence: {
+    type: String,
+    enum: ['high', 'medium', 'low']
+  },
+  quickReplies: [String],
+  citations: [citationSchema],
+  sourceDocumentIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnowledgeBase',
+    index: true
+  }],
+  // Used for near-duplicate matching
+  embedding: {
+    type: [Number],
+    select: false
+  },
+  embeddingModel: String,
+  // Time it took to generate the answer, saved again on every hit
+  responseTime: {
+    type: Number,
+    default: 0
+  },
+  hitCount: {
+    type: Number,
+    default: 0
+  },
+  lastHitAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+answerCacheSchema.index({ questionKey: 1, userRole: 1, kbRevision: 1 }, { unique: true });
+answerCacheSchema.index({ userRole: 1, kbRevision: 1, createdAt: -1 });
+answerCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.AnswerCache || mongoose.model('AnswerCache', answerCacheSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Knowledge base passage an answer was generated from
+const citationSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnowledgeBase',
+    required: true
+  },
+  chunkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnowledgeChunk'
+  },
+  title: String,
+  // Revision of the document the answer was generated from
+  revision: Number,
+  snippet: String,
+  startOffset: Number,
+  endOffset: Number,
+  score: Number
+}, { _id: false });
+
+module.exports = citationSchema;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const citationSchema = require('./Citation');
 
 const messageSchema = new mongoose.Schema({
   role: {
@@ -16,11 +17,58 @@ const messageSchema = new mongoose.Schema({
     default: Date.now
   },
   quickReplies: [String],
+  citations: [citationSchema],
   metadata: {
     intent: String,
     length: Number,
     userAgent: String,
-    sentiment: String
+    sentiment: String,
+    searchQuery: String,
+    queryRewriteMethod: {
+      type: String,
+      enum: ['none', 'llm', 'heuristic']
+    },
+    glossaryTerms: [String],
+    // Prompt injection heuristics; blocked replies were not generated
+    injectionScore: Number,
+    injectionFlagged: Boolean,
+    blocked: Boolean,
+    knowledgeSources: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'KnowledgeBase'
+    }],
+    responseLength: Number,
+    responseTime: Number,
+    // Served from the answer cache; savedTime is the original generation time
+    cached: Boolean,
+    cacheMatch: {
+      type: String,
+      enum: ['exact', 'similar']
+    },
+    savedTime: Number,
+    // Generation was stopped by the user; content is the partial answer
+    interrupted: Boolean,
+    // Model's own confidence; structuredOutput is false when the model did
+    // not follow the JSON answer format
+    confidence: {
+      type: String,
+      enum: ['high', 'medium', 'low']
+    },
+    structuredOutput: Boolean,
+    // Model that generated the answer
+    model: String,
+    // The model failed; content is a fallback instead of a generated answer
+    degraded: Boolean,
+    fallback: {
+      type: String,
+      enum: ['extractive', 'partial', 'unavailable']
+    },
+    llmError: String,
+    // Conversation memory included in the prompt for this answer
+    historyMessages: Number,
+    historyTokens: Number,
+    usedSummary: Boolean,
+    generatedAt: Date
   }
 });
 
@@ -39,6 +87,28 @@ const conversationSchema = new mongoose.Schema({
   userName: String,
   userRole: String,
   messages: [messageSchema],
+  // Rolling summary of the turns that no longer fit in the prompt's history
+  // window; summarizedCount is the number of messages it covers
+  memory: {
+    summary: {
+      type: String,
+      default: ''
+    },
+    summarizedCount: {
+      type: Number,
+      default: 0
+    },
+    updatedAt: Date
+  },
+  // A/B experiment variant the conversation was assigned when it started
+  experiment: {
+    experimentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Experiment'
+    },
+    variant: String,
+    assignedAt: Date
+  },
   feedback: {
     rating: {
       type: Number,
@@ -65,9 +135,8 @@ const conversationSchema = new mongoose.Schema({
 });
 
 // Update timestamp on save
-conversationSchema.pre('save', function(next) {
+conversationSchema.pre('save', function() {
   this.updatedAt = Date.now();
-  next();
 });
 
 // Indexes for efficient queries
@@ -75,6 +144,7 @@ conversationSchema.index({ userId: 1, updatedAt: -1 });
 conversationSchema.index({ sessionId: 1, userId: 1 });
 conversationSchema.index({ userEmail: 1 });
 conversationSchema.index({ createdAt: -1 });
+conversationSchema.index({ 'experiment.experimentId': 1 });
 conversationSchema.index({ 'feedback.rating': 1 });
 
 // Static method to get user conversations
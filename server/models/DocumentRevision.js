@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A saved state of a knowledge base document. Every change to its content
+// or metadata adds a revision, restoring an old one included, so history is
+// never rewritten.
+const documentRevisionSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnowledgeBase',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  // What the revision came from; `baseline` is the state of a document
+  // that existed before revisions were kept, taken at its first change
+  action: {
+    type: String,
+    enum: ['create', 'update', 'restore', 'baseline'],
+    required: true
+  },
+  changedFields: [String],
+  restoredFrom: Number,
+  note: {
+    type: String,
+    trim: true
+  },
+  title: String,
+  content: String,
+  summary: String,
+  category: String,
+  tags: [String],
+  accessRoles: [String],
+  accessPolicy: mongoose.Schema.Types.Mixed,
+  isActive: Boolean,
+  createdBy: String,
+  createdByUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+documentRevisionSchema.index({ documentId: 1, revision: -1 }, { unique: true });
+
+module.exports = mongoose.models.DocumentRevision || mongoose.model('DocumentRevision', documentRevisionSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A golden question for the retrieval evaluation harness
+const evalQuestionSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  expectedDocumentIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnowledgeBase',
+    required: true
+  }],
+  // The question is asked as a user with this role and these attributes
+  userRole: {
+    type: String,
+    enum: ['employee', 'admin', 'hr'],
+    default: 'employee'
+  },
+  userAttributes: {
+    department: String,
+    position: String,
+    office: String
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String,
+    default: 'system'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamp on save
+evalQuestionSchema.pre('save', function() {
+  this.updatedAt = Date.now();
+});
+
+evalQuestionSchema.index({ isActive: 1, createdAt: 1 });
+
+module.exports = mongoose.models.EvalQuestion || mongoose.model('EvalQuestion', evalQuestionSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const evalResultSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EvalQuestion'
+  },
+  question: String,
+  userRole: String,
+  expectedDocumentIds: [mongoose.Schema.Types.ObjectId],
+  retrievedDocumentIds: [mongoose.Schema.Types.ObjectId],
+  // 1-based rank of the first expected document, null if none was retrieved
+  firstRelevantRank: Number,
+  recall: Number,
+  reciprocalRank: Number
+}, { _id: false });
+
+// One pass of the golden question set through the retrieval pipeline
+const evalRunSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  trigger: {
+    type: String,
+    enum: ['admin', 'cli'],
+    default: 'admin'
+  },
+  k: {
+    type: Number,
+    required: true
+  },
+  // Retrieval settings in effect, so runs can be told apart later
+  config: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  metrics: {
+    questionCount: Number,
+    recallAtK: Number,
+    mrr: Number,
+    hitRate: Number
+  },
+  results: [evalResultSchema],
+  error: String,
+  startedBy: String,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date
+});
+
+evalRunSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.models.EvalRun || mongoose.model('EvalRun', evalRunSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// One chat configuration under test. `settings` override the answer task's
+// model settings; empty fields keep them.
+const variantSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: String,
+  // Relative share of new conversations
+  weight: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  settings: {
+    model: String,
+    temperature: Number,
+    topK: Number,
+    topP: Number,
+    maxOutputTokens: Number
+  }
+}, { _id: false });
+
+// A/B test of chat configurations. While it runs, new conversations are
+// assigned a variant and keep it for their lifetime.
+const experimentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  status: {
+    type: String,
+    enum: ['draft', 'running', 'stopped'],
+    default: 'draft',
+    index: true
+  },
+  variants: [variantSchema],
+  startedAt: Date,
+  stoppedAt: Date,
+  createdBy: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+experimentSchema.pre('save', function() {
+  this.updatedAt = Date.now();
+});
+
+module.exports = mongoose.models.Experiment || mongoose.model('Experiment', experimentSchema);
@@ -45,6 +45,12 @@ const feedbackSchema = new mongoose.Schema({
   },
   category: String,
   tags: [String],
+  // Experiment variant of the conversation, for comparing ratings
+  experimentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Experiment'
+  },
+  variant: String,
   metadata: {
     responseTime: Number,
     sourceCount: Number,
@@ -62,9 +68,8 @@ const feedbackSchema = new mongoose.Schema({
 });
 
 // Update timestamp on save
-feedbackSchema.pre('save', function(next) {
+feedbackSchema.pre('save', function() {
   this.updatedAt = Date.now();
-  next();
 });
 
 // Indexes
@@ -74,6 +79,7 @@ feedbackSchema.index({ rating: 1 });
 feedbackSchema.index({ isHelpful: 1 });
 feedbackSchema.index({ userRole: 1 });
 feedbackSchema.index({ category: 1 });
+feedbackSchema.index({ experimentId: 1, variant: 1 });
 
 // Static method to get average rating
 feedbackSchema.statics.getAverageRating = async function() {
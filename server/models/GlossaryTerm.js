@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const glossaryTermSchema = new mongoose.Schema({
+  term: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  synonyms: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  definition: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  createdBy: {
+    type: String,
+    default: 'system'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamp on save
+glossaryTermSchema.pre('save', function() {
+  this.updatedAt = Date.now();
+});
+
+// Terms are unique regardless of case
+glossaryTermSchema.index({ term: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.models.GlossaryTerm || mongoose.model('GlossaryTerm', glossaryTermSchema);
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+const STAGES = ['parse', 'chunk', 'summarize', 'tag', 'index'];
+
+const DUPLICATE_ACTIONS = ['keep', 'replace', 'merge'];
+
+const duplicateSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnowledgeBase'
+  },
+  title: String,
+  createdBy: String,
+  similarity: Number,
+  exact: Boolean
+}, { _id: false });
+
+const stageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: STAGES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: String,
+  startedAt: Date,
+  finishedAt: Date
+}, { _id: false });
+
+// An uploaded file on its way into the knowledge base. Stages run in order
+// and are saved as they finish, so a failed or interrupted job continues
+// from the stage that did not complete.
+const ingestionJobSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    // `review` waits for a decision on likely duplicates
+    enum: ['queued', 'running', 'review', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  stages: {
+    type: [stageSchema],
+    default: () => STAGES.map(name => ({ name }))
+  },
+  // The stage running or next to run, and the share of stages completed
+  currentStage: {
+    type: String,
+    enum: [...STAGES, null],
+    default: STAGES[0]
+  },
+  progress: {
+    type: Number,
+    default: 0
+  },
+  // What the uploader sent
+  fileName: String,
+  filePath: String,
+  mimeType: String,
+  fileSize: Number,
+  fileHash: {
+    type: String,
+    index: true
+  },
+  // Set for files from the same bulk upload
+  batchId: {
+    type: String,
+    index: true
+  },
+  title: String,
+  category: String,
+  tags: [String],
+  accessPolicy: mongoose.Schema.Types.Mixed,
+  // The document being built; inactive until the index stage
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnowledgeBase'
+  },
+  format: String,
+  chunkCount: Number,
+  // Existing documents the upload is likely a copy of, and what to do:
+  // keep both, replace `duplicateOf`, or merge into it as a new revision
+  duplicates: [duplicateSchema],
+  duplicateAction: {
+    type: String,
+    enum: DUPLICATE_ACTIONS
+  },
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnowledgeBase'
+  },
+  quarantined: Boolean,
+  error: String,
+  createdBy: String,
+  createdByUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  userRole: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  startedAt: Date,
+  finishedAt: Date
+});
+
+ingestionJobSchema.statics.stages = STAGES;
+ingestionJobSchema.statics.duplicateActions = DUPLICATE_ACTIONS;
+
+module.exports = mongoose.models.IngestionJob || mongoose.model('IngestionJob', ingestionJobSchema);
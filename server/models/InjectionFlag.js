@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const injectionMatchSchema = new mongoose.Schema({
+  pattern: String,
+  label: String,
+  excerpt: String
+}, { _id: false });
+
+// A chat message or document that looked like a prompt injection attempt
+const injectionFlagSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['message', 'document'],
+    required: true
+  },
+  score: {
+    type: Number,
+    required: true
+  },
+  matches: [injectionMatchSchema],
+  excerpt: String,
+  // What happened to the message or document
+  action: {
+    type: String,
+    enum: ['logged', 'blocked', 'quarantined'],
+    default: 'logged'
+  },
+  status: {
+    type: String,
+    enum: ['open', 'confirmed', 'dismissed'],
+    default: 'open',
+    index: true
+  },
+  userId: String,
+  userEmail: String,
+  userRole: String,
+  sessionId: String,
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnowledgeBase',
+    index: true
+  },
+  documentTitle: String,
+  reviewedBy: String,
+  reviewedAt: Date,
+  reviewNote: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+injectionFlagSchema.index({ source: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.models.InjectionFlag || mongoose.model('InjectionFlag', injectionFlagSchema);
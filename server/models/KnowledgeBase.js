@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const accessPolicySchema = require('./AccessPolicy');
+const accessPolicyService = require('../services/AccessPolicyService');
 
 const knowledgeBaseSchema = new mongoose.Schema({
   title: {
@@ -27,6 +29,27 @@ const knowledgeBaseSchema = new mongoose.Schema({
   fileType: String,
   fileName: String,
   filePath: String,
+  // SHA-256 of the uploaded file
+  fileHash: {
+    type: String,
+    index: true
+  },
+  // Duplicate detection: a hash of the normalized text, its MinHash
+  // signature and the signature's bands, which are looked up to find
+  // candidates
+  contentHash: {
+    type: String,
+    index: true
+  },
+  minhash: {
+    type: [Number],
+    select: false
+  },
+  minhashBands: {
+    type: [String],
+    index: true,
+    select: false
+  },
   tags: [{
     type: String,
     lowercase: true,
@@ -37,11 +60,34 @@ const knowledgeBaseSchema = new mongoose.Schema({
     enum: ['employee', 'admin', 'hr'],
     default: ['employee']
   }],
+  accessPolicy: {
+    type: accessPolicySchema,
+    default: () => ({ rules: [] })
+  },
   isActive: {
     type: Boolean,
     default: true,
     index: true
   },
+  // Latest entry in the document's revision history; 0 until it has one
+  revision: {
+    type: Number,
+    default: 0
+  },
+  // Set when ingestion finds a likely prompt injection; quarantined
+  // documents stay out of chat and search until an admin releases them
+  quarantine: {
+    isQuarantined: {
+      type: Boolean,
+      default: false,
+      index: true
+    },
+    score: Number,
+    reasons: [String],
+    flaggedAt: Date,
+    releasedBy: String,
+    releasedAt: Date
+  },
   createdBy: {
     type: String,
     default: 'system'
@@ -63,9 +109,8 @@ const knowledgeBaseSchema = new mongoose.Schema({
 });
 
 // Update timestamp on save
-knowledgeBaseSchema.pre('save', function(next) {
+knowledgeBaseSchema.pre('save', function() {
   this.updatedAt = Date.now();
-  next();
 });
 
 // Create text index for full-text search
@@ -97,15 +142,20 @@ knowledgeBaseSchema.methods.incrementView = async function() {
   return this.save();
 };
 
-// Static method for searching with role-based filtering
-knowledgeBaseSchema.statics.searchByRole = function(query, userRole = 'employee', limit = 10) {
+// Static method for the access filter (role inheritance plus attribute rules)
+knowledgeBaseSchema.statics.accessFilter = function(user = 'employee') {
+  return {
+    isActive: true,
+    'quarantine.isQuarantined': { $ne: true },
+    ...accessPolicyService.buildFilter(user)
+  };
+};
+
+// Static method for searching with access-based filtering
+knowledgeBaseSchema.statics.searchByRole = function(query, user = 'employee', limit = 10) {
   const searchQuery = {
     $text: { $search: query },
-    isActive: true,
-    $or: [
-      { accessRoles: { $in: [userRole] } },
-      { accessRoles: { $size: 0 } }
-    ]
+    ...this.accessFilter(user)
   };
 
   return this.find(searchQuery, { score: { $meta: "textScore" } })
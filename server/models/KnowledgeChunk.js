@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const accessPolicySchema = require('./AccessPolicy');
+const accessPolicyService = require('../services/AccessPolicyService');
+
+// A passage of a KnowledgeBase document. Chunks are rebuilt whenever the
+// parent document changes, so the denormalized fields below (title, category,
+// tags, accessRoles, accessPolicy, isActive) always mirror the parent.
+// isActive is also false while the parent is quarantined.
+const knowledgeChunkSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnowledgeBase',
+    required: true,
+    index: true
+  },
+  chunkIndex: {
+    type: Number,
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  startOffset: {
+    type: Number,
+    required: true
+  },
+  endOffset: {
+    type: Number,
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true
+  },
+  category: String,
+  tags: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  accessRoles: [{
+    type: String,
+    enum: ['employee', 'admin', 'hr']
+  }],
+  accessPolicy: accessPolicySchema,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Revision of the parent the passage was taken from
+  revision: Number,
+  embedding: {
+    type: [Number],
+    select: false
+  },
+  embeddingModel: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create text index for passage search
+knowledgeChunkSchema.index({
+  title: 'text',
+  tags: 'text',
+  content: 'text'
+}, {
+  weights: {
+    title: 5,
+    tags: 3,
+    content: 1
+  },
+  name: 'chunk_text_search_index'
+});
+
+// Regular indexes
+knowledgeChunkSchema.index({ documentId: 1, chunkIndex: 1 }, { unique: true });
+knowledgeChunkSchema.index({ isActive: 1, category: 1 });
+knowledgeChunkSchema.index({ embeddingModel: 1, isActive: 1 });
+
+// Static method for the access filter shared by all passage searches
+knowledgeChunkSchema.statics.accessFilter = function(user = 'employee') {
+  return {
+    isActive: true,
+    ...accessPolicyService.buildFilter(user)
+  };
+};
+
+// Static method for searching passages with access-based filtering
+knowledgeChunkSchema.statics.searchByRole = function(query, user = 'employee', limit = 10) {
+  const searchQuery = {
+    $text: { $search: query },
+    ...this.accessFilter(user)
+  };
+
+  return this.find(searchQuery, { score: { $meta: "textScore" } })
+    .sort({ score: { $meta: "textScore" } })
+    .limit(limit)
+    .select('-__v');
+};
+
+module.exports = mongoose.models.KnowledgeChunk || mongoose.model('KnowledgeChunk', knowledgeChunkSchema);
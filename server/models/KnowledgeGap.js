@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const GAP_REASONS = ['noAnswer', 'noSources', 'lowConfidence', 'negativeFeedback'];
+
+// One question that the knowledge base did not answer well
+const gapQuestionSchema = new mongoose.Schema({
+  text: String,
+  reasons: [{
+    type: String,
+    enum: GAP_REASONS
+  }],
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  userId: String,
+  userRole: String,
+  askedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A cluster of similar questions the bot could not answer, for HR to
+// answer with a new Q&A entry
+const knowledgeGapSchema = new mongoose.Schema({
+  // The first question of the cluster, shown as its title
+  question: {
+    type: String,
+    required: true
+  },
+  // The most recent questions; `count` includes older ones
+  questions: [gapQuestionSchema],
+  count: {
+    type: Number,
+    default: 0
+  },
+  reasonCounts: {
+    noAnswer: { type: Number, default: 0 },
+    noSources: { type: Number, default: 0 },
+    lowConfidence: { type: Number, default: 0 },
+    negativeFeedback: { type: Number, default: 0 }
+  },
+  // Mean embedding of the cluster's questions
+  embedding: {
+    type: [Number],
+    select: false
+  },
+  embeddingModel: String,
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'dismissed'],
+    default: 'open',
+    index: true
+  },
+  // The Q&A entry that answered the cluster
+  resolvedDocumentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnowledgeBase'
+  },
+  reviewedBy: String,
+  reviewedAt: Date,
+  reviewNote: {
+    type: String,
+    trim: true
+  },
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+knowledgeGapSchema.index({ status: 1, lastSeenAt: -1 });
+
+knowledgeGapSchema.statics.reasons = GAP_REASONS;
+
+module.exports = mongoose.models.KnowledgeGap || mongoose.model('KnowledgeGap', knowledgeGapSchema);
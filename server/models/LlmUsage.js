@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One call to the model provider, with its token counts and who it was for
+const llmUsageSchema = new mongoose.Schema({
+  // What the call was for: answer, rewrite, conversationSummary, summary,
+  // keywords or preview
+  feature: {
+    type: String,
+    required: true,
+    index: true
+  },
+  provider: String,
+  model: String,
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+  // The provider did not report token counts, so they were estimated
+  estimated: {
+    type: Boolean,
+    default: false
+  },
+  latencyMs: Number,
+  success: {
+    type: Boolean,
+    default: true
+  },
+  errorType: String,
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  userRole: String,
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+// Quota checks sum a user's tokens for the current day and month
+llmUsageSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.models.LlmUsage || mongoose.model('LlmUsage', llmUsageSchema);
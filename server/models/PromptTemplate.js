@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const defaultTemplates = require('../services/prompts/defaultTemplates');
+
+// One version of a prompt template. Saving or rolling back always adds a
+// new version; the active one is used for chat.
+const promptTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: Object.keys(defaultTemplates),
+    required: true
+  },
+  // Role the template applies to; `default` covers roles without their own
+  role: {
+    type: String,
+    enum: ['default', 'employee', 'hr', 'admin'],
+    default: 'default'
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String,
+    default: 'system'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+promptTemplateSchema.index({ name: 1, role: 1, version: -1 }, { unique: true });
+promptTemplateSchema.index({ isActive: 1 });
+
+module.exports = mongoose.models.PromptTemplate || mongoose.model('PromptTemplate', promptTemplateSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Small key/value store for server-wide state shared between instances
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: mongoose.Schema.Types.Mixed,
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+settingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : defaultValue;
+};
+
+settingSchema.statics.setValue = async function(key, value) {
+  await this.updateOne({ key }, { value, updatedAt: new Date() }, { upsert: true });
+  return value;
+};
+
+// Atomically increase a numeric setting and return the new value
+settingSchema.statics.increment = async function(key, amount = 1) {
+  const setting = await this.findOneAndUpdate(
+    { key },
+    { $inc: { value: amount }, $set: { updatedAt: new Date() } },
+    { upsert: true, new: true }
+  ).lean();
+  return setting.value;
+};
+
+module.exports = mongoose.models.Setting || mongoose.model('Setting', settingSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Token limits for a role, or for one user (which replaces the role's limits).
+// An empty limit means no limit for that period.
+const usageQuotaSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['role', 'user'],
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['employee', 'admin', 'hr']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  dailyTokens: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  monthlyTokens: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  note: String,
+  updatedBy: String,
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+usageQuotaSchema.index({ scope: 1, role: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.models.UsageQuota || mongoose.model('UsageQuota', usageQuotaSchema);
@@ -34,6 +34,10 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  office: {
+    type: String,
+    trim: true
+  },
   employeeId: {
     type: String,
     trim: true,
@@ -4,14 +4,41 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const fsPromises = fs.promises;
-const pdf = require('pdf-parse');
-const marked = require('marked');
 const KnowledgeBase = require('../models/KnowledgeBase');
 const Conversation = require('../models/Conversation');
 const Feedback = require('../models/Feedback');
 const User = require('../models/User');
-const geminiService = require('../services/GeminiService');
+const GlossaryTerm = require('../models/GlossaryTerm');
+const InjectionFlag = require('../models/InjectionFlag');
+const UsageQuota = require('../models/UsageQuota');
+const Experiment = require('../models/Experiment');
+const KnowledgeGap = require('../models/KnowledgeGap');
+const IngestionJob = require('../models/IngestionJob');
+const EvalQuestion = require('../models/EvalQuestion');
+const EvalRun = require('../models/EvalRun');
+const llmService = require('../services/LlmService');
+const chunkingService = require('../services/ChunkingService');
+const accessPolicyService = require('../services/AccessPolicyService');
+const glossaryService = require('../services/GlossaryService');
+const evaluationService = require('../services/EvaluationService');
+const answerCacheService = require('../services/AnswerCacheService');
+const conversationMemoryService = require('../services/ConversationMemoryService');
+const promptTemplateService = require('../services/PromptTemplateService');
+const retrievalService = require('../services/RetrievalService');
+const promptInjectionService = require('../services/PromptInjectionService');
+const structuredAnswerService = require('../services/StructuredAnswerService');
+const usageService = require('../services/UsageService');
+const modelSettingsService = require('../services/ModelSettingsService');
+const experimentService = require('../services/ExperimentService');
+const knowledgeGapService = require('../services/KnowledgeGapService');
+const documentParserService = require('../services/DocumentParserService');
+const ingestionService = require('../services/IngestionService');
+const bulkUploadService = require('../services/BulkUploadService');
+const documentRevisionService = require('../services/DocumentRevisionService');
+const duplicateDetectionService = require('../services/DuplicateDetectionService');
 const jwtService = require('../services/JwtService');
+const { LlmError } = require('../services/llm/errors');
+const { DocumentParseError } = require('../services/parsers/errors');
 
 // Ensure upload directory exists
 const uploadDir = process.env.UPLOAD_DIR || './uploads';
@@ -32,56 +59,44 @@ const storage = multer.diskStorage({
 
 const upload = multer({ 
   storage: storage,
+  // A first check on the name and declared type; the parser decides by content
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['.pdf', '.md', '.txt', '.docx', '.doc'];
-    const ext = path.extname(file.originalname).toLowerCase();
-    if (allowedTypes.includes(ext)) {
+    if (documentParserService.isAccepted(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF, Markdown, TXT, DOC, and DOCX files are allowed'));
+      cb(new DocumentParseError('Only PDF, Word (DOCX, DOC), OpenDocument text (ODT), RTF, HTML, Markdown and text files are allowed', {
+        type: 'unsupported'
+      }));
     }
   },
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
-// Parse PDF files
-const parsePDF = async (filePath) => {
-  try {
-    const dataBuffer = await fsPromises.readFile(filePath);
-    const data = await pdf(dataBuffer);
-    return data.text;
-  } catch (error) {
-    console.error('PDF parsing error:', error);
-    throw new Error('Failed to parse PDF file');
+// Bulk uploads keep the folder path in each file name and take any file;
+// unsupported ones are reported per file rather than failing the request
+const bulkUpload = multer({
+  storage: storage,
+  preservePath: true,
+  limits: {
+    fileSize: 200 * 1024 * 1024, // ZIP archives; documents are still held to 10MB
+    files: bulkUploadService.maxFiles
   }
-};
+});
 
-// Parse Markdown files
-const parseMarkdown = async (filePath) => {
-  try {
-    const data = await fsPromises.readFile(filePath, 'utf8');
-    // Convert markdown to plain text
-    const html = marked.parse(data);
-    // Remove HTML tags for plain text
-    return html.replace(/<[^>]*>/g, '');
-  } catch (error) {
-    console.error('Markdown parsing error:', error);
-    throw new Error('Failed to parse Markdown file');
-  }
-};
+const parseTags = (tags) => tags ? tags.split(',').map(t => t.trim()).filter(Boolean) : [];
 
-// Parse text files
-const parseText = async (filePath) => {
-  try {
-    const data = await fsPromises.readFile(filePath, 'utf8');
-    return data;
-  } catch (error) {
-    console.error('Text parsing error:', error);
-    throw new Error('Failed to parse text file');
+// What an upload does with likely duplicates: `review` (or nothing) waits
+// for a decision, the others decide in advance
+const parseDuplicateAction = (action) => {
+  if (!action || action === 'review') return undefined;
+  if (!IngestionJob.duplicateActions.includes(action)) {
+    throw new Error(`duplicateAction must be one of: review, ${IngestionJob.duplicateActions.join(', ')}`);
   }
+  return action;
 };
 
-// Upload and parse document
+// Upload a document. The file is checked here and ingested by a background
+// job; the response has the job to follow.
 router.post('/upload', jwtService.getAuthMiddleware(['admin', 'hr']), upload.single('document'), async (req, res) => {
   try {
     if (!req.file) {
@@ -91,90 +106,40 @@ router.post('/upload', jwtService.getAuthMiddleware(['admin', 'hr']), upload.sin
       });
     }
 
-    const filePath = req.file.path;
-    const fileExt = path.extname(req.file.originalname).toLowerCase();
-    let content = '';
-
-    // Parse based on file type
-    switch (fileExt) {
-      case '.pdf':
-        content = await parsePDF(filePath);
-        break;
-      case '.md':
-        content = await parseMarkdown(filePath);
-        break;
-      case '.txt':
-        content = await parseText(filePath);
-        break;
-      case '.docx':
-      case '.doc':
-        // For DOC/DOCX, we'd need a library like mammoth
-        content = await parseText(filePath); // Fallback to text parsing
-        break;
-      default:
-        throw new Error('Unsupported file type');
-    }
-
-    // Generate summary using Gemini
-    const summary = await geminiService.summarizeText(content);
-
-    // Extract keywords
-    const keywords = await geminiService.extractKeywords(content);
-
-    // Extract title from first line or filename
-    const title = req.body.title || 
-                  req.file.originalname.replace(/\.[^/.]+$/, "") || 
-                  'Untitled Document';
-
-    // Determine access roles based on category
-    const category = req.body.category || 'general';
-    let accessRoles = ['employee']; // Default all employees can see
-    if (category === 'admin-only') {
-      accessRoles = ['admin'];
-    } else if (category === 'hr-only') {
-      accessRoles = ['admin', 'hr'];
-    }
-
-    // Save to knowledge base
-    const knowledgeDoc = new KnowledgeBase({
-      title,
-      content,
-      summary,
-      category: category,
-      source: 'upload',
-      fileType: fileExt.substring(1),
-      fileName: req.file.originalname,
-      filePath: filePath,
-      tags: [...keywords, ...(req.body.tags ? req.body.tags.split(',').map(t => t.trim()) : [])],
-      accessRoles: accessRoles,
-      createdBy: req.user.email,
-      createdByUserId: req.user.id
-    });
-
-    await knowledgeDoc.save();
-
-    // Clean up file if it's too large and we have the content
+    let accessPolicy;
+    let duplicateAction;
     try {
-      const stats = await fsPromises.stat(filePath);
-      if (stats.size > 5 * 1024 * 1024) { // If file > 5MB
-        await fsPromises.unlink(filePath);
-        knowledgeDoc.filePath = null;
-        await knowledgeDoc.save();
-      }
-    } catch (err) {
-      console.warn('Could not clean up file:', err.message);
+      accessPolicy = accessPolicyService.parsePolicy(req.body.accessPolicy);
+      duplicateAction = parseDuplicateAction(req.body.duplicateAction);
+    } catch (error) {
+      await fsPromises.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({ 
+        success: false,
+        error: error.message 
+      });
     }
 
-    res.json({
+    // Reject files no parser reads before queueing them; the format is
+    // detected from the file's content
+    const buffer = await fsPromises.readFile(req.file.path);
+    await documentParserService.detect(buffer, {
+      mimeType: req.file.mimetype,
+      fileName: req.file.originalname
+    });
+
+    const job = await ingestionService.createJob(req.file, {
+      title: req.body.title,
+      category: req.body.category || 'general',
+      tags: parseTags(req.body.tags),
+      accessPolicy,
+      fileHash: ingestionService.hashContent(buffer),
+      duplicateAction
+    }, req.user);
+
+    res.status(202).json({
       success: true,
-      message: 'Document uploaded and parsed successfully',
-      document: {
-        id: knowledgeDoc._id,
-        title: knowledgeDoc.title,
-        summary: knowledgeDoc.summary,
-        category: knowledgeDoc.category,
-        tags: knowledgeDoc.tags
-      }
+      message: 'Document uploaded and queued for processing',
+      job
     });
 
   } catch (error) {
@@ -188,21 +153,272 @@ router.post('/upload', jwtService.getAuthMiddleware(['admin', 'hr']), upload.sin
         console.warn('Could not delete failed upload:', err.message);
       }
     }
+
+    // Unsupported or damaged files are the uploader's to fix
+    if (error instanceof DocumentParseError) {
+      return res.status(error.status).json({ 
+        success: false,
+        error: error.message,
+        errorType: error.type
+      });
+    }
     
     res.status(500).json({ 
       success: false,
-      error: 'Failed to upload and parse document',
+      error: 'Failed to upload document',
+      details: error.message 
+    });
+  }
+});
+
+// Upload many documents: several files, folders or ZIP archives. Folder
+// names set each document's category and tags; the response reports every
+// file as created, duplicate or failed.
+router.post('/upload/bulk', jwtService.getAuthMiddleware(['admin', 'hr']), bulkUpload.array('documents'), async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'No files uploaded' 
+      });
+    }
+
+    let accessPolicy;
+    let duplicateAction;
+    try {
+      accessPolicy = accessPolicyService.parsePolicy(req.body.accessPolicy);
+      duplicateAction = parseDuplicateAction(req.body.duplicateAction);
+    } catch (error) {
+      await Promise.all(files.map(file => fsPromises.unlink(file.path).catch(() => {})));
+      return res.status(400).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+
+    const report = await bulkUploadService.upload(files, {
+      category: req.body.category || 'general',
+      tags: parseTags(req.body.tags),
+      accessPolicy,
+      duplicateAction,
+      uploadDir
+    }, req.user);
+
+    const { created, duplicate, failed } = report.summary;
+    res.status(created > 0 ? 202 : 200).json({
+      success: true,
+      message: `${created} document(s) queued for processing, ${duplicate} duplicate(s) skipped, ${failed} failed`,
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Bulk upload error:', error);
+    await Promise.all(files.map(file => fsPromises.unlink(file.path).catch(() => {})));
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to upload documents',
       details: error.message 
     });
   }
 });
 
+// HR sees the jobs they started, admins see all
+const getJobFilter = (user) => user.role === 'admin' ? {} : { createdByUserId: user.id };
+
+// Ingestion jobs, newest first
+router.get('/jobs', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
+  try {
+    const { status, batchId, limit = 20 } = req.query;
+
+    const query = getJobFilter(req.user);
+    if (status && status !== 'all') query.status = status;
+    if (batchId) query.batchId = batchId;
+
+    const jobs = await IngestionJob.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit));
+
+    res.json({
+      success: true,
+      jobs
+    });
+  } catch (error) {
+    console.error('Get ingestion jobs error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch ingestion jobs' 
+    });
+  }
+});
+
+router.get('/jobs/:id', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
+  try {
+    const job = await IngestionJob.findOne({ _id: req.params.id, ...getJobFilter(req.user) });
+    if (!job) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Job not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    console.error('Get ingestion job error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch ingestion job' 
+    });
+  }
+});
+
+// Run a failed job again from the stage that failed
+router.post('/jobs/:id/retry', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
+  try {
+    const job = await IngestionJob.findOne({ _id: req.params.id, ...getJobFilter(req.user) });
+    if (!job) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Job not found' 
+      });
+    }
+    if (job.status !== 'failed') {
+      return res.status(409).json({ 
+        success: false,
+        error: 'Only failed jobs can be run again' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job queued',
+      job: await ingestionService.retry(job)
+    });
+  } catch (error) {
+    console.error('Retry ingestion job error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to retry ingestion job' 
+    });
+  }
+});
+
+// Decide what happens to an upload that looks like a copy of an existing
+// document: `keep` both, `replace` the existing one, or `merge` the upload
+// into it as a new revision. `documentId` picks which of the job's
+// duplicates; it defaults to the most similar.
+router.post('/jobs/:id/duplicates', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
+  try {
+    const { action, documentId } = req.body;
+
+    const job = await IngestionJob.findOne({ _id: req.params.id, ...getJobFilter(req.user) });
+    if (!job) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Job not found' 
+      });
+    }
+    if (job.status !== 'review') {
+      return res.status(409).json({ 
+        success: false,
+        error: 'The job is not waiting for a duplicate review' 
+      });
+    }
+    if (!IngestionJob.duplicateActions.includes(action)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `action must be one of: ${IngestionJob.duplicateActions.join(', ')}` 
+      });
+    }
+
+    let target;
+    if (action !== 'keep') {
+      const duplicate = documentId
+        ? job.duplicates.find(d => String(d.documentId) === String(documentId))
+        : job.duplicates[0];
+      if (!duplicate) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'documentId is not one of the job\'s duplicates' 
+        });
+      }
+
+      target = await findAccessibleDocument(duplicate.documentId, req.user);
+      if (!target) {
+        return res.status(404).json({ 
+          success: false,
+          error: 'The duplicate document no longer exists' 
+        });
+      }
+
+      // Replacing and merging change the existing document, so the same
+      // rule as editing applies
+      if (req.user.role !== 'admin' && target.createdBy !== req.user.email) {
+        return res.status(403).json({ 
+          success: false,
+          error: 'Not authorized to update this document' 
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Job queued',
+      job: await ingestionService.resolveDuplicates(job, action, target?._id)
+    });
+  } catch (error) {
+    console.error('Resolve duplicates error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to resolve duplicates' 
+    });
+  }
+});
+
+// Remove a job; an unfinished job's document is removed with it
+router.delete('/jobs/:id', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
+  try {
+    const job = await IngestionJob.findOne({ _id: req.params.id, ...getJobFilter(req.user) });
+    if (!job) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Job not found' 
+      });
+    }
+    if (job.status === 'running') {
+      return res.status(409).json({ 
+        success: false,
+        error: 'A running job cannot be removed' 
+      });
+    }
+
+    await ingestionService.remove(job);
+
+    res.json({
+      success: true,
+      message: 'Job removed'
+    });
+  } catch (error) {
+    console.error('Delete ingestion job error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to remove ingestion job' 
+    });
+  }
+});
+
 // Get all knowledge base documents
 router.get('/documents', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
   try {
     const { category, search, page = 1, limit = 10, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
     
-    const query = { isActive: true };
+    // Only list documents this user's access policy allows
+    const accessUser = await accessPolicyService.getUserAttributes(req.user);
+    const query = KnowledgeBase.accessFilter(accessUser);
     
     if (category && category !== 'all') query.category = category;
     if (search) {
@@ -221,7 +437,7 @@ router.get('/documents', jwtService.getAuthMiddleware(['admin', 'hr']), async (r
     const total = await KnowledgeBase.countDocuments(query);
 
     // Get categories for filter
-    const categories = await KnowledgeBase.distinct('category');
+    const categories = await KnowledgeBase.distinct('category', KnowledgeBase.accessFilter(accessUser));
 
     res.json({
       success: true,
@@ -245,10 +461,19 @@ router.get('/documents', jwtService.getAuthMiddleware(['admin', 'hr']), async (r
   }
 });
 
+// Find a document the requesting user may access
+const findAccessibleDocument = async (id, tokenUser) => {
+  const accessUser = await accessPolicyService.getUserAttributes(tokenUser);
+  return KnowledgeBase.findOne({
+    _id: id,
+    ...accessPolicyService.buildFilter(accessUser)
+  });
+};
+
 // Get single document
 router.get('/documents/:id', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
   try {
-    const document = await KnowledgeBase.findById(req.params.id);
+    const document = await findAccessibleDocument(req.params.id, req.user);
     
     if (!document) {
       return res.status(404).json({ 
@@ -275,7 +500,19 @@ router.put('/documents/:id', jwtService.getAuthMiddleware(['admin', 'hr']), asyn
   try {
     const { title, content, category, tags, isActive, accessRoles } = req.body;
     
-    const document = await KnowledgeBase.findById(req.params.id);
+    let accessPolicy;
+    try {
+      accessPolicy = req.body.accessPolicy !== undefined
+        ? accessPolicyService.parsePolicy(req.body.accessPolicy)
+        : undefined;
+    } catch (error) {
+      return res.status(400).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+
+    const document = await findAccessibleDocument(req.params.id, req.user);
     if (!document) {
       return res.status(404).json({ 
         success: false,
@@ -291,6 +528,10 @@ router.put('/documents/:id', jwtService.getAuthMiddleware(['admin', 'hr']), asyn
       });
     }
 
+    // Documents from before revisions were kept get their current state
+    // saved first, so the edit can be compared and undone
+    await documentRevisionService.ensureBaseline(document);
+
     // Update document
     const updateData = {
       title,
@@ -299,12 +540,27 @@ router.put('/documents/:id', jwtService.getAuthMiddleware(['admin', 'hr']), asyn
       tags,
       isActive,
       accessRoles: accessRoles || document.accessRoles,
+      accessPolicy: accessPolicy || document.accessPolicy,
       updatedAt: new Date()
     };
 
     // Generate new summary if content changed
-    if (content && content !== document.content) {
-      updateData.summary = await geminiService.summarizeText(content);
+    const contentChanged = Boolean(content && content !== document.content);
+    if (contentChanged) {
+      Object.assign(updateData, duplicateDetectionService.fingerprint(content));
+      updateData.summary = await llmService.summarizeText(content, undefined, {
+        userId: req.user.id,
+        userRole: req.user.role
+      });
+    }
+
+    // Edited text is scanned again like a new upload; clean text lifts an
+    // earlier quarantine
+    let injection = null;
+    if ((content && content !== document.content) || (title && title !== document.title)) {
+      const edited = { title: title || document.title, content: content || document.content };
+      injection = promptInjectionService.checkDocument(edited);
+      updateData.quarantine = edited.quarantine || { isQuarantined: false };
     }
 
     const updatedDocument = await KnowledgeBase.findByIdAndUpdate(
@@ -313,10 +569,30 @@ router.put('/documents/:id', jwtService.getAuthMiddleware(['admin', 'hr']), asyn
       { new: true }
     );
 
+    if (injection?.flagged) {
+      await promptInjectionService.logDocumentFlag(injection, updatedDocument, req.user);
+    }
+
+    await documentRevisionService.record(updatedDocument, {
+      user: req.user,
+      note: req.body.note
+    });
+
+    // Rebuild passages so content and access changes reach retrieval
+    await chunkingService.indexDocument(updatedDocument);
+    await answerCacheService.invalidateDocument(updatedDocument._id);
+    await answerCacheService.bumpRevision();
+
+    // Edited text may now copy another document; reported, not blocked
+    const duplicates = contentChanged
+      ? await duplicateDetectionService.findDuplicates({ _id: updatedDocument._id, ...updateData }, { user: req.user })
+      : [];
+
     res.json({
       success: true,
       message: 'Document updated successfully',
-      document: updatedDocument
+      document: updatedDocument,
+      duplicates
     });
   } catch (error) {
     console.error('Update document error:', error);
@@ -330,7 +606,7 @@ router.put('/documents/:id', jwtService.getAuthMiddleware(['admin', 'hr']), asyn
 // Delete document
 router.delete('/documents/:id', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
   try {
-    const document = await KnowledgeBase.findById(req.params.id);
+    const document = await findAccessibleDocument(req.params.id, req.user);
     
     if (!document) {
       return res.status(404).json({ 
@@ -357,6 +633,9 @@ router.delete('/documents/:id', jwtService.getAuthMiddleware(['admin', 'hr']), a
     }
 
     await KnowledgeBase.findByIdAndDelete(req.params.id);
+    await chunkingService.removeDocument(req.params.id);
+    await documentRevisionService.removeDocument(req.params.id);
+    await answerCacheService.invalidateDocument(document._id);
 
     res.json({ 
       success: true, 
@@ -371,53 +650,1579 @@ router.delete('/documents/:id', jwtService.getAuthMiddleware(['admin', 'hr']), a
   }
 });
 
-// Add manual Q&A
-router.post('/qa', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
+// Revision history of a document, newest first
+router.get('/documents/:id/revisions', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
   try {
-    const { question, answer, category = 'general', tags = [] } = req.body;
-    
-    if (!question || !answer) {
+    const document = await findAccessibleDocument(req.params.id, req.user);
+    if (!document) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Document not found' 
+      });
+    }
+
+    const revisions = await documentRevisionService.list(document._id);
+
+    res.json({
+      success: true,
+      currentRevision: document.revision,
+      revisions
+    });
+  } catch (error) {
+    console.error('Get document revisions error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch document revisions' 
+    });
+  }
+});
+
+// Changes between two revisions: metadata fields and a line diff of the
+// content. `to` defaults to the current revision and `from` to the one
+// before it.
+router.get('/documents/:id/revisions/diff', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
+  try {
+    const document = await findAccessibleDocument(req.params.id, req.user);
+    if (!document) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Document not found' 
+      });
+    }
+
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : document.revision;
+    const from = req.query.from !== undefined ? parseInt(req.query.from) : to - 1;
+    if (isNaN(from) || isNaN(to)) {
       return res.status(400).json({ 
         success: false,
-        error: 'Question and answer are required' 
+        error: 'from and to must be revision numbers' 
       });
     }
 
-    const qaDoc = new KnowledgeBase({
-      title: `Q: ${question.substring(0, 100)}${question.length > 100 ? '...' : ''}`,
-      content: `Question: ${question}\n\nAnswer: ${answer}`,
-      summary: answer.substring(0, 200),
-      category: category,
-      source: 'manual',
-      tags: ['faq', 'qa', ...tags],
-      accessRoles: category === 'admin-only' ? ['admin'] : category === 'hr-only' ? ['admin', 'hr'] : ['employee'],
-      createdBy: req.user.email,
-      createdByUserId: req.user.id
+    const [fromRevision, toRevision] = await Promise.all([
+      documentRevisionService.get(document._id, from),
+      documentRevisionService.get(document._id, to)
+    ]);
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ 
+        success: false,
+        error: `Revision ${!fromRevision ? from : to} not found` 
+      });
+    }
+
+    res.json({
+      success: true,
+      diff: documentRevisionService.diff(fromRevision, toRevision)
+    });
+  } catch (error) {
+    console.error('Diff document revisions error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to compare document revisions' 
     });
+  }
+});
 
-    await qaDoc.save();
+// A single revision with its content
+router.get('/documents/:id/revisions/:revision', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
+  try {
+    const revisionNumber = parseInt(req.params.revision);
+    if (isNaN(revisionNumber)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'revision must be a revision number' 
+      });
+    }
 
-    res.json({ 
-      success: true, 
-      message: 'Q&A added successfully',
-      document: qaDoc 
+    const document = await findAccessibleDocument(req.params.id, req.user);
+    const revision = document && await documentRevisionService.get(document._id, revisionNumber);
+    if (!revision) {
+      return res.status(404).json({ 
+        success: false,
+        error: document ? 'Revision not found' : 'Document not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      revision
     });
   } catch (error) {
-    console.error('Add Q&A error:', error);
+    console.error('Get document revision error:', error);
     res.status(500).json({ 
       success: false,
-      error: 'Failed to add Q&A' 
+      error: 'Failed to fetch document revision' 
     });
   }
 });
 
-// Get analytics dashboard data
-router.get('/analytics', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
+// Make an earlier revision current again. This adds a new revision, so the
+// restore itself can be undone.
+router.post('/documents/:id/revisions/:revision/restore', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
   try {
-    const [conversationStats, feedbackStats, userStats, knowledgeStats] = await Promise.all([
-      // Conversation stats
-      Conversation.aggregate([
-        {
+    const revisionNumber = parseInt(req.params.revision);
+    if (isNaN(revisionNumber)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'revision must be a revision number' 
+      });
+    }
+
+    const document = await findAccessibleDocument(req.params.id, req.user);
+    const revision = document && await documentRevisionService.get(document._id, revisionNumber);
+    if (!revision) {
+      return res.status(404).json({ 
+        success: false,
+        error: document ? 'Revision not found' : 'Document not found' 
+      });
+    }
+
+    // Same rule as editing
+    if (req.user.role !== 'admin' && document.createdBy !== req.user.email) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Not authorized to update this document' 
+      });
+    }
+
+    const restored = await documentRevisionService.restore(document, revision, req.user);
+    if (!restored) {
+      return res.status(409).json({ 
+        success: false,
+        error: `The document already matches revision ${revision.revision}` 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Restored revision ${revision.revision} as revision ${restored.revision}`,
+      document,
+      revision: restored
+    });
+  } catch (error) {
+    console.error('Restore document revision error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to restore document revision' 
+    });
+  }
+});
+
+// Add manual Q&A. With `gapId`, the knowledge gap cluster it answers is
+// marked resolved.
+router.post('/qa', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
+  try {
+    const { question, answer, category = 'general', tags = [], gapId } = req.body;
+    
+    if (!question || !answer) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Question and answer are required' 
+      });
+    }
+
+    let gap = null;
+    if (gapId) {
+      gap = await KnowledgeGap.findById(gapId);
+      if (!gap) {
+        return res.status(404).json({ 
+          success: false,
+          error: 'Knowledge gap not found' 
+        });
+      }
+      if (gap.status === 'resolved') {
+        return res.status(409).json({ 
+          success: false,
+          error: 'Knowledge gap is already resolved' 
+        });
+      }
+    }
+
+    let accessPolicy;
+    try {
+      accessPolicy = accessPolicyService.parsePolicy(req.body.accessPolicy);
+    } catch (error) {
+      return res.status(400).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+
+    const qaDoc = new KnowledgeBase({
+      title: `Q: ${question.substring(0, 100)}${question.length > 100 ? '...' : ''}`,
+      content: `Question: ${question}\n\nAnswer: ${answer}`,
+      summary: answer.substring(0, 200),
+      category: category,
+      source: 'manual',
+      tags: ['faq', 'qa', ...tags],
+      accessRoles: category === 'admin-only' ? ['admin'] : category === 'hr-only' ? ['admin', 'hr'] : ['employee'],
+      accessPolicy: accessPolicy,
+      createdBy: req.user.email,
+      createdByUserId: req.user.id
+    });
+
+    const injection = promptInjectionService.checkDocument(qaDoc);
+    duplicateDetectionService.applyFingerprint(qaDoc);
+
+    await qaDoc.save();
+    if (injection.flagged) {
+      await promptInjectionService.logDocumentFlag(injection, qaDoc, req.user);
+    }
+    await documentRevisionService.record(qaDoc, { action: 'create', user: req.user });
+    await chunkingService.indexDocument(qaDoc);
+    await answerCacheService.bumpRevision();
+
+    if (gap) {
+      await knowledgeGapService.resolve(gap, qaDoc, req.user);
+    }
+
+    res.json({ 
+      success: true, 
+      message: 'Q&A added successfully',
+      document: qaDoc,
+      gap,
+      duplicates: await duplicateDetectionService.findDuplicates(qaDoc, { user: req.user })
+    });
+  } catch (error) {
+    console.error('Add Q&A error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to add Q&A' 
+    });
+  }
+});
+
+// Clusters of questions the bot could not answer, most asked first
+router.get('/knowledge-gaps', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
+  try {
+    const { status = 'open', reason, sort = 'count', page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (KnowledgeGap.reasons.includes(reason)) query[`reasonCounts.${reason}`] = { $gt: 0 };
+
+    const gaps = await KnowledgeGap.find(query)
+      .sort(sort === 'recent' ? { lastSeenAt: -1 } : { count: -1, lastSeenAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await KnowledgeGap.countDocuments(query);
+
+    res.json({
+      success: true,
+      gaps,
+      stats: await knowledgeGapService.getStats(),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get knowledge gaps error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch knowledge gaps' 
+    });
+  }
+});
+
+// Dismiss a cluster (e.g. off-topic questions) or reopen it. Clusters are
+// resolved by answering them through POST /qa.
+router.put('/knowledge-gaps/:id', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!['open', 'dismissed'].includes(status)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Status must be open or dismissed' 
+      });
+    }
+
+    const gap = await KnowledgeGap.findByIdAndUpdate(req.params.id, {
+      status,
+      reviewNote: note,
+      reviewedBy: req.user.email,
+      reviewedAt: new Date()
+    }, { new: true });
+
+    if (!gap) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Knowledge gap not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Knowledge gap updated successfully',
+      gap
+    });
+  } catch (error) {
+    console.error('Update knowledge gap error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update knowledge gap' 
+    });
+  }
+});
+
+// Parse a synonyms list sent as an array or a comma separated string
+const parseSynonyms = (synonyms) => {
+  const list = Array.isArray(synonyms) ? synonyms : (synonyms || '').split(',');
+  return [...new Set(list.map(s => s.trim().toLowerCase()).filter(Boolean))];
+};
+
+// Get glossary terms
+router.get('/glossary', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
+  try {
+    const { search } = req.query;
+
+    const query = {};
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ term: pattern }, { synonyms: pattern }, { definition: pattern }];
+    }
+
+    const terms = await GlossaryTerm.find(query)
+      .collation({ locale: 'en', strength: 2 })
+      .sort({ term: 1 });
+
+    res.json({
+      success: true,
+      terms
+    });
+  } catch (error) {
+    console.error('Get glossary error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch glossary' 
+    });
+  }
+});
+
+// Add glossary term
+router.post('/glossary', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
+  try {
+    const { term, synonyms, definition } = req.body;
+
+    if (!term || !definition) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Term and definition are required' 
+      });
+    }
+
+    const glossaryTerm = new GlossaryTerm({
+      term,
+      synonyms: parseSynonyms(synonyms),
+      definition,
+      createdBy: req.user.email
+    });
+
+    await glossaryTerm.save();
+    glossaryService.invalidate();
+    await answerCacheService.bumpRevision();
+
+    res.status(201).json({
+      success: true,
+      message: 'Glossary term added successfully',
+      term: glossaryTerm
+    });
+  } catch (error) {
+    console.error('Add glossary term error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'This term already exists in the glossary' 
+      });
+    }
+
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to add glossary term' 
+    });
+  }
+});
+
+// Update glossary term
+router.put('/glossary/:id', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
+  try {
+    const { term, synonyms, definition } = req.body;
+
+    const glossaryTerm = await GlossaryTerm.findById(req.params.id);
+    if (!glossaryTerm) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Glossary term not found' 
+      });
+    }
+
+    if (term !== undefined) glossaryTerm.term = term;
+    if (synonyms !== undefined) glossaryTerm.synonyms = parseSynonyms(synonyms);
+    if (definition !== undefined) glossaryTerm.definition = definition;
+
+    await glossaryTerm.save();
+    glossaryService.invalidate();
+    await answerCacheService.bumpRevision();
+
+    res.json({
+      success: true,
+      message: 'Glossary term updated successfully',
+      term: glossaryTerm
+    });
+  } catch (error) {
+    console.error('Update glossary term error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'This term already exists in the glossary' 
+      });
+    }
+
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update glossary term' 
+    });
+  }
+});
+
+// Delete glossary term
+router.delete('/glossary/:id', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
+  try {
+    const glossaryTerm = await GlossaryTerm.findByIdAndDelete(req.params.id);
+
+    if (!glossaryTerm) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Glossary term not found' 
+      });
+    }
+
+    glossaryService.invalidate();
+    await answerCacheService.bumpRevision();
+
+    res.json({ 
+      success: true, 
+      message: 'Glossary term deleted successfully' 
+    });
+  } catch (error) {
+    console.error('Delete glossary term error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to delete glossary term' 
+    });
+  }
+});
+
+// Get prompt templates with the text in use for each role
+router.get('/prompts', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
+  try {
+    const templates = await promptTemplateService.describeTemplates();
+
+    res.json({
+      success: true,
+      templates
+    });
+  } catch (error) {
+    console.error('Get prompt templates error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch prompt templates' 
+    });
+  }
+});
+
+// Preview a template (saved or draft) against a sample question
+router.post('/prompts/preview', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
+  try {
+    const { name = 'answer', role = 'employee', content, question, userName, department } = req.body;
+
+    try {
+      if (content !== undefined) promptTemplateService.validate(name, content);
+    } catch (error) {
+      return res.status(400).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+
+    const previewRole = role === 'default' ? 'employee' : role;
+    const template = content !== undefined ? content : await promptTemplateService.getContent(name, previewRole);
+    const variables = { role: previewRole, userName, department };
+
+    if (name !== 'answer') {
+      return res.json({
+        success: true,
+        prompt: promptTemplateService.render(template, variables)
+      });
+    }
+
+    if (!question) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'A sample question is required to preview the answer prompt' 
+      });
+    }
+
+    // The model call is charged to the admin, so their quota applies as in chat
+    const quota = await usageService.checkQuota(req.user);
+    if (quota.exceeded) {
+      return res.status(429).json({ 
+        success: false,
+        error: usageService.getQuotaMessage(quota),
+        quota: {
+          period: quota.period,
+          limit: quota.limit,
+          used: quota.used,
+          resetsAt: quota.resetsAt
+        }
+      });
+    }
+
+    // Retrieve as a user with this role so the context matches chat
+    const passages = await retrievalService.search(question, { role: previewRole, department });
+    const context = llmService.formatContext(passages);
+
+    const prompt = await llmService.buildAnswerPrompt(question, context, previewRole, userName, {
+      department,
+      template
+    });
+
+    const result = structuredAnswerService.parse(await llmService.generate(prompt, {
+      task: 'answer',
+      feature: 'preview',
+      data: { question, context },
+      caller: { userId: req.user.id, userRole: req.user.role }
+    }), passages.length);
+
+    res.json({
+      success: true,
+      prompt,
+      response: result.answer,
+      confidence: result.confidence,
+      structured: result.structured,
+      followUps: result.followUps,
+      sources: passages.map(doc => doc.title),
+      citedSources: result.sources ? result.sources.map(id => passages[id - 1].title) : null
+    });
+  } catch (error) {
+    console.error('Preview prompt template error:', error);
+    if (error instanceof LlmError) {
+      return res.status(503).json({
+        success: false,
+        error: `The model is unavailable (${error.type}): ${error.message}`
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to preview prompt template' 
+    });
+  }
+});
+
+// Get the version history of a template for a role
+router.get('/prompts/:name/versions', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
+  try {
+    const { role = 'default' } = req.query;
+
+    try {
+      promptTemplateService.getDefinition(req.params.name);
+      promptTemplateService.validateRole(role);
+    } catch (error) {
+      return res.status(400).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+
+    const versions = await promptTemplateService.listVersions(req.params.name, role);
+
+    res.json({
+      success: true,
+      versions
+    });
+  } catch (error) {
+    console.error('Get prompt versions error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch prompt versions' 
+    });
+  }
+});
+
+// Save a new version of a template and make it active
+router.post('/prompts/:name', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
+  try {
+    const { role = 'default', content, note } = req.body;
+
+    try {
+      promptTemplateService.validate(req.params.name, content);
+      promptTemplateService.validateRole(role);
+    } catch (error) {
+      return res.status(400).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+
+    const template = await promptTemplateService.saveVersion(req.params.name, role, content, {
+      note,
+      createdBy: req.user.email
+    });
+    await answerCacheService.bumpRevision();
+
+    res.status(201).json({
+      success: true,
+      message: `Saved version ${template.version}`,
+      template
+    });
+  } catch (error) {
+    console.error('Save prompt template error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to save prompt template' 
+    });
+  }
+});
+
+// Make an earlier version active again
+router.post('/prompts/:name/rollback', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
+  try {
+    const { role = 'default', version } = req.body;
+
+    const previous = await promptTemplateService.getVersion(req.params.name, role, parseInt(version));
+    if (!previous) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Prompt version not found' 
+      });
+    }
+
+    // Versions saved before a variable became required can't be made active
+    try {
+      promptTemplateService.validate(req.params.name, previous.content);
+    } catch (error) {
+      return res.status(400).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+
+    const template = await promptTemplateService.rollback(req.params.name, role, previous.version, req.user.email);
+    await answerCacheService.bumpRevision();
+
+    res.json({
+      success: true,
+      message: `Rolled back to version ${version}`,
+      template
+    });
+  } catch (error) {
+    console.error('Rollback prompt template error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to roll back prompt template' 
+    });
+  }
+});
+
+// Go back to the built-in text (or the default template) for a role
+router.delete('/prompts/:name', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
+  try {
+    const { role = 'default' } = req.query;
+
+    try {
+      promptTemplateService.getDefinition(req.params.name);
+      promptTemplateService.validateRole(role);
+    } catch (error) {
+      return res.status(400).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+
+    await promptTemplateService.resetToBuiltIn(req.params.name, role);
+    await answerCacheService.bumpRevision();
+
+    res.json({ 
+      success: true, 
+      message: 'Prompt template reset' 
+    });
+  } catch (error) {
+    console.error('Reset prompt template error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to reset prompt template' 
+    });
+  }
+});
+
+// List prompt injection flags, newest first
+router.get('/security/flags', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    const { status, source, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status && status !== 'all') query.status = status;
+    if (source && source !== 'all') query.source = source;
+
+    const flags = await InjectionFlag.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await InjectionFlag.countDocuments(query);
+
+    res.json({
+      success: true,
+      flags,
+      stats: await promptInjectionService.getStats(),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get injection flags error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch injection flags' 
+    });
+  }
+});
+
+// Review a flag: confirmed attempt or false positive
+router.put('/security/flags/:id', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!['open', 'confirmed', 'dismissed'].includes(status)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Status must be open, confirmed or dismissed' 
+      });
+    }
+
+    const flag = await InjectionFlag.findByIdAndUpdate(req.params.id, {
+      status,
+      reviewNote: note,
+      reviewedBy: req.user.email,
+      reviewedAt: new Date()
+    }, { new: true });
+
+    if (!flag) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Flag not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Flag updated successfully',
+      flag
+    });
+  } catch (error) {
+    console.error('Update injection flag error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update injection flag' 
+    });
+  }
+});
+
+// Documents held back from retrieval
+router.get('/security/quarantine', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    const documents = await KnowledgeBase.find({ 'quarantine.isQuarantined': true })
+      .sort({ 'quarantine.flaggedAt': -1 })
+      .select('title summary category fileName createdBy createdAt quarantine');
+
+    res.json({
+      success: true,
+      documents
+    });
+  } catch (error) {
+    console.error('Get quarantined documents error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch quarantined documents' 
+    });
+  }
+});
+
+// Release a quarantined document after review
+router.post('/security/quarantine/:id/release', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    const document = await KnowledgeBase.findOne({
+      _id: req.params.id,
+      'quarantine.isQuarantined': true
+    });
+
+    if (!document) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Quarantined document not found' 
+      });
+    }
+
+    await promptInjectionService.releaseDocument(document, req.user.email);
+    await chunkingService.indexDocument(document);
+    await answerCacheService.bumpRevision();
+
+    res.json({
+      success: true,
+      message: 'Document released',
+      document
+    });
+  } catch (error) {
+    console.error('Release document error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to release document' 
+    });
+  }
+});
+
+// Scan existing documents, e.g. after the heuristics changed. Documents an
+// admin already released are skipped.
+router.post('/security/scan', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    const documents = await KnowledgeBase.find({
+      'quarantine.isQuarantined': { $ne: true },
+      'quarantine.releasedAt': { $exists: false }
+    });
+    let quarantinedCount = 0;
+
+    for (const document of documents) {
+      const injection = promptInjectionService.checkDocument(document);
+      if (!injection.flagged) continue;
+
+      await KnowledgeBase.updateOne({ _id: document._id }, { quarantine: document.quarantine });
+      await promptInjectionService.logDocumentFlag(injection, document, req.user);
+      if (document.quarantine?.isQuarantined) {
+        await chunkingService.indexDocument(document);
+        quarantinedCount++;
+      }
+    }
+
+    if (quarantinedCount > 0) {
+      await answerCacheService.bumpRevision();
+    }
+
+    res.json({
+      success: true,
+      message: `Scanned ${documents.length} documents, quarantined ${quarantinedCount}`,
+      scannedCount: documents.length,
+      quarantinedCount
+    });
+  } catch (error) {
+    console.error('Injection scan error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to scan documents' 
+    });
+  }
+});
+
+// Token usage rollups: daily, monthly, and this month by feature, model and user
+router.get('/usage', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const months = Math.min(Math.max(parseInt(req.query.months) || 6, 1), 24);
+
+    res.json({
+      success: true,
+      usage: await usageService.getRollups({ days, months })
+    });
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch token usage' 
+    });
+  }
+});
+
+// Token quotas for roles and users
+router.get('/usage/quotas', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    const quotas = await UsageQuota.find()
+      .populate('userId', 'name email role')
+      .sort({ scope: 1, role: 1 });
+
+    res.json({
+      success: true,
+      quotas
+    });
+  } catch (error) {
+    console.error('Get usage quotas error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch usage quotas' 
+    });
+  }
+});
+
+// Create or replace the quota of a role, or of a user given by email.
+// An empty limit means no limit for that period.
+router.put('/usage/quotas', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    const { scope, role, userEmail, note } = req.body;
+
+    const limits = {};
+    for (const field of ['dailyTokens', 'monthlyTokens']) {
+      const value = req.body[field];
+      if (value === undefined || value === null || value === '') {
+        limits[field] = null;
+        continue;
+      }
+      const limit = Number(value);
+      if (!Number.isInteger(limit) || limit < 0) {
+        return res.status(400).json({ 
+          success: false,
+          error: `${field} must be a whole number of tokens, or empty for no limit` 
+        });
+      }
+      limits[field] = limit;
+    }
+
+    let target;
+    if (scope === 'role') {
+      if (!['employee', 'hr', 'admin'].includes(role)) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'Role must be employee, hr or admin' 
+        });
+      }
+      target = { scope, role, userId: null };
+    } else if (scope === 'user') {
+      const user = userEmail && await User.findOne({ email: userEmail.toLowerCase().trim() });
+      if (!user) {
+        return res.status(404).json({ 
+          success: false,
+          error: 'User not found' 
+        });
+      }
+      target = { scope, role: null, userId: user._id };
+    } else {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Scope must be role or user' 
+      });
+    }
+
+    const quota = await UsageQuota.findOneAndUpdate(target, {
+      ...target,
+      ...limits,
+      note,
+      updatedBy: req.user.email,
+      updatedAt: new Date()
+    }, { upsert: true, new: true, runValidators: true }).populate('userId', 'name email role');
+
+    res.json({
+      success: true,
+      message: 'Quota saved',
+      quota
+    });
+  } catch (error) {
+    console.error('Save usage quota error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to save usage quota' 
+    });
+  }
+});
+
+router.delete('/usage/quotas/:id', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    const quota = await UsageQuota.findByIdAndDelete(req.params.id);
+
+    if (!quota) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Quota not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Quota removed'
+    });
+  } catch (error) {
+    console.error('Delete usage quota error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to delete usage quota' 
+    });
+  }
+});
+
+// Generation settings per task (answer, rewrite, summaries, keywords)
+router.get('/model-settings', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      provider: llmService.provider.name,
+      defaultModel: llmService.model,
+      defaults: modelSettingsService.defaults,
+      tasks: await modelSettingsService.getAll()
+    });
+  } catch (error) {
+    console.error('Get model settings error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch model settings' 
+    });
+  }
+});
+
+// Replace a task's settings; empty fields use the defaults
+router.put('/model-settings/:task', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    if (!modelSettingsService.tasks.includes(req.params.task)) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Unknown task' 
+      });
+    }
+
+    const { settings, errors } = modelSettingsService.validate(req.body.settings);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: errors.join('; ') 
+      });
+    }
+
+    const effective = await modelSettingsService.update(req.params.task, settings);
+
+    res.json({
+      success: true,
+      message: 'Model settings saved',
+      task: req.params.task,
+      saved: settings,
+      settings: effective
+    });
+  } catch (error) {
+    console.error('Update model settings error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to save model settings' 
+    });
+  }
+});
+
+// A/B experiments on the answer settings, newest first
+router.get('/experiments', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    const experiments = await Experiment.find().sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      experiments
+    });
+  } catch (error) {
+    console.error('Get experiments error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch experiments' 
+    });
+  }
+});
+
+router.post('/experiments', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    const { data, errors } = experimentService.validate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: errors.join('; ') 
+      });
+    }
+
+    const experiment = await Experiment.create({
+      ...data,
+      createdBy: req.user.email
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Experiment created',
+      experiment
+    });
+  } catch (error) {
+    console.error('Create experiment error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to create experiment' 
+    });
+  }
+});
+
+// Only drafts can be edited, so results always belong to one configuration
+router.put('/experiments/:id', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    const experiment = await Experiment.findById(req.params.id);
+    if (!experiment) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Experiment not found' 
+      });
+    }
+    if (experiment.status !== 'draft') {
+      return res.status(409).json({ 
+        success: false,
+        error: 'Only draft experiments can be edited' 
+      });
+    }
+
+    const { data, errors } = experimentService.validate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: errors.join('; ') 
+      });
+    }
+
+    Object.assign(experiment, data);
+    await experiment.save();
+
+    res.json({
+      success: true,
+      message: 'Experiment updated',
+      experiment
+    });
+  } catch (error) {
+    console.error('Update experiment error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update experiment' 
+    });
+  }
+});
+
+// Start an experiment; the one that was running is stopped
+router.post('/experiments/:id/start', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    const experiment = await Experiment.findById(req.params.id);
+    if (!experiment) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Experiment not found' 
+      });
+    }
+    if (experiment.status !== 'draft') {
+      return res.status(409).json({ 
+        success: false,
+        error: 'Only draft experiments can be started' 
+      });
+    }
+
+    await experimentService.start(experiment);
+
+    res.json({
+      success: true,
+      message: 'Experiment started',
+      experiment
+    });
+  } catch (error) {
+    console.error('Start experiment error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to start experiment' 
+    });
+  }
+});
+
+router.post('/experiments/:id/stop', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    const experiment = await Experiment.findOne({ _id: req.params.id, status: 'running' });
+    if (!experiment) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Running experiment not found' 
+      });
+    }
+
+    await experimentService.stop(experiment);
+
+    res.json({
+      success: true,
+      message: 'Experiment stopped',
+      experiment
+    });
+  } catch (error) {
+    console.error('Stop experiment error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to stop experiment' 
+    });
+  }
+});
+
+// Per-variant conversations, answers and feedback ratings
+router.get('/experiments/:id/results', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    const experiment = await Experiment.findById(req.params.id);
+    if (!experiment) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Experiment not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      experiment,
+      variants: await experimentService.getResults(experiment)
+    });
+  } catch (error) {
+    console.error('Get experiment results error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch experiment results' 
+    });
+  }
+});
+
+router.delete('/experiments/:id', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    const experiment = await Experiment.findById(req.params.id);
+    if (!experiment) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Experiment not found' 
+      });
+    }
+    if (experiment.status === 'running') {
+      return res.status(409).json({ 
+        success: false,
+        error: 'Stop the experiment before deleting it' 
+      });
+    }
+
+    await experiment.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Experiment deleted'
+    });
+  } catch (error) {
+    console.error('Delete experiment error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to delete experiment' 
+    });
+  }
+});
+
+// Rebuild passages for every knowledge base document
+router.post('/reindex', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    const documents = await KnowledgeBase.find();
+    let chunkCount = 0;
+
+    for (const document of documents) {
+      // Passages record the revision answers are generated from
+      await documentRevisionService.ensureBaseline(document);
+      if (!document.contentHash) {
+        await KnowledgeBase.updateOne({ _id: document._id }, duplicateDetectionService.fingerprint(document.content));
+      }
+      chunkCount += await chunkingService.indexDocument(document);
+    }
+    await answerCacheService.bumpRevision();
+
+    res.json({
+      success: true,
+      message: 'Knowledge base reindexed successfully',
+      documentCount: documents.length,
+      chunkCount
+    });
+  } catch (error) {
+    console.error('Reindex error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to reindex knowledge base' 
+    });
+  }
+});
+
+const parseExpectedIds = (ids) => {
+  const list = Array.isArray(ids) ? ids : (ids || '').split(',');
+  return [...new Set(list.map(id => id.toString().trim()).filter(Boolean))];
+};
+
+const applyEvalQuestionFields = (evalQuestion, body) => {
+  const { question, expectedDocumentIds, userRole, userAttributes, notes, isActive } = body;
+
+  if (question !== undefined) evalQuestion.question = question;
+  if (expectedDocumentIds !== undefined) evalQuestion.expectedDocumentIds = parseExpectedIds(expectedDocumentIds);
+  if (userRole !== undefined) evalQuestion.userRole = userRole;
+  if (userAttributes !== undefined) evalQuestion.userAttributes = userAttributes;
+  if (notes !== undefined) evalQuestion.notes = notes;
+  if (isActive !== undefined) evalQuestion.isActive = isActive;
+};
+
+// Get evaluation questions
+router.get('/eval/questions', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    const questions = await EvalQuestion.find()
+      .sort({ createdAt: 1 })
+      .populate('expectedDocumentIds', 'title category');
+
+    res.json({
+      success: true,
+      questions
+    });
+  } catch (error) {
+    console.error('Get evaluation questions error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch evaluation questions' 
+    });
+  }
+});
+
+// Add evaluation question
+router.post('/eval/questions', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    const { question, expectedDocumentIds } = req.body;
+
+    if (!question || parseExpectedIds(expectedDocumentIds).length === 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Question and at least one expected document are required' 
+      });
+    }
+
+    const evalQuestion = new EvalQuestion({ createdBy: req.user.email });
+    applyEvalQuestionFields(evalQuestion, req.body);
+    await evalQuestion.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Evaluation question added successfully',
+      question: evalQuestion
+    });
+  } catch (error) {
+    console.error('Add evaluation question error:', error);
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to add evaluation question' 
+    });
+  }
+});
+
+// Update evaluation question
+router.put('/eval/questions/:id', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    const evalQuestion = await EvalQuestion.findById(req.params.id);
+    if (!evalQuestion) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Evaluation question not found' 
+      });
+    }
+
+    applyEvalQuestionFields(evalQuestion, req.body);
+
+    if (!evalQuestion.question || evalQuestion.expectedDocumentIds.length === 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Question and at least one expected document are required' 
+      });
+    }
+
+    await evalQuestion.save();
+
+    res.json({
+      success: true,
+      message: 'Evaluation question updated successfully',
+      question: evalQuestion
+    });
+  } catch (error) {
+    console.error('Update evaluation question error:', error);
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update evaluation question' 
+    });
+  }
+});
+
+// Delete evaluation question
+router.delete('/eval/questions/:id', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    const evalQuestion = await EvalQuestion.findByIdAndDelete(req.params.id);
+
+    if (!evalQuestion) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Evaluation question not found' 
+      });
+    }
+
+    res.json({ 
+      success: true, 
+      message: 'Evaluation question deleted successfully' 
+    });
+  } catch (error) {
+    console.error('Delete evaluation question error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to delete evaluation question' 
+    });
+  }
+});
+
+// Start an evaluation run; results are filled in in the background
+router.post('/eval/runs', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    const k = parseInt(req.body.k) || evaluationService.defaultK;
+    if (k < 1 || k > 50) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'k must be between 1 and 50' 
+      });
+    }
+
+    const run = await evaluationService.createRun({
+      k,
+      label: req.body.label,
+      startedBy: req.user.email,
+      trigger: 'admin'
+    });
+
+    evaluationService.executeRun(run).catch(error => {
+      console.error('Evaluation run error:', error);
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Evaluation run started',
+      runId: run._id
+    });
+  } catch (error) {
+    console.error('Start evaluation run error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to start evaluation run' 
+    });
+  }
+});
+
+// Get evaluation runs
+router.get('/eval/runs', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+
+    const runs = await EvalRun.find()
+      .sort({ startedAt: -1 })
+      .limit(parseInt(limit))
+      .select('-results');
+
+    res.json({
+      success: true,
+      runs
+    });
+  } catch (error) {
+    console.error('Get evaluation runs error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch evaluation runs' 
+    });
+  }
+});
+
+// Compare evaluation runs, e.g. /eval/compare?runs=id1,id2
+router.get('/eval/compare', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    const runIds = (req.query.runs || '').split(',').map(id => id.trim()).filter(Boolean);
+
+    if (runIds.length < 2) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Provide at least two run ids to compare' 
+      });
+    }
+
+    const comparison = await evaluationService.compareRuns(runIds);
+
+    res.json({
+      success: true,
+      ...comparison
+    });
+  } catch (error) {
+    console.error('Compare evaluation runs error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid run id' 
+      });
+    }
+
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to compare evaluation runs' 
+    });
+  }
+});
+
+// Get a single evaluation run with per-question results
+router.get('/eval/runs/:id', jwtService.getAuthMiddleware(['admin']), async (req, res) => {
+  try {
+    const run = await EvalRun.findById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Evaluation run not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      run
+    });
+  } catch (error) {
+    console.error('Get evaluation run error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch evaluation run' 
+    });
+  }
+});
+
+// Get analytics dashboard data
+router.get('/analytics', jwtService.getAuthMiddleware(['admin', 'hr']), async (req, res) => {
+  try {
+    const [conversationStats, feedbackStats, userStats, knowledgeStats, cacheStats, securityStats, degradedStats, usageStats, experimentStats, gapStats] = await Promise.all([
+      // Conversation stats
+      Conversation.aggregate([
+        {
           $group: {
             _id: null,
             totalConversations: { $sum: 1 },
@@ -489,9 +2294,39 @@ router.get('/analytics', jwtService.getAuthMiddleware(['admin', 'hr']), async (r
             totalViews: { $sum: "$viewCount" }
           }
         }
-      ])
+      ]),
+      // Answer cache hits and savings
+      answerCacheService.getStats(),
+      // Prompt injection flags waiting for review
+      promptInjectionService.getStats(),
+      // Answers given while the model was failing, by fallback and error
+      Conversation.aggregate([
+        { $unwind: "$messages" },
+        { $match: { "messages.metadata.degraded": true } },
+        {
+          $group: {
+            _id: { fallback: "$messages.metadata.fallback", error: "$messages.metadata.llmError" },
+            count: { $sum: 1 }
+          }
+        }
+      ]),
+      // Token usage, daily for the last 30 days and monthly for 6 months
+      usageService.getRollups(),
+      // Feedback per variant of the running experiment
+      experimentService.getRunningSummary(),
+      // Unanswered question clusters waiting for HR
+      knowledgeGapService.getStats()
     ]);
 
+    const degradedAnswers = { total: 0, byFallback: {}, byError: {} };
+    degradedStats.forEach(stat => {
+      const fallback = stat._id.fallback || 'unknown';
+      const error = stat._id.error || 'unknown';
+      degradedAnswers.total += stat.count;
+      degradedAnswers.byFallback[fallback] = (degradedAnswers.byFallback[fallback] || 0) + stat.count;
+      degradedAnswers.byError[error] = (degradedAnswers.byError[error] || 0) + stat.count;
+    });
+
     // Process user stats
     const userRoleStats = {};
     userStats.forEach(stat => {
@@ -520,7 +2355,16 @@ router.get('/analytics', jwtService.getAuthMiddleware(['admin', 'hr']), async (r
           totalDocuments: 0,
           activeDocuments: 0,
           totalViews: 0
-        }
+        },
+        answerCache: cacheStats,
+        security: securityStats,
+        llm: {
+          ...llmService.getHealth(),
+          degradedAnswers
+        },
+        usage: usageStats,
+        experiment: experimentStats,
+        knowledgeGaps: gapStats
       }
     });
   } catch (error) {
@@ -580,7 +2424,8 @@ router.get('/conversations/:id', jwtService.getAuthMiddleware(['admin', 'hr']),
 
     res.json({
       success: true,
-      conversation
+      conversation,
+      memory: conversationMemoryService.describe(conversation)
     });
   } catch (error) {
     console.error('Get conversation error:', error);
@@ -683,17 +2528,19 @@ router.get('/health', jwtService.getAuthMiddleware(['admin']), async (req, res)
 
     const uptime = process.uptime();
     const loadAverage = process.cpuUsage();
+    const llm = llmService.getHealth();
 
     res.json({
       success: true,
       health: {
-        status: 'healthy',
+        status: llm.circuit.state === 'closed' ? 'healthy' : 'degraded',
         timestamp: new Date().toISOString(),
         uptime: {
           seconds: uptime,
           formatted: `${Math.floor(uptime / 3600)}h ${Math.floor((uptime % 3600) / 60)}m ${Math.floor(uptime % 60)}s`
         },
         database: dbStatus,
+        llm,
         memory: {
           used: Math.round(memoryUsage.heapUsed / 1024 / 1024),
           total: Math.round(memoryUsage.heapTotal / 1024 / 1024),
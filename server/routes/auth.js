@@ -23,6 +23,7 @@ const validateRegister = [
   body('role').optional().isIn(['employee', 'admin', 'hr']).withMessage('Invalid role'),
   body('department').optional().trim(),
   body('position').optional().trim(),
+  body('office').optional().trim(),
   body('employeeId').optional().trim()
 ];
 
@@ -75,7 +76,7 @@ router.post('/register', jwtService.getAuthMiddleware(['admin', 'hr']), validate
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email, password, name, role = 'employee', department, position, employeeId } = req.body;
+    const { email, password, name, role = 'employee', department, position, office, employeeId } = req.body;
 
     // Check if user exists
     const existingUser = await User.findOne({ $or: [{ email }, { employeeId }] });
@@ -94,6 +95,7 @@ router.post('/register', jwtService.getAuthMiddleware(['admin', 'hr']), validate
       role: req.user.role === 'admin' ? role : 'employee', // Only admin can set admin/hr roles
       department,
       position,
+      office,
       employeeId
     });
 
@@ -233,7 +235,8 @@ router.get('/profile', jwtService.getAuthMiddleware(), async (req, res) => {
 router.put('/profile', jwtService.getAuthMiddleware(), [
   body('name').optional().trim().isLength({ min: 2, max: 50 }),
   body('department').optional().trim(),
-  body('position').optional().trim()
+  body('position').optional().trim(),
+  body('office').optional().trim()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -241,16 +244,18 @@ router.put('/profile', jwtService.getAuthMiddleware(), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, department, position } = req.body;
+    const { name, department, position, office } = req.body;
+
+    // Department, position and office grant document access, so employees
+    // can't change their own
+    const update = { name, updatedAt: new Date() };
+    if (['admin', 'hr'].includes(req.user.role)) {
+      Object.assign(update, { department, position, office });
+    }
     
     const user = await User.findByIdAndUpdate(
       req.user.id,
-      { 
-        name, 
-        department, 
-        position,
-        updatedAt: new Date()
-      },
+      update,
       { new: true, select: '-password' }
     );
 
@@ -3,32 +3,50 @@ const router = express.Router();
 const Conversation = require('../models/Conversation');
 const KnowledgeBase = require('../models/KnowledgeBase');
 const Feedback = require('../models/Feedback');
-const geminiService = require('../services/GeminiService');
+const llmService = require('../services/LlmService');
+const retrievalService = require('../services/RetrievalService');
+const queryRewriteService = require('../services/QueryRewriteService');
+const accessPolicyService = require('../services/AccessPolicyService');
+const glossaryService = require('../services/GlossaryService');
+const answerCacheService = require('../services/AnswerCacheService');
+const conversationMemoryService = require('../services/ConversationMemoryService');
+const promptInjectionService = require('../services/PromptInjectionService');
+const structuredAnswerService = require('../services/StructuredAnswerService');
+const usageService = require('../services/UsageService');
+const experimentService = require('../services/ExperimentService');
+const knowledgeGapService = require('../services/KnowledgeGapService');
 const jwtService = require('../services/JwtService');
+const { LlmError } = require('../services/llm/errors');
 
 // Generate unique session ID
 const generateSessionId = () => {
   return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 };
 
-// Search knowledge base with enhanced relevance
-const searchKnowledgeBase = async (query, userRole = 'employee') => {
+// Search knowledge base passages the user may read, with hybrid ranking
+const searchKnowledgeBase = async (query, accessUser = 'employee') => {
   try {
-    const results = await KnowledgeBase.searchByRole(query, userRole, 7);
-    return results.map(doc => ({
-      id: doc._id,
-      title: doc.title,
-      content: doc.content.substring(0, 1000), // Limit content length
-      category: doc.category,
-      summary: doc.summary,
-      score: doc._doc?.score || 0
-    }));
+    return await retrievalService.search(query, accessUser);
   } catch (error) {
     console.error('Search error:', error);
     return [];
   }
 };
 
+// Build the citations stored with a bot message
+const buildCitations = (knowledgeContext) => {
+  return knowledgeContext.map(doc => ({
+    documentId: doc.id,
+    chunkId: doc.chunkId,
+    title: doc.title,
+    revision: doc.revision,
+    snippet: doc.content.length > 500 ? doc.content.substring(0, 500) + '...' : doc.content,
+    startOffset: doc.startOffset,
+    endOffset: doc.endOffset,
+    score: doc.score
+  }));
+};
+
 // Generate quick replies based on context
 const generateQuickReplies = (userQuery, knowledgeResults, userRole) => {
   const defaultReplies = [
@@ -62,6 +80,9 @@ const generateQuickReplies = (userQuery, knowledgeResults, userRole) => {
   return allReplies.slice(0, 5);
 };
 
+// Intents that can be answered without knowledge base sources
+const CONVERSATIONAL_INTENTS = ['greeting', 'thanks'];
+
 // Analyze query intent
 const analyzeQueryIntent = (query) => {
   const lowerQuery = query.toLowerCase();
@@ -87,140 +108,406 @@ const analyzeQueryIntent = (query) => {
   return 'general';
 };
 
-// Main chat endpoint with authentication
-router.post('/', jwtService.getAuthMiddleware(), async (req, res) => {
-  try {
-    const { message, sessionId: clientSessionId } = req.body;
-    
-    if (!message || message.trim().length === 0) {
-      return res.status(400).json({ 
-        error: 'Message is required',
-        reply: "Please enter a question or message."
-      });
+// Refusal body when the user's token quota is used up, or null. Checked
+// before anything calls the model.
+const checkQuota = async (user) => {
+  const quota = await usageService.checkQuota(user);
+  if (!quota.exceeded) return null;
+
+  return {
+    success: false,
+    error: 'Token quota exceeded',
+    reply: usageService.getQuotaMessage(quota),
+    quota: {
+      period: quota.period,
+      limit: quota.limit,
+      used: quota.used,
+      resetsAt: quota.resetsAt
     }
+  };
+};
 
-    // Validate message length
-    if (message.length > 1000) {
-      return res.status(400).json({
-        error: 'Message too long',
-        reply: "Your message is too long. Please keep it under 1000 characters."
-      });
-    }
+// Check the chat message; returns an error body for invalid input
+const validateMessage = (message) => {
+  if (!message || message.trim().length === 0) {
+    return {
+      error: 'Message is required',
+      reply: "Please enter a question or message."
+    };
+  }
 
-    // Get user info from auth middleware
-    const user = req.user;
-    const userRole = user?.role || 'employee';
+  // Validate message length
+  if (message.length > 1000) {
+    return {
+      error: 'Message too long',
+      reply: "Your message is too long. Please keep it under 1000 characters."
+    };
+  }
 
-    // Get or create session
-    let sessionId = clientSessionId;
-    let conversation = null;
+  return null;
+};
 
-    if (sessionId) {
-      conversation = await Conversation.findOne({ sessionId, userId: user.id });
-    }
+// Everything that happens before the answer is generated: conversation
+// lookup, query rewriting, glossary expansion, the answer cache and
+// retrieval. The user message is added to the conversation but not saved.
+const prepareTurn = async (req) => {
+  const { message, sessionId: clientSessionId } = req.body;
 
-    if (!conversation) {
-      sessionId = generateSessionId();
-      conversation = new Conversation({
-        sessionId,
-        userId: user.id,
-        userEmail: user.email,
-        userName: user.name,
-        userRole: user.role,
-        messages: [],
-        metadata: {
-          deviceType: req.headers['user-agent']?.includes('Mobile') ? 'mobile' : 'desktop',
-          browser: req.headers['user-agent']?.split(' ')[0] || 'unknown',
-          ipAddress: req.ip
-        }
-      });
-    }
+  // Get user info from auth middleware
+  const user = req.user;
+  const userRole = user?.role || 'employee';
 
-    // Save user message with metadata
-    conversation.messages.push({
-      role: 'user',
-      content: message,
-      timestamp: new Date(),
+  // Get or create session
+  let sessionId = clientSessionId;
+  let conversation = null;
+
+  if (sessionId) {
+    conversation = await Conversation.findOne({ sessionId, userId: user.id });
+  }
+
+  if (!conversation) {
+    sessionId = generateSessionId();
+    conversation = new Conversation({
+      sessionId,
+      userId: user.id,
+      userEmail: user.email,
+      userName: user.name,
+      userRole: user.role,
+      messages: [],
       metadata: {
-        intent: analyzeQueryIntent(message),
-        length: message.length,
-        userAgent: req.headers['user-agent']?.substring(0, 100)
+        deviceType: req.headers['user-agent']?.includes('Mobile') ? 'mobile' : 'desktop',
+        browser: req.headers['user-agent']?.split(' ')[0] || 'unknown',
+        ipAddress: req.ip
       }
     });
+  }
 
-    // Search knowledge base with user role context
-    const knowledgeContext = await searchKnowledgeBase(message, userRole);
-    const contextText = knowledgeContext.length > 0
-      ? knowledgeContext.map(doc => `[${doc.category.toUpperCase()}] ${doc.title}:\n${doc.content}`).join('\n\n')
-      : 'No specific knowledge base entries found for this query.';
+  // New conversations join the running experiment, if there is one
+  const assignment = await experimentService.assign(conversation);
+
+  // Who model calls for this turn are charged to
+  const caller = { userId: user.id, userRole, conversationId: conversation._id };
+
+  // Resolve follow-ups against the earlier turns before searching
+  const { query: searchQuery, method: queryRewriteMethod } = await queryRewriteService.rewrite(
+    message,
+    conversation.messages,
+    caller
+  );
+
+  // Expand company terms and acronyms with their glossary synonyms
+  const { query: expandedQuery } = await glossaryService.expandQuery(searchQuery);
+  const glossaryTerms = await glossaryService.findTerms(message);
+
+  // Flagged messages are logged for review; with blocking on they get no answer
+  const injection = await promptInjectionService.checkMessage(message, { user, conversation });
+
+  // Save user message with metadata
+  const intent = analyzeQueryIntent(message);
+  conversation.messages.push({
+    role: 'user',
+    content: message,
+    timestamp: new Date(),
+    metadata: {
+      intent: intent,
+      length: message.length,
+      userAgent: req.headers['user-agent']?.substring(0, 100),
+      searchQuery: expandedQuery,
+      queryRewriteMethod: queryRewriteMethod,
+      glossaryTerms: glossaryTerms.map(entry => entry.term),
+      injectionScore: injection.score || undefined,
+      injectionFlagged: injection.flagged || undefined
+    }
+  });
 
-    // Generate AI response with user context
-    const startTime = Date.now();
-    const botResponse = await geminiService.generateResponse(
-      message, 
-      contextText,
-      userRole,
-      user.name
-    );
-    const responseTime = Date.now() - startTime;
+  // Search knowledge base with the user's access attributes
+  const accessUser = await accessPolicyService.getUserAttributes(user);
+
+  // Standalone questions can be answered from the cache; follow-ups depend
+  // on the conversation, greetings are cheap and flagged messages are not
+  // worth sharing with other users. Experiment conversations always get
+  // their variant's own answers.
+  const cacheable = answerCacheService.enabled &&
+    !assignment &&
+    queryRewriteMethod === 'none' &&
+    !CONVERSATIONAL_INTENTS.includes(intent) &&
+    !injection.flagged;
+  const kbRevision = cacheable ? await answerCacheService.getRevision() : null;
+  const cached = cacheable ? await answerCacheService.lookup(message, accessUser, kbRevision) : null;
+
+  const turn = {
+    message,
+    user,
+    userRole,
+    conversation,
+    caller,
+    // Answer settings of the conversation's experiment variant
+    settings: assignment?.variant.settings,
+    department: accessUser.department,
+    intent,
+    expandedQuery,
+    glossaryTerms,
+    cacheable,
+    kbRevision,
+    cached,
+    blocked: injection.blocked,
+    knowledgeContext: [],
+    contextText: '',
+    answered: true,
+    memory: null
+  };
+
+  if (cached || injection.blocked) return turn;
+
+  turn.knowledgeContext = await searchKnowledgeBase(expandedQuery, accessUser);
+  turn.contextText = llmService.formatContext(
+    turn.knowledgeContext,
+    glossaryTerms.length > 0 ? glossaryService.formatDefinitions(glossaryTerms) : ''
+  );
 
-    // Generate dynamic quick replies
-    const quickReplies = generateQuickReplies(message, knowledgeContext, userRole);
+  // Nothing relevant enough: say so instead of letting the model guess.
+  // Greetings and thanks don't need sources; glossary terms explain themselves.
+  turn.answered = turn.knowledgeContext.length > 0 ||
+    glossaryTerms.length > 0 ||
+    CONVERSATIONAL_INTENTS.includes(intent);
+
+  // Earlier turns (before the message just added) for the prompt
+  if (turn.answered) {
+    turn.memory = await conversationMemoryService.buildMemory(conversation, conversation.messages.slice(0, -1));
+  }
+
+  return turn;
+};
+
+// Cacheable answers are shared between users, so they are not personalized
+// with the user's name or department
+const getPromptUser = (turn) => turn.cacheable
+  ? { userName: '', department: '' }
+  : { userName: turn.user.name, department: turn.department };
+
+// The answer for turns that don't need the model, or null
+const getPreparedAnswer = async (turn) => {
+  if (turn.blocked) return promptInjectionService.getBlockedResponse();
+  if (turn.cached) return turn.cached.entry.answer;
+  if (!turn.answered) return llmService.getNoAnswerResponse(turn.userRole, getPromptUser(turn));
+  return null;
+};
+
+// Passages the answer relied on. Structured answers name them by their
+// 1-based id in the prompt; for other answers every passage counts.
+const getCitedPassages = (knowledgeContext, result) => {
+  if (!result.sources) return knowledgeContext;
+  return knowledgeContext.filter((doc, index) => result.sources.includes(index + 1));
+};
 
-    // Save bot response
+// Save the bot message, cache the answer and build the response body.
+// `result` is a structured answer from LlmService, or { answer } for
+// prepared replies. An interrupted answer is saved as far as it got but
+// never cached.
+const completeTurn = async (turn, result, responseTime, { interrupted = false } = {}) => {
+  const { conversation, cached, userRole } = turn;
+  const botResponse = result.answer;
+  const knowledgeContext = getCitedPassages(turn.knowledgeContext, result);
+  const confidence = cached ? cached.entry.confidence : result.confidence;
+
+  let quickReplies;
+  let citations;
+  let sources;
+
+  if (cached) {
+    quickReplies = cached.entry.quickReplies;
+    citations = cached.entry.citations.map(citation => citation.toObject());
+    sources = citations.map(citation => ({
+      documentId: citation.documentId,
+      chunkId: citation.chunkId,
+      title: citation.title,
+      revision: citation.revision,
+      scores: { fused: citation.score }
+    }));
+  } else {
+    // Follow-ups suggested by the model, otherwise dynamic quick replies
+    quickReplies = result.followUps?.length > 0
+      ? result.followUps
+      : generateQuickReplies(turn.message, knowledgeContext, userRole);
+    citations = buildCitations(knowledgeContext);
+    sources = knowledgeContext.map(doc => ({
+      documentId: doc.id,
+      chunkId: doc.chunkId,
+      title: doc.title,
+      revision: doc.revision,
+      scores: doc.scores
+    }));
+  }
+
+  // Save bot response with its sources
+  const sourceDocumentIds = [...new Set(citations.map(citation => citation.documentId.toString()))];
+  const hasResponse = botResponse.trim().length > 0;
+
+  if (hasResponse) {
     conversation.messages.push({
       role: 'bot',
       content: botResponse,
       timestamp: new Date(),
       quickReplies: quickReplies,
+      citations: citations,
       metadata: {
-        knowledgeSources: knowledgeContext.map(doc => doc.id),
+        knowledgeSources: sourceDocumentIds,
         responseLength: botResponse.length,
         responseTime: responseTime,
+        cached: Boolean(cached),
+        cacheMatch: cached?.match,
+        savedTime: cached ? cached.entry.responseTime : undefined,
+        interrupted: interrupted || undefined,
+        blocked: turn.blocked || undefined,
+        confidence: confidence || undefined,
+        structuredOutput: result.structured,
+        model: result.model,
+        degraded: result.degraded || undefined,
+        fallback: result.fallback,
+        llmError: result.errorType || undefined,
+        historyMessages: turn.memory?.turns.length,
+        historyTokens: turn.memory?.tokens,
+        usedSummary: turn.memory ? Boolean(turn.memory.summary) : undefined,
         generatedAt: new Date()
       }
     });
+  }
 
-    conversation.updatedAt = new Date();
-    await conversation.save();
+  conversation.updatedAt = new Date();
+  await conversation.save();
+
+  // Questions the knowledge base could not answer go to the HR gap queue.
+  // Model failures are not gaps, and cached answers were confident ones.
+  if (hasResponse && !cached && !turn.blocked && !interrupted && !result.degraded &&
+      !CONVERSATIONAL_INTENTS.includes(turn.intent)) {
+    const reasons = knowledgeGapService.getAnswerReasons({
+      answered: turn.answered,
+      sourceCount: turn.knowledgeContext.length,
+      answer: botResponse,
+      noAnswer: turn.answered ? await llmService.getNoAnswerResponse(userRole, getPromptUser(turn)) : null,
+      confidence
+    });
+    knowledgeGapService.record(turn.message, reasons, turn.caller);
+  }
+
+  // Only complete, confident answers grounded in the knowledge base are
+  // worth reusing, and only if earlier turns of this conversation did not
+  // shape them
+  const hasHistory = Boolean(turn.memory && (turn.memory.summary || turn.memory.turns.length > 0));
+  if (turn.cacheable && !cached && !interrupted && !result.degraded && !hasHistory &&
+      knowledgeContext.length > 0 && confidence !== 'low') {
+    await answerCacheService.store({
+      question: turn.message,
+      userRole,
+      kbRevision: turn.kbRevision,
+      answer: botResponse,
+      confidence,
+      quickReplies,
+      citations,
+      sourceDocumentIds,
+      responseTime
+    });
+  }
 
-    // Update view counts for knowledge base items
-    const updatePromises = knowledgeContext.map(doc => 
-      KnowledgeBase.findByIdAndUpdate(doc.id, { 
+  // Update view counts for knowledge base items (once per document)
+  if (hasResponse) {
+    const updatePromises = sourceDocumentIds.map(id => 
+      KnowledgeBase.findByIdAndUpdate(id, { 
         $inc: { viewCount: 1 },
         lastAccessed: new Date()
       })
     );
     await Promise.all(updatePromises);
+  }
 
-    res.json({
-      success: true,
-      reply: botResponse,
-      sessionId: conversation.sessionId,
-      quickReplies: quickReplies,
-      conversationId: conversation._id,
-      timestamp: new Date().toISOString(),
-      metadata: {
-        sourcesCount: knowledgeContext.length,
-        userRole: userRole,
-        responseTime: responseTime
+  return {
+    success: true,
+    reply: botResponse,
+    sessionId: conversation.sessionId,
+    quickReplies: quickReplies,
+    citations: citations,
+    cached: Boolean(cached),
+    interrupted: interrupted,
+    confidence: confidence || null,
+    // Set when the model failed and the reply is a fallback (extractive,
+    // partial or unavailable) rather than a generated answer
+    degraded: Boolean(result.degraded),
+    fallback: result.fallback || null,
+    errorType: result.errorType || null,
+    conversationId: conversation._id,
+    timestamp: new Date().toISOString(),
+    metadata: {
+      sourcesCount: sources.length,
+      sources: sources,
+      answeredFromKnowledgeBase: sources.length > 0,
+      cacheMatch: cached?.match || null,
+      cacheSimilarity: cached?.similarity ?? null,
+      searchQuery: turn.expandedQuery,
+      glossaryTerms: turn.glossaryTerms.map(entry => entry.term),
+      userRole: userRole,
+      responseTime: responseTime
+    }
+  };
+};
+
+// Map an unexpected chat error to a status code and user-facing reply
+const getChatError = (error) => {
+  // Different error messages based on error type
+  let errorMessage = "I'm having trouble processing your request. Please try again.";
+  let statusCode = 500;
+
+  if (error instanceof LlmError) {
+    errorMessage = "The AI service is currently unavailable. Please try again later or contact IT support.";
+    statusCode = 503;
+  } else if (error.name === 'MongoError') {
+    errorMessage = "Database connection issue. Please try again in a moment.";
+    statusCode = 503;
+  }
+
+  return { statusCode, errorMessage };
+};
+
+// Main chat endpoint with authentication
+router.post('/', jwtService.getAuthMiddleware(), async (req, res) => {
+  try {
+    const invalid = validateMessage(req.body.message);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+
+    const overQuota = await checkQuota(req.user);
+    if (overQuota) {
+      return res.status(429).json(overQuota);
+    }
+
+    const turn = await prepareTurn(req);
+
+    // Generate AI response with user context
+    const startTime = Date.now();
+    const { userName, department } = getPromptUser(turn);
+    const prepared = await getPreparedAnswer(turn);
+    const result = prepared !== null ? { answer: prepared } : await llmService.generateResponse(
+      turn.message,
+      turn.contextText,
+      turn.userRole,
+      userName,
+      {
+        memory: turn.memory,
+        department,
+        passages: turn.knowledgeContext,
+        caller: turn.caller,
+        settings: turn.settings
       }
-    });
+    );
+    const responseTime = Date.now() - startTime;
+
+    // No answer at all: the reply is saved but the request failed
+    const body = await completeTurn(turn, result, responseTime);
+    res.status(result.fallback === 'unavailable' ? 503 : 200).json(body);
 
   } catch (error) {
     console.error('Chat error:', error);
-    
-    // Different error messages based on error type
-    let errorMessage = "I'm having trouble processing your request. Please try again.";
-    let statusCode = 500;
-
-    if (error?.message?.includes('API key') || error?.message?.includes('Gemini')) {
-      errorMessage = "The AI service is currently unavailable. Please try again later or contact IT support.";
-      statusCode = 503;
-    } else if (error.name === 'MongoError') {
-      errorMessage = "Database connection issue. Please try again in a moment.";
-      statusCode = 503;
-    }
+    const { statusCode, errorMessage } = getChatError(error);
 
     res.status(statusCode).json({ 
       success: false,
@@ -230,6 +517,113 @@ router.post('/', jwtService.getAuthMiddleware(), async (req, res) => {
   }
 });
 
+// Streaming chat endpoint. Sends Server-Sent Events: `token` events with
+// text as it is generated, then a `done` event with the same body as
+// POST /api/chat. Closing the connection stops generation; the partial
+// answer is still saved.
+router.post('/stream', jwtService.getAuthMiddleware(), async (req, res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  const sendEvent = (event, data) => {
+    if (!res.destroyed && !res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  try {
+    const invalid = validateMessage(req.body.message);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+
+    const overQuota = await checkQuota(req.user);
+    if (overQuota) {
+      return res.status(429).json(overQuota);
+    }
+
+    const turn = await prepareTurn(req);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    // Lets the client continue the conversation even if it stops this answer
+    sendEvent('start', {
+      sessionId: turn.conversation.sessionId,
+      conversationId: turn.conversation._id
+    });
+
+    const startTime = Date.now();
+    const prepared = await getPreparedAnswer(turn);
+    let result;
+
+    if (prepared !== null) {
+      result = { answer: prepared };
+      sendEvent('token', { text: prepared });
+    } else {
+      let streamed = '';
+      const { userName, department } = getPromptUser(turn);
+      const events = llmService.streamResponse(
+        turn.message,
+        turn.contextText,
+        turn.userRole,
+        userName,
+        {
+          signal: controller.signal,
+          memory: turn.memory,
+          department,
+          passages: turn.knowledgeContext,
+          caller: turn.caller,
+          settings: turn.settings
+        }
+      );
+
+      for await (const event of events) {
+        if (event.type === 'token') {
+          streamed += event.text;
+          sendEvent('token', { text: event.text });
+        } else {
+          result = event.result;
+        }
+      }
+
+      // Stopped before the model finished: keep the text shown so far
+      if (controller.signal.aborted || !result) {
+        result = { answer: structuredAnswerService.sanitizeMarkdown(streamed), sources: null, structured: false };
+      }
+    }
+    const responseTime = Date.now() - startTime;
+
+    const body = await completeTurn(turn, result, responseTime, {
+      interrupted: controller.signal.aborted
+    });
+
+    sendEvent('done', body);
+    res.end();
+
+  } catch (error) {
+    console.error('Chat stream error:', error);
+    const { statusCode, errorMessage } = getChatError(error);
+
+    if (!res.headersSent) {
+      return res.status(statusCode).json({ 
+        success: false,
+        error: 'Internal server error',
+        reply: errorMessage
+      });
+    }
+
+    sendEvent('error', { success: false, error: 'Internal server error', reply: errorMessage });
+    res.end();
+  }
+});
+
 // Get conversation history for authenticated user
 router.get(['/history', '/history/:sessionId'], jwtService.getAuthMiddleware(), async (req, res) => {
   try {
@@ -354,9 +748,12 @@ router.post('/feedback', jwtService.getAuthMiddleware(), async (req, res) => {
       comment: comment || '',
       isHelpful: isHelpful || (rating >= 4),
       category: conversation.messages[0]?.metadata?.intent || 'general',
+      experimentId: conversation.experiment?.experimentId,
+      variant: conversation.experiment?.variant,
       metadata: {
         responseTime: conversation.messages[conversation.messages.length - 1]?.metadata?.responseTime || 0,
-        sourceCount: conversation.messages[conversation.messages.length - 1]?.metadata?.knowledgeSources?.length || 0
+        sourceCount: conversation.messages[conversation.messages.length - 1]?.metadata?.knowledgeSources?.length || 0,
+        modelUsed: botMessages[botMessages.length - 1]?.metadata?.model
       },
       createdAt: new Date()
     });
@@ -372,6 +769,17 @@ router.post('/feedback', jwtService.getAuthMiddleware(), async (req, res) => {
 
     await conversation.save();
 
+    // A thumbs-down on an answer from the knowledge base marks a gap
+    const lastAnswer = botMessages[botMessages.length - 1];
+    if (parseInt(rating) <= 2 && lastQuestion && lastAnswer &&
+        !lastAnswer.metadata?.blocked && !lastAnswer.metadata?.degraded) {
+      knowledgeGapService.record(lastQuestion, ['negativeFeedback'], {
+        userId: req.user.id,
+        userRole: req.user.role,
+        conversationId: conversation._id
+      });
+    }
+
     res.json({ 
       success: true, 
       message: 'Feedback submitted successfully',
@@ -516,7 +924,8 @@ router.get('/export/:sessionId', jwtService.getAuthMiddleware(), async (req, res
         role: msg.role,
         content: msg.content,
         timestamp: msg.timestamp,
-        quickReplies: msg.quickReplies || []
+        quickReplies: msg.quickReplies || [],
+        citations: msg.citations || []
       })),
       metadata: {
         userRole: conversation.userRole,
@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const KnowledgeBase = require('../models/KnowledgeBase');
+const jwtService = require('../services/JwtService');
+const accessPolicyService = require('../services/AccessPolicyService');
+
+// Fields employees may see; access settings and file paths stay internal
+const PUBLIC_FIELDS = 'title summary category tags fileType fileName createdAt updatedAt viewCount';
+
+// Get categories with document counts
+router.get('/categories', jwtService.getAuthMiddleware(), async (req, res) => {
+  try {
+    const accessUser = await accessPolicyService.getUserAttributes(req.user);
+
+    const categories = await KnowledgeBase.aggregate([
+      { $match: KnowledgeBase.accessFilter(accessUser) },
+      { $group: { _id: '$category', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    res.json({
+      success: true,
+      categories: categories.map(category => ({
+        category: category._id,
+        count: category.count
+      }))
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch categories'
+    });
+  }
+});
+
+// List or search documents
+router.get('/documents', jwtService.getAuthMiddleware(), async (req, res) => {
+  try {
+    const { category, search } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const accessUser = await accessPolicyService.getUserAttributes(req.user);
+    const query = KnowledgeBase.accessFilter(accessUser);
+
+    if (category && category !== 'all') query.category = category;
+
+    let documentsQuery;
+    if (search) {
+      query.$text = { $search: search };
+      documentsQuery = KnowledgeBase.find(query, { score: { $meta: "textScore" } })
+        .sort({ score: { $meta: "textScore" } });
+    } else {
+      documentsQuery = KnowledgeBase.find(query).sort({ title: 1 });
+    }
+
+    const documents = await documentsQuery
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select(PUBLIC_FIELDS);
+
+    const total = await KnowledgeBase.countDocuments(query);
+
+    res.json({
+      success: true,
+      documents,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get documents error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch documents'
+    });
+  }
+});
+
+// Read a single document
+router.get('/documents/:id', jwtService.getAuthMiddleware(), async (req, res) => {
+  try {
+    // Documents the user may not read look the same as missing ones
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    const accessUser = await accessPolicyService.getUserAttributes(req.user);
+
+    const document = await KnowledgeBase.findOne({
+      _id: req.params.id,
+      ...KnowledgeBase.accessFilter(accessUser)
+    }).select(`${PUBLIC_FIELDS} content`);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    // Count the view without touching updatedAt
+    await KnowledgeBase.updateOne({ _id: document._id }, {
+      $inc: { viewCount: 1 },
+      lastAccessed: new Date()
+    });
+
+    res.json({
+      success: true,
+      document: {
+        _id: document._id,
+        title: document.title,
+        content: document.content,
+        summary: document.summary,
+        category: document.category,
+        tags: document.tags,
+        fileType: document.fileType,
+        fileName: document.fileName,
+        createdAt: document.createdAt,
+        updatedAt: document.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Get document error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch document'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const evaluationService = require('./services/EvaluationService');
+
+// Usage: npm run eval -- --k=5 --label="chunk size 800"
+const parseArgs = (argv) => {
+  const args = {};
+  argv.forEach(arg => {
+    const match = arg.match(/^--([^=]+)=(.*)$/);
+    if (match) args[match[1]] = match[2];
+  });
+  return args;
+};
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+async function runEvaluation() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const args = parseArgs(process.argv.slice(2));
+    const run = await evaluationService.runEvaluation({
+      k: parseInt(args.k) || evaluationService.defaultK,
+      label: args.label,
+      startedBy: 'cli',
+      trigger: 'cli'
+    });
+
+    if (run.status === 'failed') {
+      console.error('❌ Evaluation failed:', run.error);
+      process.exit(1);
+    }
+
+    run.results.forEach(result => {
+      const rank = result.firstRelevantRank ? `rank ${result.firstRelevantRank}` : 'missed';
+      console.log(`${result.firstRelevantRank ? '✓' : '✗'} [${rank}] ${result.question}`);
+    });
+
+    const { questionCount, recallAtK, mrr, hitRate } = run.metrics;
+    console.log(`\n✅ Evaluation run ${run._id} (${questionCount} questions, k=${run.k})`);
+    console.log(`   Recall@${run.k}: ${percent(recallAtK)}`);
+    console.log(`   MRR:       ${mrr.toFixed(3)}`);
+    console.log(`   Hit rate:  ${percent(hitRate)}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error running evaluation:', error);
+    process.exit(1);
+  }
+}
+
+runEvaluation();
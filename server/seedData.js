@@ -1,6 +1,9 @@
+require('dotenv').config();
 const mongoose = require('mongoose');
 const KnowledgeBase = require('./models/KnowledgeBase');
-require('dotenv').config();
+const chunkingService = require('./services/ChunkingService');
+const answerCacheService = require('./services/AnswerCacheService');
+const duplicateDetectionService = require('./services/DuplicateDetectionService');
 
 const sampleDocuments = [
   {
@@ -100,17 +103,32 @@ async function seedDatabase() {
     console.log('Connected to MongoDB');
 
     // Clear existing data
+    const existing = await KnowledgeBase.find({ source: 'manual' }).select('_id');
+    for (const document of existing) {
+      await chunkingService.removeDocument(document._id);
+    }
     await KnowledgeBase.deleteMany({ source: 'manual' });
     console.log('Cleared existing sample data');
 
-    // Insert sample documents
-    await KnowledgeBase.insertMany(sampleDocuments);
+    // Insert sample documents, fingerprinted so uploads can be matched against them
+    const documents = await KnowledgeBase.insertMany(
+      sampleDocuments.map(doc => duplicateDetectionService.applyFingerprint({ ...doc }))
+    );
     console.log('✅ Sample data inserted successfully');
 
     // Create text index
     await KnowledgeBase.createIndexes();
     console.log('✅ Text index created');
 
+    // Split documents into passages for retrieval
+    for (const document of documents) {
+      await chunkingService.indexDocument(document);
+    }
+    console.log('✅ Knowledge base passages indexed');
+
+    // Answers cached before the reseed may cite removed documents
+    await answerCacheService.bumpRevision();
+
     process.exit(0);
   } catch (error) {
     console.error('Error seeding database:', error);
@@ -25,6 +25,8 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 const authRoutes = require('./routes/auth');
 const chatRoutes = require('./routes/chat');
 const adminRoutes = require('./routes/admin');
+const kbRoutes = require('./routes/kb');
+const ingestionService = require('./services/IngestionService');
 
 // Public routes
 app.use('/api/auth', authRoutes);
@@ -32,6 +34,7 @@ app.use('/api/auth', authRoutes);
 // Protected routes (will be protected in individual route files)
 app.use('/api/chat', chatRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/kb', kbRoutes);
 
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
@@ -82,7 +85,11 @@ app.use((err, req, res, next) => {
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/onboarding-chatbot')
-.then(() => console.log('✅ MongoDB Connected'))
+.then(() => {
+  console.log('✅ MongoDB Connected');
+  // Finish uploads that were being ingested when the server stopped
+  ingestionService.resume();
+})
 .catch(err => {
   console.error(' MongoDB Connection Error:', err.message);
   console.log(' Starting server with limited functionality...');
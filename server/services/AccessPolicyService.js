@@ -0,0 +1,160 @@
+const User = require('../models/User');
+
+// Each role also sees everything the roles below it can see
+const ROLE_HIERARCHY = {
+  admin: ['admin', 'hr', 'employee'],
+  hr: ['hr', 'employee'],
+  employee: ['employee']
+};
+
+// User attributes that document access rules may refer to
+const RULE_ATTRIBUTES = ['department', 'position', 'office', 'employeeId', 'email'];
+const RULE_OPERATORS = ['in', 'notIn'];
+
+const normalize = (value) => {
+  return typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : null;
+};
+
+class AccessPolicyService {
+  getEffectiveRoles(role) {
+    return ROLE_HIERARCHY[role] || ROLE_HIERARCHY.employee;
+  }
+
+  // Load the attributes rules are evaluated against. The JWT only carries
+  // id, email, role and name, so the rest comes from the user record.
+  async getUserAttributes(tokenUser) {
+    const attributes = {
+      id: tokenUser.id,
+      role: tokenUser.role || 'employee',
+      email: tokenUser.email
+    };
+
+    try {
+      const user = await User.findById(tokenUser.id).select('role department position office employeeId email');
+      if (user) {
+        RULE_ATTRIBUTES.forEach(attribute => {
+          attributes[attribute] = user[attribute];
+        });
+        attributes.role = user.role;
+      }
+    } catch (error) {
+      console.error('Access attribute lookup error:', error.message);
+    }
+
+    return attributes;
+  }
+
+  // MongoDB filter selecting the documents (or passages) a user may read.
+  // Accepts a user attribute object or, for callers without one, a role.
+  buildFilter(user = 'employee') {
+    const subject = typeof user === 'string' ? { role: user } : user;
+
+    // Admins manage the whole knowledge base
+    if (subject.role === 'admin') {
+      return {};
+    }
+
+    return {
+      $and: [
+        {
+          $or: [
+            { accessRoles: { $in: this.getEffectiveRoles(subject.role) } },
+            { accessRoles: { $size: 0 } }
+          ]
+        },
+        { $expr: this.buildRuleExpression(subject) }
+      ]
+    };
+  }
+
+  // The role part of buildFilter in the operators an Atlas $vectorSearch
+  // filter accepts; `$nin` of every role matches passages open to all.
+  // Policy rules can't be expressed there and are checked afterwards.
+  buildVectorSearchFilter(user = 'employee') {
+    const subject = typeof user === 'string' ? { role: user } : user;
+    if (subject.role === 'admin') {
+      return {};
+    }
+
+    return {
+      $or: [
+        { accessRoles: { $in: this.getEffectiveRoles(subject.role) } },
+        { accessRoles: { $nin: ROLE_HIERARCHY.admin } }
+      ]
+    };
+  }
+
+  // Every rule in accessPolicy.rules must hold for the user
+  buildRuleExpression(subject) {
+    const attributeValue = {
+      $switch: {
+        branches: RULE_ATTRIBUTES.map(attribute => ({
+          case: { $eq: ['$$rule.attribute', attribute] },
+          then: { $literal: normalize(subject[attribute]) }
+        })),
+        default: null
+      }
+    };
+
+    return {
+      $allElementsTrue: [{
+        $map: {
+          input: { $ifNull: ['$accessPolicy.rules', []] },
+          as: 'rule',
+          in: {
+            $cond: [
+              { $eq: ['$$rule.operator', 'notIn'] },
+              { $not: [{ $in: [attributeValue, '$$rule.values'] }] },
+              { $in: [attributeValue, '$$rule.values'] }
+            ]
+          }
+        }
+      }]
+    };
+  }
+
+  // Validate and normalize an access policy from a request body.
+  // Multipart uploads send it as a JSON string.
+  parsePolicy(input) {
+    if (input === undefined || input === null || input === '') {
+      return { rules: [] };
+    }
+
+    let policy = input;
+    if (typeof input === 'string') {
+      try {
+        policy = JSON.parse(input);
+      } catch (error) {
+        throw new Error('Access policy must be valid JSON');
+      }
+    }
+
+    const rules = Array.isArray(policy.rules) ? policy.rules : [];
+
+    return {
+      rules: rules.map(rule => {
+        if (!RULE_ATTRIBUTES.includes(rule.attribute)) {
+          throw new Error(`Unsupported access rule attribute: ${rule.attribute}`);
+        }
+
+        const operator = rule.operator || 'in';
+        if (!RULE_OPERATORS.includes(operator)) {
+          throw new Error(`Unsupported access rule operator: ${operator}`);
+        }
+
+        const values = (Array.isArray(rule.values) ? rule.values : [rule.values])
+          .map(normalize)
+          .filter(Boolean);
+        if (values.length === 0) {
+          throw new Error(`Access rule for ${rule.attribute} needs at least one value`);
+        }
+
+        return { attribute: rule.attribute, operator, values };
+      })
+    };
+  }
+}
+
+module.exports = new AccessPolicyService();
+module.exports.RULE_ATTRIBUTES = RULE_ATTRIBUTES;
+module.exports.RULE_OPERATORS = RULE_OPERATORS;
@@ -0,0 +1,187 @@
+const AnswerCache = require('../models/AnswerCache');
+const Conversation = require('../models/Conversation');
+const KnowledgeBase = require('../models/KnowledgeBase');
+const Setting = require('../models/Setting');
+const embeddingService = require('./EmbeddingService');
+
+const REVISION_KEY = 'knowledgeBaseRevision';
+
+class AnswerCacheService {
+  constructor() {
+    this.enabled = process.env.ANSWER_CACHE_ENABLED !== 'false';
+    this.ttlHours = parseInt(process.env.ANSWER_CACHE_TTL_HOURS) || 168; // 7 days
+
+    // Near-duplicate matching is off unless a similarity threshold is set
+    this.similarityThreshold = parseFloat(process.env.ANSWER_CACHE_SIMILARITY) || null;
+    this.nearDuplicateCandidates = 200;
+  }
+
+  // "What are the working hours?" and "what are the  working hours" share a key
+  normalizeQuestion(question) {
+    return (question || '')
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  async getRevision() {
+    return Setting.getValue(REVISION_KEY, 0);
+  }
+
+  // New or changed content can answer questions that no cached entry cites,
+  // so entries from older revisions are dropped
+  async bumpRevision() {
+    try {
+      const revision = await Setting.increment(REVISION_KEY);
+      await AnswerCache.deleteMany({ kbRevision: { $lt: revision } });
+      return revision;
+    } catch (error) {
+      console.error('Answer cache revision error:', error.message);
+      return null;
+    }
+  }
+
+  // Drop answers generated from a document that changed or was removed
+  async invalidateDocument(documentId) {
+    try {
+      await AnswerCache.deleteMany({ sourceDocumentIds: documentId });
+    } catch (error) {
+      console.error('Answer cache invalidation error:', error.message);
+    }
+  }
+
+  // Cached answer for a question, or null. `user` is an access attribute
+  // object; an entry is only served if the user may read all of its sources.
+  async lookup(question, user, kbRevision) {
+    try {
+      const questionKey = this.normalizeQuestion(question);
+      const baseQuery = {
+        userRole: user.role || 'employee',
+        kbRevision,
+        expiresAt: { $gt: new Date() }
+      };
+
+      let match = 'exact';
+      let similarity = 1;
+      let entry = await AnswerCache.findOne({ ...baseQuery, questionKey });
+
+      if (!entry && this.similarityThreshold) {
+        const nearest = await this.findNearDuplicate(questionKey, baseQuery);
+        if (nearest) {
+          entry = nearest.entry;
+          similarity = nearest.similarity;
+          match = 'similar';
+        }
+      }
+
+      if (!entry) return null;
+
+      if (entry.sourceDocumentIds.length > 0) {
+        const readable = await KnowledgeBase.countDocuments({
+          _id: { $in: entry.sourceDocumentIds },
+          ...KnowledgeBase.accessFilter(user)
+        });
+        if (readable !== entry.sourceDocumentIds.length) return null;
+      }
+
+      await AnswerCache.updateOne({ _id: entry._id }, {
+        $inc: { hitCount: 1 },
+        lastHitAt: new Date()
+      });
+
+      return { entry, match, similarity: Number(similarity.toFixed(4)) };
+    } catch (error) {
+      console.error('Answer cache lookup error:', error.message);
+      return null;
+    }
+  }
+
+  async findNearDuplicate(questionKey, baseQuery) {
+    const queryVector = await embeddingService.embedQuery(questionKey);
+    const candidates = await AnswerCache.find({ ...baseQuery, embeddingModel: embeddingService.model })
+      .select('+embedding')
+      .sort({ createdAt: -1 })
+      .limit(this.nearDuplicateCandidates);
+
+    let best = null;
+    candidates.forEach(entry => {
+      const similarity = embeddingService.cosineSimilarity(queryVector, entry.embedding);
+      if (similarity >= this.similarityThreshold && (!best || similarity > best.similarity)) {
+        best = { entry, similarity };
+      }
+    });
+
+    return best;
+  }
+
+  async store({ question, userRole, kbRevision, answer, confidence, quickReplies, citations, sourceDocumentIds, responseTime }) {
+    try {
+      const questionKey = this.normalizeQuestion(question);
+      const entry = {
+        question,
+        answer,
+        confidence,
+        quickReplies,
+        citations,
+        sourceDocumentIds,
+        responseTime,
+        hitCount: 0,
+        createdAt: new Date(),
+        expiresAt: new Date(Date.now() + this.ttlHours * 60 * 60 * 1000)
+      };
+
+      if (this.similarityThreshold) {
+        entry.embedding = await embeddingService.embedQuery(questionKey);
+        entry.embeddingModel = embeddingService.model;
+      }
+
+      await AnswerCache.updateOne(
+        { questionKey, userRole, kbRevision },
+        { $set: entry },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error('Answer cache store error:', error.message);
+    }
+  }
+
+  // Hits and savings for the admin analytics
+  async getStats() {
+    const [messageStats, entries] = await Promise.all([
+      Conversation.aggregate([
+        { $unwind: '$messages' },
+        { $match: { 'messages.role': 'bot' } },
+        {
+          $group: {
+            _id: null,
+            answers: { $sum: 1 },
+            hits: { $sum: { $cond: ['$messages.metadata.cached', 1, 0] } },
+            similarHits: {
+              $sum: { $cond: [{ $eq: ['$messages.metadata.cacheMatch', 'similar'] }, 1, 0] }
+            },
+            timeSaved: { $sum: { $ifNull: ['$messages.metadata.savedTime', 0] } }
+          }
+        }
+      ]),
+      AnswerCache.countDocuments({ expiresAt: { $gt: new Date() } })
+    ]);
+
+    const messages = messageStats[0] || { answers: 0, hits: 0, similarHits: 0, timeSaved: 0 };
+
+    return {
+      enabled: this.enabled,
+      revision: await this.getRevision(),
+      entries,
+      hits: messages.hits,
+      similarHits: messages.similarHits,
+      hitRate: messages.answers > 0 ? messages.hits / messages.answers : 0,
+      // Every hit is one model call that did not happen
+      modelCallsSaved: messages.hits,
+      responseTimeSavedMs: messages.timeSaved
+    };
+  }
+}
+
+module.exports = new AnswerCacheService();
@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const path = require('path');
+const fsPromises = require('fs').promises;
+const JSZip = require('jszip');
+const KnowledgeBase = require('../models/KnowledgeBase');
+const IngestionJob = require('../models/IngestionJob');
+const documentParserService = require('./DocumentParserService');
+const accessPolicyService = require('./AccessPolicyService');
+const ingestionService = require('./IngestionService');
+const { DocumentParseError } = require('./parsers/errors');
+
+// Folder names that set a document's category, after lowercasing and
+// turning spaces and underscores into hyphens
+const CATEGORY_FOLDERS = {
+  policy: 'policy',
+  policies: 'policy',
+  benefit: 'benefits',
+  benefits: 'benefits',
+  it: 'it',
+  'it-support': 'it',
+  hr: 'hr',
+  'human-resources': 'hr',
+  general: 'general',
+  'admin-only': 'admin-only',
+  'hr-only': 'hr-only'
+};
+
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed'];
+
+// Reads a ZIP entry, giving up once it grows past `maxSize` so a small
+// archive can't unpack into something huge
+const readEntry = (entry, maxSize) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  const stream = entry.nodeStream();
+
+  stream.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > maxSize) {
+      stream.destroy();
+      reject(new Error(`File is larger than ${maxSize / (1024 * 1024)}MB`));
+      return;
+    }
+    chunks.push(chunk);
+  });
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+
+// Uploads many documents at once: several files, whole folders or ZIP
+// archives. Every file gets its own ingestion job, and the folders it sat
+// in pick its category and tags. Nothing fails the whole upload; each file
+// is reported as created, skipped as a duplicate or failed with a reason.
+class BulkUploadService {
+  constructor() {
+    this.maxFiles = parseInt(process.env.BULK_UPLOAD_MAX_FILES) || 500;
+    this.maxFileSize = 10 * 1024 * 1024;
+  }
+
+  isArchive(file) {
+    return path.extname(file.originalname).toLowerCase() === '.zip' ||
+      ZIP_MIME_TYPES.includes(documentParserService.normalizeMimeType(file.mimetype));
+  }
+
+  // Forward slashes, no leading slash and no `.` or `..` segments
+  normalizePath(filePath) {
+    return (filePath || '')
+      .replace(/\\/g, '/')
+      .split('/')
+      .filter(segment => segment && segment !== '.' && segment !== '..')
+      .join('/');
+  }
+
+  // The deepest folder named after a category sets the category; the other
+  // folders become tags
+  getFolderMetadata(relativePath, defaultCategory) {
+    const folders = relativePath.split('/').slice(0, -1);
+    let category = defaultCategory;
+    let categoryFolder = null;
+
+    folders.forEach(folder => {
+      const key = folder.trim().toLowerCase().replace(/[\s_]+/g, '-');
+      if (CATEGORY_FOLDERS[key]) {
+        category = CATEGORY_FOLDERS[key];
+        categoryFolder = folder;
+      }
+    });
+
+    const tags = folders
+      .filter(folder => folder !== categoryFolder)
+      .map(folder => folder.trim().toLowerCase())
+      .filter(Boolean);
+
+    return { category, tags };
+  }
+
+  // `files` are the multer uploads, named with their relative paths;
+  // `options` are the form fields shared by every file. Returns the batch
+  // id and one result per document.
+  async upload(files, { category = 'general', tags = [], accessPolicy, duplicateAction, uploadDir }, user) {
+    const batchId = crypto.randomUUID();
+    const accessUser = await accessPolicyService.getUserAttributes(user);
+    const seen = new Map();
+    const results = [];
+    let accepted = 0;
+
+    const addDocument = async (file, relativePath) => {
+      const result = await this.addDocument(file, relativePath, {
+        category, tags, accessPolicy, duplicateAction, batchId, seen, accessUser
+      }, user, accepted >= this.maxFiles);
+      if (result.status !== 'failed') accepted++;
+      results.push(result);
+    };
+
+    for (const file of files) {
+      const relativePath = this.normalizePath(file.originalname) || 'upload';
+
+      if (!this.isArchive(file)) {
+        await addDocument(file, relativePath);
+        continue;
+      }
+
+      // Entries of an archive sit in the archive's folder
+      const folder = path.posix.dirname(relativePath);
+      try {
+        for await (const entry of this.extractArchive(file, uploadDir)) {
+          const entryPath = folder === '.' ? entry.path : `${folder}/${entry.path}`;
+          if (entry.error) {
+            results.push({ file: entryPath, status: 'failed', reason: entry.error });
+          } else {
+            await addDocument(entry.file, entryPath);
+          }
+        }
+      } catch (error) {
+        results.push({ file: relativePath, status: 'failed', reason: error.message });
+      } finally {
+        await fsPromises.unlink(file.path).catch(() => {});
+      }
+    }
+
+    const summary = { total: results.length, created: 0, duplicate: 0, failed: 0 };
+    results.forEach(result => summary[result.status]++);
+    return { batchId, summary, results };
+  }
+
+  // Writes each document in the archive to the upload folder and yields
+  // { path, file } as multer would have described it, or { path, error }
+  async *extractArchive(file, uploadDir) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(await fsPromises.readFile(file.path));
+    } catch (error) {
+      throw new Error('The ZIP archive is damaged and could not be opened');
+    }
+
+    const entries = Object.values(zip.files).filter(entry => {
+      const name = path.posix.basename(entry.name);
+      // Folders and the metadata macOS and Windows add to archives
+      return !entry.dir && !entry.name.startsWith('__MACOSX/') && !name.startsWith('.') &&
+        name.toLowerCase() !== 'thumbs.db';
+    });
+
+    for (const entry of entries) {
+      const entryPath = this.normalizePath(entry.name);
+
+      if (path.extname(entryPath).toLowerCase() === '.zip') {
+        yield { path: entryPath, error: 'Archives inside archives are not extracted' };
+        continue;
+      }
+
+      let buffer;
+      try {
+        buffer = await readEntry(entry, this.maxFileSize);
+      } catch (error) {
+        yield { path: entryPath, error: error.message };
+        continue;
+      }
+
+      const filePath = path.join(uploadDir, Date.now() + '-' + Math.round(Math.random() * 1E9) + path.extname(entryPath));
+      await fsPromises.writeFile(filePath, buffer);
+      yield {
+        path: entryPath,
+        file: {
+          originalname: path.posix.basename(entryPath),
+          path: filePath,
+          mimetype: '',
+          size: buffer.length
+        }
+      };
+    }
+  }
+
+  // Checks one document and queues it. The file is removed unless a job
+  // took it.
+  async addDocument(file, relativePath, options, user, overLimit) {
+    const { category, tags, accessPolicy, duplicateAction, batchId, seen, accessUser } = options;
+    const fileName = path.posix.basename(relativePath);
+    const result = { file: relativePath };
+
+    try {
+      if (overLimit) {
+        throw new Error(`Only ${this.maxFiles} files can be uploaded at once`);
+      }
+      if (!documentParserService.isAccepted(fileName, file.mimetype)) {
+        throw new DocumentParseError('Unsupported file type', { type: 'unsupported' });
+      }
+      if (file.size > this.maxFileSize) {
+        throw new Error(`File is larger than ${this.maxFileSize / (1024 * 1024)}MB`);
+      }
+
+      const buffer = await fsPromises.readFile(file.path);
+      const detected = await documentParserService.detect(buffer, { mimeType: file.mimetype, fileName });
+      const fileHash = ingestionService.hashContent(buffer);
+
+      const duplicate = seen.get(fileHash) || await this.findDuplicate(fileHash, accessUser);
+      if (duplicate) {
+        await fsPromises.unlink(file.path).catch(() => {});
+        return { ...result, status: 'duplicate', reason: duplicate.reason, duplicateOf: duplicate.documentId };
+      }
+
+      const folderMetadata = this.getFolderMetadata(relativePath, category);
+      const job = await ingestionService.createJob({
+        originalname: fileName,
+        path: file.path,
+        mimetype: detected.mimeType,
+        size: file.size
+      }, {
+        category: folderMetadata.category,
+        tags: [...new Set([...folderMetadata.tags, ...tags.map(tag => tag.toLowerCase())])],
+        accessPolicy,
+        fileHash,
+        batchId,
+        duplicateAction
+      }, user);
+
+      seen.set(fileHash, { reason: `Same file as ${relativePath} in this upload` });
+      return {
+        ...result,
+        status: 'created',
+        jobId: job._id,
+        title: job.title,
+        category: job.category,
+        tags: job.tags
+      };
+    } catch (error) {
+      await fsPromises.unlink(file.path).catch(() => {});
+      return { ...result, status: 'failed', reason: error.message };
+    }
+  }
+
+  // A document from the same file, or a queued upload of it. Documents the
+  // uploader can't see are reported without their title.
+  async findDuplicate(fileHash, accessUser) {
+    const existing = await KnowledgeBase.findOne({ fileHash }).select('title');
+    if (existing) {
+      const visible = await KnowledgeBase.exists({
+        _id: existing._id,
+        ...accessPolicyService.buildFilter(accessUser)
+      });
+      return visible
+        ? { documentId: existing._id, reason: `Same file as "${existing.title}"` }
+        : { reason: 'Same file as an existing document' };
+    }
+
+    const queued = await IngestionJob.exists({ fileHash, status: { $in: ['queued', 'running'] } });
+    return queued ? { reason: 'The same file is already queued for processing' } : null;
+  }
+}
+
+module.exports = new BulkUploadService();
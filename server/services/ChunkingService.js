@@ -0,0 +1,128 @@
+const KnowledgeChunk = require('../models/KnowledgeChunk');
+const embeddingService = require('./EmbeddingService');
+
+class ChunkingService {
+  constructor() {
+    this.chunkSize = parseInt(process.env.CHUNK_SIZE) || 1000;
+    this.chunkOverlap = parseInt(process.env.CHUNK_OVERLAP) || 200;
+  }
+
+  // Split text into overlapping passages. Offsets refer to the original text,
+  // so text.slice(startOffset, endOffset) === chunk.content.
+  splitText(text, chunkSize = this.chunkSize, chunkOverlap = this.chunkOverlap) {
+    const chunks = [];
+    if (!text || !text.trim()) return chunks;
+
+    const overlap = Math.min(chunkOverlap, Math.floor(chunkSize / 2));
+    let start = 0;
+
+    while (start < text.length) {
+      let end = Math.min(start + chunkSize, text.length);
+
+      // Prefer to end on a paragraph, sentence or word boundary
+      if (end < text.length) {
+        const boundary = this.findBoundary(text, start + Math.floor(chunkSize / 2), end);
+        if (boundary > start) end = boundary;
+      }
+
+      const raw = text.slice(start, end);
+      const leading = raw.length - raw.trimStart().length;
+      const content = raw.trim();
+
+      if (content) {
+        chunks.push({
+          content,
+          startOffset: start + leading,
+          endOffset: start + leading + content.length
+        });
+      }
+
+      if (end >= text.length) break;
+
+      // Step back by the overlap, then forward to the start of a word
+      let next = Math.max(end - overlap, start + 1);
+      const wordStart = text.slice(next, end).search(/\s\S/);
+      if (wordStart !== -1) next += wordStart + 1;
+      start = next;
+    }
+
+    return chunks;
+  }
+
+  findBoundary(text, min, max) {
+    const window = text.slice(min, max);
+    const separators = [/\n\s*\n/g, /[.!?]\s/g, /\n/g, /\s/g];
+
+    for (const separator of separators) {
+      let last = -1;
+      let match;
+      while ((match = separator.exec(window)) !== null) {
+        last = match.index + match[0].length;
+      }
+      if (last > 0) return min + last;
+    }
+
+    return -1;
+  }
+
+  // Rebuild the passages of a knowledge base document. Passages of a
+  // quarantined document are stored inactive so retrieval skips them.
+  async indexDocument(doc) {
+    await KnowledgeChunk.deleteMany({ documentId: doc._id });
+
+    const chunks = this.splitText(doc.content).map((chunk, index) => ({
+      documentId: doc._id,
+      chunkIndex: index,
+      content: chunk.content,
+      startOffset: chunk.startOffset,
+      endOffset: chunk.endOffset,
+      title: doc.title,
+      category: doc.category,
+      tags: doc.tags,
+      accessRoles: doc.accessRoles,
+      accessPolicy: doc.accessPolicy,
+      isActive: doc.isActive && !doc.quarantine?.isQuarantined,
+      revision: doc.revision
+    }));
+
+    // Embed passages for semantic search; keyword search still works without them
+    try {
+      const embeddings = await embeddingService.embedDocuments(
+        chunks.map(chunk => `${doc.title}\n${chunk.content}`)
+      );
+      chunks.forEach((chunk, index) => {
+        chunk.embedding = embeddings[index];
+        chunk.embeddingModel = embeddingService.model;
+      });
+    } catch (error) {
+      console.error('Embedding error:', error.message);
+    }
+
+    if (chunks.length > 0) {
+      await KnowledgeChunk.insertMany(chunks);
+    }
+
+    return chunks.length;
+  }
+
+  // Copy a document's title, category, tags, access, active state and
+  // revision to its passages without splitting and embedding it again
+  async syncDocument(doc) {
+    await KnowledgeChunk.updateMany({ documentId: doc._id }, {
+      title: doc.title,
+      category: doc.category,
+      tags: doc.tags,
+      accessRoles: doc.accessRoles,
+      accessPolicy: doc.accessPolicy,
+      isActive: doc.isActive && !doc.quarantine?.isQuarantined,
+      revision: doc.revision
+    });
+  }
+
+  async removeDocument(documentId) {
+    const result = await KnowledgeChunk.deleteMany({ documentId });
+    return result.deletedCount;
+  }
+}
+
+module.exports = new ChunkingService();
@@ -0,0 +1,95 @@
+const llmService = require('./LlmService');
+
+class ConversationMemoryService {
+  constructor() {
+    // Prompt tokens available for earlier turns of the conversation
+    this.tokenBudget = parseInt(process.env.MEMORY_TOKEN_BUDGET) || 1500;
+    this.maxMessageTokens = parseInt(process.env.MEMORY_MAX_MESSAGE_TOKENS) || 400;
+    this.summaryMaxLength = parseInt(process.env.MEMORY_SUMMARY_MAX_CHARS) || 1200;
+  }
+
+  // Rough count that works for every provider: about four characters per token
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  messageTokens(message) {
+    return Math.min(this.estimateTokens(message.content), this.maxMessageTokens);
+  }
+
+  // Index of the oldest message that still fits in `budget` tokens,
+  // counting back from the end of `messages`
+  findWindowStart(messages, budget, floor = 0) {
+    let tokens = 0;
+    let start = messages.length;
+
+    while (start > floor) {
+      const next = this.messageTokens(messages[start - 1]);
+      if (tokens + next > budget) break;
+      tokens += next;
+      start--;
+    }
+
+    return start;
+  }
+
+  // History for the next prompt: the rolling summary plus the most recent
+  // turns that fit in the token budget. `messages` are the turns before the
+  // current question. Turns that fall out of the window are folded into the
+  // summary stored on the conversation, which is updated but not saved.
+  async buildMemory(conversation, messages) {
+    const turns = messages.filter(msg => msg.role === 'user' || msg.role === 'bot');
+    const memory = conversation.memory || {};
+    const summarizedCount = Math.min(memory.summarizedCount || 0, turns.length);
+
+    let windowStart = this.findWindowStart(turns, this.tokenBudget, summarizedCount);
+
+    if (windowStart > summarizedCount) {
+      // Summarize down to half the budget so the next few turns fit without
+      // another summary call
+      windowStart = this.findWindowStart(turns, this.tokenBudget / 2, summarizedCount);
+      const summary = await llmService.summarizeConversation(
+        memory.summary || '',
+        turns.slice(summarizedCount, windowStart),
+        this.summaryMaxLength,
+        { userId: conversation.userId, userRole: conversation.userRole, conversationId: conversation._id }
+      );
+
+      conversation.memory = {
+        summary,
+        summarizedCount: windowStart,
+        updatedAt: new Date()
+      };
+    }
+
+    const window = turns.slice(windowStart).map(msg => ({
+      role: msg.role,
+      content: msg.content.substring(0, this.maxMessageTokens * 4)
+    }));
+
+    return {
+      summary: conversation.memory?.summary || '',
+      turns: window,
+      tokens: window.reduce((sum, msg) => sum + this.estimateTokens(msg.content), 0)
+    };
+  }
+
+  // Current memory of a conversation, for admins inspecting it
+  describe(conversation) {
+    const turns = conversation.messages.filter(msg => msg.role === 'user' || msg.role === 'bot');
+    const summarizedCount = Math.min(conversation.memory?.summarizedCount || 0, turns.length);
+    const windowStart = this.findWindowStart(turns, this.tokenBudget, summarizedCount);
+
+    return {
+      summary: conversation.memory?.summary || '',
+      summarizedCount,
+      summaryUpdatedAt: conversation.memory?.updatedAt || null,
+      tokenBudget: this.tokenBudget,
+      windowStart,
+      windowMessages: turns.length - windowStart,
+      windowTokens: turns.slice(windowStart).reduce((sum, msg) => sum + this.messageTokens(msg), 0)
+    };
+  }
+}
+
+module.exports = new ConversationMemoryService();
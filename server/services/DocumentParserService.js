@@ -0,0 +1,159 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const JSZip = require('jszip');
+const PdfParser = require('./parsers/PdfParser');
+const WordParser = require('./parsers/WordParser');
+const OpenDocumentParser = require('./parsers/OpenDocumentParser');
+const RtfParser = require('./parsers/RtfParser');
+const HtmlParser = require('./parsers/HtmlParser');
+const MarkdownParser = require('./parsers/MarkdownParser');
+const TextParser = require('./parsers/TextParser');
+const { DocumentParseError } = require('./parsers/errors');
+const { isBinary, decodeText } = require('./parsers/textUtils');
+
+const MIME_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  doc: 'application/msword',
+  odt: 'application/vnd.oasis.opendocument.text',
+  rtf: 'application/rtf',
+  html: 'text/html',
+  md: 'text/markdown',
+  txt: 'text/plain'
+};
+
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const ZIP_SIGNATURE = Buffer.from('PK\x03\x04', 'latin1');
+
+// Turns uploaded files into plain text. The format is decided by the file's
+// bytes, not its name: binary formats by their signature (and, for ZIP
+// containers, what is inside), text by its content and declared MIME type.
+// Parsers are registered by the MIME types they read.
+class DocumentParserService {
+  constructor() {
+    this.parsers = new Map();
+    [
+      new PdfParser(),
+      new WordParser(),
+      new OpenDocumentParser(),
+      new RtfParser(),
+      new HtmlParser(),
+      new MarkdownParser(),
+      new TextParser()
+    ].forEach(parser => this.register(parser));
+
+    // For the upload form and the first check on uploads
+    this.extensions = ['.pdf', '.docx', '.doc', '.odt', '.rtf', '.html', '.htm', '.md', '.markdown', '.txt'];
+  }
+
+  register(parser) {
+    parser.mimeTypes.forEach(mimeType => this.parsers.set(mimeType, parser));
+  }
+
+  // Whether an upload is worth reading: a known extension or declared type.
+  // The content decides in the end.
+  isAccepted(fileName, mimeType) {
+    return this.extensions.includes(path.extname(fileName || '').toLowerCase()) ||
+      this.parsers.has(this.normalizeMimeType(mimeType));
+  }
+
+  normalizeMimeType(mimeType) {
+    return (mimeType || '').split(';')[0].trim().toLowerCase();
+  }
+
+  // Returns { format, mimeType } for a file's content, or throws a
+  // DocumentParseError for formats no parser reads
+  async detect(buffer, { mimeType, fileName } = {}) {
+    const format = await this.detectFormat(buffer, this.normalizeMimeType(mimeType), fileName);
+    if (!format) {
+      throw new DocumentParseError('Unsupported file type. Upload PDF, Word (DOCX or DOC), OpenDocument text, RTF, HTML, Markdown or plain text files.', {
+        type: 'unsupported'
+      });
+    }
+    return { format, mimeType: MIME_TYPES[format] };
+  }
+
+  async detectFormat(buffer, declaredType, fileName) {
+    if (buffer.length === 0) return null;
+
+    // PDF readers accept the header anywhere in the first kilobyte
+    if (buffer.subarray(0, 1024).includes('%PDF-')) return 'pdf';
+    if (buffer.subarray(0, 8).equals(OLE_SIGNATURE)) return 'doc';
+    if (buffer.subarray(0, 4).equals(ZIP_SIGNATURE)) return this.detectZipFormat(buffer);
+    if (buffer.subarray(0, 5).toString('latin1') === '{\\rtf') return 'rtf';
+    if (isBinary(buffer)) return null;
+
+    // Text formats have no signature
+    const head = decodeText(buffer.subarray(0, 2048)).trimStart().toLowerCase();
+    if (this.parsers.get(declaredType) instanceof HtmlParser ||
+        /^(<\?xml[^>]*>\s*)?(<!doctype html|<html[\s>])/.test(head)) {
+      return 'html';
+    }
+    // Markdown is plain text that renders better; browsers often don't
+    // declare it, so the extension is taken as a hint here
+    if (this.parsers.get(declaredType) instanceof MarkdownParser ||
+        ['.md', '.markdown'].includes(path.extname(fileName || '').toLowerCase())) {
+      return 'md';
+    }
+    return 'txt';
+  }
+
+  // DOCX and ODT are both ZIP files; other ZIP files are not documents
+  async detectZipFormat(buffer) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+      throw new DocumentParseError('The file looks like a ZIP container (DOCX or ODT) but is damaged', { cause: error });
+    }
+
+    if (zip.file('word/document.xml')) return 'docx';
+    const mimetype = await zip.file('mimetype')?.async('string');
+    if (mimetype?.trim() === MIME_TYPES.odt) return 'odt';
+    return null;
+  }
+
+  // Returns { text, format, mimeType }. Throws a DocumentParseError for
+  // unsupported or damaged files and for files without any text.
+  async parse(buffer, { mimeType, fileName } = {}) {
+    const detected = await this.detect(buffer, { mimeType, fileName });
+    const parser = this.parsers.get(detected.mimeType);
+
+    let text;
+    try {
+      text = await parser.parse(buffer);
+    } catch (error) {
+      if (error instanceof DocumentParseError) throw error;
+      throw new DocumentParseError(`The ${detected.format.toUpperCase()} file could not be read; it may be damaged`, {
+        format: detected.format,
+        cause: error
+      });
+    }
+
+    text = this.normalizeText(text);
+    if (!text) {
+      throw new DocumentParseError('No text could be extracted from the file. Scanned documents need to be converted to text first.', {
+        type: 'empty',
+        format: detected.format
+      });
+    }
+
+    return { text, ...detected };
+  }
+
+  async parseFile(filePath, options = {}) {
+    return this.parse(await fsPromises.readFile(filePath), options);
+  }
+
+  // Unix line breaks, no trailing spaces and at most one blank line in a row
+  normalizeText(text) {
+    return (text || '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/\u00a0/g, ' ')
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
+
+module.exports = new DocumentParserService();
@@ -0,0 +1,177 @@
+const { structuredPatch } = require('diff');
+const DocumentRevision = require('../models/DocumentRevision');
+const KnowledgeBase = require('../models/KnowledgeBase');
+const chunkingService = require('./ChunkingService');
+const promptInjectionService = require('./PromptInjectionService');
+const answerCacheService = require('./AnswerCacheService');
+const duplicateDetectionService = require('./DuplicateDetectionService');
+
+// Fields a revision keeps. Restoring brings back all of them except
+// isActive, which is switched on its own.
+const TRACKED_FIELDS = ['title', 'content', 'summary', 'category', 'tags', 'accessRoles', 'accessPolicy', 'isActive'];
+const RESTORED_FIELDS = TRACKED_FIELDS.filter(field => field !== 'isActive');
+
+// Lines of unchanged text shown around each change in a diff
+const DIFF_CONTEXT = 3;
+
+// Keeps the history of knowledge base documents: each change adds a
+// revision with its author, revisions can be compared line by line, and an
+// old revision can be restored as a new one.
+class DocumentRevisionService {
+  snapshot(doc) {
+    const plain = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+    return {
+      title: plain.title,
+      content: plain.content,
+      summary: plain.summary,
+      category: plain.category,
+      tags: [...(plain.tags || [])],
+      accessRoles: [...(plain.accessRoles || [])],
+      accessPolicy: this.normalizePolicy(plain.accessPolicy),
+      isActive: plain.isActive
+    };
+  }
+
+  // Without the subdocument ids mongoose adds, so equal policies compare equal
+  normalizePolicy(policy) {
+    return {
+      rules: (policy?.rules || []).map(({ attribute, operator, values }) => ({ attribute, operator, values: [...values] }))
+    };
+  }
+
+  getChangedFields(before, after) {
+    return TRACKED_FIELDS.filter(field =>
+      JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null));
+  }
+
+  // Save the document's current state as its next revision, unless nothing
+  // tracked changed since the last one. `user` is the token user or, for
+  // background work, { id, email }. Returns the revision.
+  async record(doc, { action = 'update', user = {}, note, restoredFrom } = {}) {
+    const latest = await DocumentRevision.findOne({ documentId: doc._id }).sort({ revision: -1 });
+    const state = this.snapshot(doc);
+    const changedFields = latest ? this.getChangedFields(latest, state) : [];
+
+    if (latest && changedFields.length === 0) return latest;
+
+    const revision = await DocumentRevision.create({
+      documentId: doc._id,
+      revision: latest ? latest.revision + 1 : 1,
+      action,
+      changedFields,
+      restoredFrom,
+      note,
+      ...state,
+      createdBy: user.email || doc.createdBy,
+      createdByUserId: user.id
+    });
+
+    doc.revision = revision.revision;
+    await KnowledgeBase.updateOne({ _id: doc._id }, { revision: revision.revision });
+    return revision;
+  }
+
+  // Documents from before revisions were kept get their current state
+  // recorded before they are first changed
+  async ensureBaseline(doc) {
+    if (doc.revision > 0) return null;
+    if (await DocumentRevision.exists({ documentId: doc._id })) return null;
+
+    return this.record(doc, {
+      action: 'baseline',
+      user: { email: doc.createdBy }
+    });
+  }
+
+  // Newest first, without the text
+  async list(documentId) {
+    return DocumentRevision.find({ documentId })
+      .sort({ revision: -1 })
+      .select('-content -summary');
+  }
+
+  async get(documentId, revision) {
+    return DocumentRevision.findOne({ documentId, revision });
+  }
+
+  // Metadata changes and a line-level diff of the content between two
+  // revisions; `from` may be newer than `to`
+  diff(from, to) {
+    const fields = this.getChangedFields(from, to)
+      .filter(field => field !== 'content')
+      .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+
+    const patch = structuredPatch(
+      `revision ${from.revision}`,
+      `revision ${to.revision}`,
+      this.withFinalNewline(from.content),
+      this.withFinalNewline(to.content),
+      '',
+      '',
+      { context: DIFF_CONTEXT }
+    );
+
+    const lines = patch.hunks.flatMap(hunk => hunk.lines);
+    return {
+      from: from.revision,
+      to: to.revision,
+      fields,
+      content: {
+        added: lines.filter(line => line.startsWith('+')).length,
+        removed: lines.filter(line => line.startsWith('-')).length,
+        hunks: patch.hunks.map(({ oldStart, oldLines, newStart, newLines, lines }) => ({
+          oldStart, oldLines, newStart, newLines, lines
+        }))
+      }
+    };
+  }
+
+  // So a missing newline at the end doesn't show up as a changed line
+  withFinalNewline(text) {
+    return text && !text.endsWith('\n') ? `${text}\n` : text || '';
+  }
+
+  // Bring back an old revision's content and metadata as a new revision.
+  // The restored text is scanned and indexed like an edit. Returns null if
+  // the document already matches the revision.
+  async restore(doc, revision, user) {
+    const changed = this.getChangedFields(this.snapshot(doc), revision)
+      .filter(field => RESTORED_FIELDS.includes(field));
+    if (changed.length === 0) return null;
+
+    await this.ensureBaseline(doc);
+
+    RESTORED_FIELDS.forEach(field => {
+      doc[field] = revision[field];
+    });
+    duplicateDetectionService.applyFingerprint(doc);
+
+    // Clean text lifts an earlier quarantine, as with edits
+    const scanned = { title: doc.title, content: doc.content };
+    const injection = promptInjectionService.checkDocument(scanned);
+    doc.quarantine = scanned.quarantine || { isQuarantined: false };
+    await doc.save();
+
+    if (injection.flagged) {
+      await promptInjectionService.logDocumentFlag(injection, doc, user);
+    }
+
+    const restored = await this.record(doc, {
+      action: 'restore',
+      user,
+      restoredFrom: revision.revision,
+      note: `Restored revision ${revision.revision}`
+    });
+
+    await chunkingService.indexDocument(doc);
+    await answerCacheService.invalidateDocument(doc._id);
+    await answerCacheService.bumpRevision();
+    return restored;
+  }
+
+  async removeDocument(documentId) {
+    await DocumentRevision.deleteMany({ documentId });
+  }
+}
+
+module.exports = new DocumentRevisionService();
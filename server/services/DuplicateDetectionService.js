@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const KnowledgeBase = require('../models/KnowledgeBase');
+const accessPolicyService = require('./AccessPolicyService');
+
+// Words per shingle, MinHash values per signature, and how the signature
+// is cut into bands for candidate lookup. 32 bands of 4 values find most
+// pairs above about 50% similarity.
+const SHINGLE_SIZE = 5;
+const SIGNATURE_SIZE = 128;
+const BAND_SIZE = 4;
+
+// Finds documents with the same or nearly the same text. Each document
+// stores a hash of its normalized text and a MinHash signature of its word
+// shingles; documents sharing a band of the signature are compared, and the
+// share of equal signature values estimates their Jaccard similarity.
+class DuplicateDetectionService {
+  constructor() {
+    this.enabled = process.env.DUPLICATE_DETECTION_ENABLED !== 'false';
+    // Estimated similarity from which documents are reported as duplicates
+    this.threshold = parseFloat(process.env.DUPLICATE_SIMILARITY) || 0.8;
+    this.maxResults = 5;
+  }
+
+  // Case, punctuation and spacing don't make a document different
+  normalize(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  shingles(words) {
+    if (words.length <= SHINGLE_SIZE) return new Set([words.join(' ')]);
+
+    const shingles = new Set();
+    for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+      shingles.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+    }
+    return shingles;
+  }
+
+  // The i-th hash of a shingle is h1 + i * h2, so one digest per shingle
+  // gives the whole signature
+  signature(shingles) {
+    const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+
+    shingles.forEach(shingle => {
+      const digest = crypto.createHash('md5').update(shingle).digest();
+      const h1 = digest.readUInt32LE(0);
+      const h2 = digest.readUInt32LE(4) | 1;
+      for (let i = 0; i < SIGNATURE_SIZE; i++) {
+        const value = (h1 + Math.imul(i, h2)) >>> 0;
+        if (value < signature[i]) signature[i] = value;
+      }
+    });
+
+    return signature;
+  }
+
+  bands(signature) {
+    const bands = [];
+    for (let i = 0; i < signature.length; i += BAND_SIZE) {
+      const band = signature.slice(i, i + BAND_SIZE).join('.');
+      bands.push(`${i / BAND_SIZE}:${crypto.createHash('md5').update(band).digest('hex').substring(0, 12)}`);
+    }
+    return bands;
+  }
+
+  // Fields stored on a document for detection
+  fingerprint(text) {
+    const normalized = this.normalize(text);
+    if (!normalized) {
+      return { contentHash: null, minhash: [], minhashBands: [] };
+    }
+
+    const signature = this.signature(this.shingles(normalized.split(' ')));
+    return {
+      contentHash: crypto.createHash('sha256').update(normalized).digest('hex'),
+      minhash: signature,
+      minhashBands: this.bands(signature)
+    };
+  }
+
+  // Set the fingerprint fields on a document whose content changed
+  applyFingerprint(doc) {
+    Object.assign(doc, this.fingerprint(doc.content));
+    return doc;
+  }
+
+  estimateSimilarity(a, b) {
+    if (!a?.length || a.length !== b?.length) return 0;
+    let equal = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] === b[i]) equal++;
+    }
+    return equal / a.length;
+  }
+
+  // Active documents likely to be copies of `doc`, most similar first, as
+  // { documentId, title, createdBy, similarity, exact }. With `user`, only
+  // documents they can see are returned.
+  async findDuplicates(doc, { user } = {}) {
+    if (!this.enabled || !doc.contentHash) return [];
+
+    const accessFilter = user
+      ? accessPolicyService.buildFilter(await accessPolicyService.getUserAttributes(user))
+      : {};
+
+    const candidates = await KnowledgeBase.find({
+      _id: { $ne: doc._id },
+      isActive: true,
+      $or: [
+        { contentHash: doc.contentHash },
+        { minhashBands: { $in: doc.minhashBands } }
+      ],
+      ...accessFilter
+    })
+      .select('+minhash title createdBy contentHash')
+      .limit(200)
+      .lean();
+
+    return candidates
+      .map(candidate => {
+        const exact = candidate.contentHash === doc.contentHash;
+        return {
+          documentId: candidate._id,
+          title: candidate.title,
+          createdBy: candidate.createdBy,
+          similarity: exact ? 1 : Number(this.estimateSimilarity(doc.minhash, candidate.minhash).toFixed(3)),
+          exact
+        };
+      })
+      .filter(match => match.similarity >= this.threshold)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, this.maxResults);
+  }
+}
+
+module.exports = new DuplicateDetectionService();
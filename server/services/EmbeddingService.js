@@ -0,0 +1,155 @@
+const KnowledgeChunk = require('../models/KnowledgeChunk');
+const LocalEmbeddingProvider = require('./embeddings/LocalEmbeddingProvider');
+const GeminiEmbeddingProvider = require('./embeddings/GeminiEmbeddingProvider');
+const accessPolicyService = require('./AccessPolicyService');
+
+const providers = {
+  local: LocalEmbeddingProvider,
+  gemini: GeminiEmbeddingProvider
+};
+
+class EmbeddingService {
+  constructor() {
+    // Documents only go to Gemini for embedding when answers are generated there too
+    const usesGemini = process.env.GEMINI_API_KEY && (!process.env.LLM_PROVIDER || process.env.LLM_PROVIDER === 'gemini');
+    const providerName = process.env.EMBEDDING_PROVIDER || (usesGemini ? 'gemini' : 'local');
+    this.provider = this.createProvider(providerName);
+
+    // auto: try Atlas $vectorSearch, fall back to in-process similarity
+    this.vectorSearchMode = process.env.VECTOR_SEARCH_MODE || 'auto';
+    this.vectorIndex = process.env.VECTOR_SEARCH_INDEX || 'chunk_vector_index';
+    this.atlasAvailable = this.vectorSearchMode !== 'local';
+    // Whether the cluster has the vector index, looked up on first search
+    this.vectorIndexCheck = null;
+  }
+
+  createProvider(name, options = {}) {
+    const Provider = providers[name];
+    if (!Provider) {
+      throw new Error(`Unknown embedding provider: ${name}`);
+    }
+    return new Provider(options);
+  }
+
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  get model() {
+    return this.provider.model;
+  }
+
+  async embedDocuments(texts) {
+    return this.provider.embedDocuments(texts);
+  }
+
+  async embedQuery(text) {
+    return this.provider.embedQuery(text);
+  }
+
+  cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+
+    return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+  }
+
+  // Semantic passage search with access-based filtering
+  async search(query, user = 'employee', limit = 10) {
+    const queryVector = await this.embedQuery(query);
+
+    if (this.vectorSearchMode === 'atlas') {
+      return this.atlasSearch(queryVector, user, limit);
+    }
+
+    if (this.atlasAvailable && await this.hasVectorIndex()) {
+      try {
+        return await this.atlasSearch(queryVector, user, limit);
+      } catch (error) {
+        console.warn('Atlas vector search unavailable, using in-process similarity:', error.message);
+        this.atlasAvailable = false;
+      }
+    }
+
+    return this.localSearch(queryVector, user, limit);
+  }
+
+  // Listing search indexes fails outside Atlas, which also means no index
+  async hasVectorIndex() {
+    if (!this.vectorIndexCheck) {
+      this.vectorIndexCheck = KnowledgeChunk.listSearchIndexes()
+        .then(indexes => indexes.some(index => index.name === this.vectorIndex))
+        .catch(error => {
+          console.warn('Atlas vector index lookup failed, using in-process similarity:', error.message);
+          return false;
+        })
+        .then(found => {
+          if (!found) this.atlasAvailable = false;
+          return found;
+        });
+    }
+    return this.vectorIndexCheck;
+  }
+
+  async atlasSearch(queryVector, user, limit) {
+    // Roles are filtered inside $vectorSearch; policy rules only afterwards,
+    // so users who may have rules get a wider window to filter from
+    const restricted = (typeof user === 'string' ? user : user.role) !== 'admin';
+    const candidates = restricted ? limit * 10 : limit;
+
+    return KnowledgeChunk.aggregate([
+      {
+        $vectorSearch: {
+          index: this.vectorIndex,
+          path: 'embedding',
+          queryVector,
+          numCandidates: Math.min(candidates * 20, 10000),
+          limit: candidates,
+          filter: {
+            embeddingModel: this.model,
+            isActive: true,
+            ...accessPolicyService.buildVectorSearchFilter(user)
+          }
+        }
+      },
+      // Atlas reports cosine scores as (1 + cosine) / 2
+      { $addFields: { similarity: { $subtract: [{ $multiply: [{ $meta: 'vectorSearchScore' }, 2] }, 1] } } },
+      { $match: KnowledgeChunk.accessFilter(user) },
+      { $limit: limit },
+      { $project: { embedding: 0, __v: 0 } }
+    ]);
+  }
+
+  async localSearch(queryVector, user, limit) {
+    const cursor = KnowledgeChunk.find({
+      ...KnowledgeChunk.accessFilter(user),
+      embeddingModel: this.model
+    })
+      .select('+embedding -__v')
+      .lean()
+      .cursor();
+
+    const top = [];
+    for await (const chunk of cursor) {
+      const similarity = this.cosineSimilarity(queryVector, chunk.embedding);
+      if (top.length < limit || similarity > top[top.length - 1].similarity) {
+        delete chunk.embedding;
+        top.push({ ...chunk, similarity });
+        top.sort((a, b) => b.similarity - a.similarity);
+        if (top.length > limit) top.pop();
+      }
+    }
+
+    return top;
+  }
+}
+
+module.exports = new EmbeddingService();
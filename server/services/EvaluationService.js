@@ -0,0 +1,159 @@
+const EvalQuestion = require('../models/EvalQuestion');
+const EvalRun = require('../models/EvalRun');
+const retrievalService = require('./RetrievalService');
+const glossaryService = require('./GlossaryService');
+const embeddingService = require('./EmbeddingService');
+const chunkingService = require('./ChunkingService');
+
+class EvaluationService {
+  constructor() {
+    this.defaultK = 5;
+  }
+
+  // Settings that influence retrieval quality, recorded with every run
+  getConfigSnapshot() {
+    return {
+      embeddingModel: embeddingService.model,
+      chunkSize: chunkingService.chunkSize,
+      chunkOverlap: chunkingService.chunkOverlap,
+      retrievalLimit: retrievalService.limit,
+      candidateLimit: retrievalService.candidateLimit,
+      rrfK: retrievalService.rrfK,
+      minKeywordScore: retrievalService.minKeywordScore,
+      minSimilarity: retrievalService.getMinSimilarity(),
+      minScore: retrievalService.minScore
+    };
+  }
+
+  // Ranked, de-duplicated document ids for a question, using the same
+  // glossary expansion and hybrid search as POST /api/chat
+  async retrieveDocumentIds(question, k) {
+    const attributes = question.userAttributes || {};
+    const user = {
+      role: question.userRole,
+      department: attributes.department,
+      position: attributes.position,
+      office: attributes.office
+    };
+
+    const { query } = await glossaryService.expandQuery(question.question);
+    const passages = await retrievalService.search(query, user, { limit: retrievalService.candidateLimit });
+
+    const documentIds = [];
+    passages.forEach(passage => {
+      const id = passage.id.toString();
+      if (!documentIds.includes(id)) documentIds.push(id);
+    });
+
+    return documentIds.slice(0, k);
+  }
+
+  scoreQuestion(expectedIds, retrievedIds) {
+    const expected = expectedIds.map(id => id.toString());
+    const found = expected.filter(id => retrievedIds.includes(id));
+    const firstIndex = retrievedIds.findIndex(id => expected.includes(id));
+
+    return {
+      recall: expected.length > 0 ? found.length / expected.length : 0,
+      reciprocalRank: firstIndex === -1 ? 0 : 1 / (firstIndex + 1),
+      firstRelevantRank: firstIndex === -1 ? null : firstIndex + 1
+    };
+  }
+
+  // Create a run record; call executeRun to fill it in
+  async createRun({ k = this.defaultK, label, startedBy, trigger = 'admin' } = {}) {
+    const run = new EvalRun({
+      label,
+      k,
+      trigger,
+      startedBy,
+      config: this.getConfigSnapshot()
+    });
+    await run.save();
+    return run;
+  }
+
+  async executeRun(run) {
+    try {
+      const questions = await EvalQuestion.find({ isActive: true }).sort({ createdAt: 1 });
+      const results = [];
+
+      for (const question of questions) {
+        const retrievedIds = await this.retrieveDocumentIds(question, run.k);
+        const score = this.scoreQuestion(question.expectedDocumentIds, retrievedIds);
+
+        results.push({
+          questionId: question._id,
+          question: question.question,
+          userRole: question.userRole,
+          expectedDocumentIds: question.expectedDocumentIds,
+          retrievedDocumentIds: retrievedIds,
+          ...score
+        });
+      }
+
+      const mean = (field) => results.length > 0
+        ? results.reduce((sum, result) => sum + result[field], 0) / results.length
+        : 0;
+
+      run.results = results;
+      run.metrics = {
+        questionCount: results.length,
+        recallAtK: mean('recall'),
+        mrr: mean('reciprocalRank'),
+        hitRate: results.length > 0
+          ? results.filter(result => result.firstRelevantRank !== null).length / results.length
+          : 0
+      };
+      run.status = 'completed';
+    } catch (error) {
+      console.error('Evaluation run error:', error);
+      run.status = 'failed';
+      run.error = error.message;
+    }
+
+    run.completedAt = new Date();
+    await run.save();
+    return run;
+  }
+
+  async runEvaluation(options = {}) {
+    const run = await this.createRun(options);
+    return this.executeRun(run);
+  }
+
+  // Metrics of several runs plus a per-question breakdown across them
+  async compareRuns(runIds) {
+    const runs = await EvalRun.find({ _id: { $in: runIds } }).sort({ startedAt: 1 });
+
+    const questions = new Map();
+    runs.forEach(run => {
+      run.results.forEach(result => {
+        const key = result.questionId?.toString() || result.question;
+        if (!questions.has(key)) {
+          questions.set(key, { questionId: result.questionId, question: result.question, runs: {} });
+        }
+        questions.get(key).runs[run._id.toString()] = {
+          recall: result.recall,
+          reciprocalRank: result.reciprocalRank,
+          firstRelevantRank: result.firstRelevantRank
+        };
+      });
+    });
+
+    return {
+      runs: runs.map(run => ({
+        id: run._id,
+        label: run.label,
+        status: run.status,
+        k: run.k,
+        config: run.config,
+        metrics: run.metrics,
+        startedAt: run.startedAt
+      })),
+      questions: Array.from(questions.values())
+    };
+  }
+}
+
+module.exports = new EvaluationService();
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const Experiment = require('../models/Experiment');
+const Conversation = require('../models/Conversation');
+const Feedback = require('../models/Feedback');
+const modelSettingsService = require('./ModelSettingsService');
+
+// A/B tests of chat configurations. At most one experiment runs at a time;
+// conversations started while it runs are assigned a variant by a hash of
+// their session id, weighted by the variants' weights, and keep it.
+class ExperimentService {
+  constructor() {
+    this.cacheTtl = 30 * 1000;
+    this.running = undefined;
+    this.loadedAt = 0;
+  }
+
+  invalidate() {
+    this.running = undefined;
+  }
+
+  async getRunning() {
+    if (this.running === undefined || Date.now() - this.loadedAt > this.cacheTtl) {
+      this.running = await Experiment.findOne({ status: 'running' }).lean();
+      this.loadedAt = Date.now();
+    }
+    return this.running;
+  }
+
+  // The same seed always lands on the same variant
+  pickVariant(experiment, seed) {
+    const total = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    const hash = crypto.createHash('sha256').update(`${experiment._id}:${seed}`).digest();
+    const point = (hash.readUInt32BE(0) / 0x100000000) * total;
+
+    let upTo = 0;
+    for (const variant of experiment.variants) {
+      upTo += variant.weight;
+      if (point < upTo) return variant;
+    }
+    return experiment.variants[experiment.variants.length - 1];
+  }
+
+  // { experiment, variant } for a conversation, or null. A new conversation
+  // is assigned (on the document, saved with it); one that started before
+  // the experiment, or belongs to a stopped one, uses the normal settings.
+  async assign(conversation) {
+    try {
+      const experiment = await this.getRunning();
+      const assigned = conversation.experiment?.experimentId;
+
+      if (assigned) {
+        if (!experiment || String(experiment._id) !== String(assigned)) return null;
+        const variant = experiment.variants.find(v => v.key === conversation.experiment.variant);
+        return variant ? { experiment, variant } : null;
+      }
+
+      if (!experiment || conversation.messages.length > 0) return null;
+
+      const variant = this.pickVariant(experiment, conversation.sessionId);
+      conversation.experiment = {
+        experimentId: experiment._id,
+        variant: variant.key,
+        assignedAt: new Date()
+      };
+      return { experiment, variant };
+    } catch (error) {
+      console.error('Experiment assignment error:', error.message);
+      return null;
+    }
+  }
+
+  // Returns { data, errors } for a create or update request
+  validate({ name, description, variants }) {
+    const errors = [];
+
+    if (!name || !name.trim()) {
+      errors.push('Name is required');
+    }
+    if (!Array.isArray(variants) || variants.length < 2) {
+      errors.push('An experiment needs at least two variants');
+      return { data: null, errors };
+    }
+
+    const keys = new Set();
+    const data = variants.map((variant, index) => {
+      const key = (variant.key || '').trim();
+      const weight = variant.weight === undefined || variant.weight === '' ? 1 : Number(variant.weight);
+      const { settings, errors: settingErrors } = modelSettingsService.validate(variant.settings);
+
+      if (!key) errors.push(`Variant ${index + 1} needs a key`);
+      if (keys.has(key)) errors.push(`Variant key "${key}" is used twice`);
+      if (!Number.isFinite(weight) || weight < 0) errors.push(`Variant "${key}" needs a weight of 0 or more`);
+      settingErrors.forEach(error => errors.push(`Variant "${key}": ${error}`));
+      keys.add(key);
+
+      return { key, name: variant.name || key, weight, settings };
+    });
+
+    if (data.every(variant => !(variant.weight > 0))) {
+      errors.push('At least one variant needs a weight above 0');
+    }
+
+    return { data: { name: name?.trim(), description, variants: data }, errors };
+  }
+
+  // Starting an experiment stops the one that was running
+  async start(experiment) {
+    await Experiment.updateMany(
+      { status: 'running', _id: { $ne: experiment._id } },
+      { status: 'stopped', stoppedAt: new Date() }
+    );
+
+    experiment.status = 'running';
+    experiment.startedAt = experiment.startedAt || new Date();
+    experiment.stoppedAt = undefined;
+    await experiment.save();
+    this.invalidate();
+    return experiment;
+  }
+
+  async stop(experiment) {
+    experiment.status = 'stopped';
+    experiment.stoppedAt = new Date();
+    await experiment.save();
+    this.invalidate();
+    return experiment;
+  }
+
+  // Per variant: conversations, answers, response time and degraded answers
+  // from the conversations, and ratings from their feedback
+  async getResults(experiment) {
+    const [conversationStats, feedbackStats] = await Promise.all([
+      Conversation.aggregate([
+        { $match: { 'experiment.experimentId': experiment._id } },
+        {
+          $project: {
+            variant: '$experiment.variant',
+            answers: { $filter: { input: '$messages', cond: { $eq: ['$$this.role', 'bot'] } } }
+          }
+        },
+        {
+          $group: {
+            _id: '$variant',
+            conversations: { $sum: 1 },
+            answers: { $sum: { $size: '$answers' } },
+            avgResponseTime: { $avg: { $avg: '$answers.metadata.responseTime' } },
+            degradedAnswers: {
+              $sum: { $size: { $filter: { input: '$answers', cond: { $eq: ['$$this.metadata.degraded', true] } } } }
+            }
+          }
+        }
+      ]),
+      Feedback.aggregate([
+        { $match: { experimentId: experiment._id } },
+        {
+          $group: {
+            _id: '$variant',
+            ratings: { $sum: 1 },
+            avgRating: { $avg: '$rating' },
+            ratingStdDev: { $stdDevSamp: '$rating' },
+            helpfulRate: { $avg: { $cond: ['$isHelpful', 1, 0] } }
+          }
+        }
+      ])
+    ]);
+
+    return experiment.variants.map(variant => {
+      const conversations = conversationStats.find(stat => stat._id === variant.key);
+      const feedback = feedbackStats.find(stat => stat._id === variant.key);
+
+      return {
+        key: variant.key,
+        name: variant.name,
+        weight: variant.weight,
+        settings: variant.settings,
+        conversations: conversations?.conversations || 0,
+        answers: conversations?.answers || 0,
+        avgResponseTime: conversations?.avgResponseTime ?? null,
+        degradedAnswers: conversations?.degradedAnswers || 0,
+        ratings: feedback?.ratings || 0,
+        avgRating: feedback?.avgRating ?? null,
+        ratingStdDev: feedback?.ratingStdDev ?? null,
+        helpfulRate: feedback?.helpfulRate ?? null
+      };
+    });
+  }
+
+  // Results of the running experiment for the analytics dashboard
+  async getRunningSummary() {
+    const experiment = await this.getRunning();
+    if (!experiment) return null;
+
+    return {
+      experimentId: experiment._id,
+      name: experiment.name,
+      startedAt: experiment.startedAt,
+      variants: await this.getResults(experiment)
+    };
+  }
+}
+
+module.exports = new ExperimentService();
@@ -0,0 +1,74 @@
+const GlossaryTerm = require('../models/GlossaryTerm');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class GlossaryService {
+  constructor() {
+    this.cacheTtl = 5 * 60 * 1000; // 5 minutes
+    this.entries = null;
+    this.loadedAt = 0;
+  }
+
+  // Drop the cached glossary after terms are created, edited or deleted
+  invalidate() {
+    this.entries = null;
+  }
+
+  async getEntries() {
+    if (!this.entries || Date.now() - this.loadedAt > this.cacheTtl) {
+      const terms = await GlossaryTerm.find().lean();
+      this.entries = terms.map(term => ({
+        term: term.term,
+        definition: term.definition,
+        phrases: [term.term, ...(term.synonyms || [])]
+          .map(phrase => phrase.trim().toLowerCase())
+          .filter(Boolean)
+      }));
+      this.loadedAt = Date.now();
+    }
+    return this.entries;
+  }
+
+  containsPhrase(text, phrase) {
+    return new RegExp(`(^|[^a-z0-9])${escapeRegExp(phrase)}([^a-z0-9]|$)`).test(text);
+  }
+
+  // Glossary entries whose term or a synonym appears in the text
+  async findTerms(text) {
+    try {
+      const lowerText = (text || '').toLowerCase();
+      const entries = await this.getEntries();
+      return entries.filter(entry => entry.phrases.some(phrase => this.containsPhrase(lowerText, phrase)));
+    } catch (error) {
+      console.error('Glossary lookup error:', error.message);
+      return [];
+    }
+  }
+
+  // Add the term and synonyms of every matched entry to a search query,
+  // so "PTO" also finds documents that only say "paid leave"
+  async expandQuery(query) {
+    const terms = await this.findTerms(query);
+    const lowerQuery = query.toLowerCase();
+
+    const additions = new Set();
+    terms.forEach(entry => {
+      entry.phrases.forEach(phrase => {
+        if (!this.containsPhrase(lowerQuery, phrase)) {
+          additions.add(phrase);
+        }
+      });
+    });
+
+    return {
+      query: additions.size > 0 ? `${query} ${Array.from(additions).join(' ')}` : query,
+      terms
+    };
+  }
+
+  formatDefinitions(terms) {
+    return terms.map(entry => `${entry.term}: ${entry.definition}`).join('\n');
+  }
+}
+
+module.exports = new GlossaryService();
@@ -0,0 +1,413 @@
+const crypto = require('crypto');
+const fsPromises = require('fs').promises;
+const IngestionJob = require('../models/IngestionJob');
+const KnowledgeBase = require('../models/KnowledgeBase');
+const documentParserService = require('./DocumentParserService');
+const chunkingService = require('./ChunkingService');
+const llmService = require('./LlmService');
+const promptInjectionService = require('./PromptInjectionService');
+const answerCacheService = require('./AnswerCacheService');
+const documentRevisionService = require('./DocumentRevisionService');
+const duplicateDetectionService = require('./DuplicateDetectionService');
+const { DocumentParseError } = require('./parsers/errors');
+const { LlmError } = require('./llm/errors');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Uploaded files kept after ingestion, up to this size
+const MAX_KEPT_FILE_SIZE = 5 * 1024 * 1024;
+
+const getAccessRoles = (category) => {
+  if (category === 'admin-only') return ['admin'];
+  if (category === 'hr-only') return ['admin', 'hr'];
+  return ['employee'];
+};
+
+// Runs uploads into the knowledge base in the background, one job at a
+// time. Each stage is saved when it finishes and retried on its own; a job
+// that still fails keeps its error and can be run again from that stage.
+// The document stays inactive until the last stage. An upload that looks
+// like a copy of an existing document waits after parsing until someone
+// decides whether to keep both, replace the old one or merge into it.
+class IngestionService {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.INGESTION_STAGE_ATTEMPTS) || 3;
+    this.retryDelay = parseInt(process.env.INGESTION_RETRY_DELAY_MS) || 5000;
+    this.queue = [];
+    this.running = false;
+
+    this.stages = {
+      parse: (job) => this.parse(job),
+      chunk: (job) => this.chunk(job),
+      summarize: (job) => this.summarize(job),
+      tag: (job) => this.tag(job),
+      index: (job) => this.index(job)
+    };
+  }
+
+  // `file` is the multer upload; `options` are the form fields, the file's
+  // hash and, for bulk uploads, the batch it belongs to. A
+  // `duplicateAction` decides for likely duplicates in advance.
+  async createJob(file, { title, category = 'general', tags = [], accessPolicy, fileHash, batchId, duplicateAction }, user) {
+    const job = await IngestionJob.create({
+      fileName: file.originalname,
+      filePath: file.path,
+      mimeType: file.mimetype,
+      fileSize: file.size,
+      fileHash,
+      batchId,
+      duplicateAction,
+      title: title || file.originalname.replace(/\.[^/.]+$/, '') || 'Untitled Document',
+      category,
+      tags,
+      accessPolicy,
+      createdBy: user.email,
+      createdByUserId: user.id,
+      userRole: user.role
+    });
+
+    this.enqueue(job._id);
+    return job;
+  }
+
+  // Identifies byte-for-byte copies of an uploaded file
+  hashContent(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  enqueue(jobId) {
+    if (!this.queue.some(id => String(id) === String(jobId))) {
+      this.queue.push(jobId);
+    }
+    this.drain();
+  }
+
+  async drain() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const jobId = this.queue.shift();
+        await this.run(jobId).catch(error => {
+          console.error('Ingestion job error:', error.message);
+        });
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Pick up jobs that were queued or running when the server stopped
+  async resume() {
+    try {
+      const jobs = await IngestionJob.find({ status: { $in: ['queued', 'running'] } })
+        .sort({ createdAt: 1 })
+        .select('_id');
+      jobs.forEach(job => this.enqueue(job._id));
+      if (jobs.length > 0) {
+        console.log(` Resuming ${jobs.length} ingestion job(s)`);
+      }
+    } catch (error) {
+      console.error('Ingestion resume error:', error.message);
+    }
+  }
+
+  async run(jobId) {
+    const job = await IngestionJob.findById(jobId);
+    if (!job || !['queued', 'running'].includes(job.status)) return;
+
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date();
+    await job.save();
+
+    for (const stage of job.stages) {
+      if (stage.status === 'completed') continue;
+      if (!(await this.runStage(job, stage))) return;
+
+      if (job.duplicates.length > 0 && !job.duplicateAction) {
+        job.status = 'review';
+        await job.save();
+        return;
+      }
+    }
+
+    job.status = 'completed';
+    job.currentStage = null;
+    job.finishedAt = new Date();
+    await job.save();
+  }
+
+  // Returns whether the stage completed
+  async runStage(job, stage) {
+    for (;;) {
+      stage.status = 'running';
+      stage.attempts += 1;
+      stage.startedAt = new Date();
+      stage.error = undefined;
+      job.currentStage = stage.name;
+      await job.save();
+
+      try {
+        await this.stages[stage.name](job);
+        stage.status = 'completed';
+        stage.finishedAt = new Date();
+        job.progress = this.getProgress(job);
+        await job.save();
+        return true;
+      } catch (error) {
+        stage.error = error.message;
+
+        if (!this.isRetryable(error) || stage.attempts >= this.maxAttempts) {
+          console.error(`Ingestion ${stage.name} failed for ${job.fileName}:`, error.message);
+          stage.status = 'failed';
+          stage.finishedAt = new Date();
+          job.status = 'failed';
+          job.error = `${stage.name}: ${error.message}`;
+          job.finishedAt = new Date();
+          await job.save();
+          return false;
+        }
+
+        await job.save();
+        await wait(this.retryDelay * Math.pow(2, stage.attempts - 1));
+      }
+    }
+  }
+
+  // Bad files don't get better; model errors say whether they might
+  isRetryable(error) {
+    if (error instanceof DocumentParseError) return false;
+    if (error instanceof LlmError) return error.retryable || error.type === 'circuit_open';
+    return true;
+  }
+
+  getProgress(job) {
+    const completed = job.stages.filter(stage => stage.status === 'completed').length;
+    return Math.round((completed / job.stages.length) * 100);
+  }
+
+  // Run a failed job again from the stage that failed
+  async retry(job) {
+    job.stages.forEach(stage => {
+      if (stage.status !== 'completed') {
+        stage.status = 'pending';
+        stage.attempts = 0;
+        stage.error = undefined;
+      }
+    });
+    job.status = 'queued';
+    job.error = undefined;
+    job.finishedAt = undefined;
+    await job.save();
+
+    this.enqueue(job._id);
+    return job;
+  }
+
+  // Decide what to do with a job waiting on likely duplicates and run the
+  // rest of it. `documentId` is the duplicate to replace or merge into.
+  async resolveDuplicates(job, action, documentId) {
+    job.duplicateAction = action;
+    job.duplicateOf = action === 'keep' ? undefined : documentId;
+    job.status = 'queued';
+    await job.save();
+
+    this.enqueue(job._id);
+    return job;
+  }
+
+  // Delete a job. An unfinished job's document and file go with it.
+  async remove(job) {
+    if (job.status !== 'completed') {
+      if (job.documentId) {
+        await KnowledgeBase.deleteOne({ _id: job.documentId });
+        await chunkingService.removeDocument(job.documentId);
+      }
+      if (job.filePath) {
+        await fsPromises.unlink(job.filePath).catch(() => {});
+      }
+    }
+    await IngestionJob.deleteOne({ _id: job._id });
+  }
+
+  getCaller(job) {
+    return { userId: job.createdByUserId, userRole: job.userRole };
+  }
+
+  async getDocument(job) {
+    const doc = job.documentId && await KnowledgeBase.findById(job.documentId);
+    if (!doc) {
+      throw new Error('The document was deleted while it was being ingested');
+    }
+    return doc;
+  }
+
+  // Extract the text and save it as an inactive document
+  async parse(job) {
+    const { text, format } = await documentParserService.parseFile(job.filePath, {
+      mimeType: job.mimeType,
+      fileName: job.fileName
+    });
+
+    const existing = job.documentId && await KnowledgeBase.findById(job.documentId);
+    const doc = existing || new KnowledgeBase({
+      title: job.title,
+      category: job.category,
+      source: 'upload',
+      fileName: job.fileName,
+      filePath: job.filePath,
+      fileHash: job.fileHash,
+      tags: job.tags,
+      accessRoles: getAccessRoles(job.category),
+      accessPolicy: job.accessPolicy,
+      isActive: false,
+      createdBy: job.createdBy,
+      createdByUserId: job.createdByUserId
+    });
+    doc.content = text;
+    doc.fileType = format;
+    duplicateDetectionService.applyFingerprint(doc);
+    await doc.save();
+
+    job.documentId = doc._id;
+    job.format = format;
+
+    // Duplicates are looked for among the documents the uploader can see
+    job.duplicates = await duplicateDetectionService.findDuplicates(doc, {
+      user: { id: job.createdByUserId, role: job.userRole, email: job.createdBy }
+    });
+
+    // Replacing or merging changes the existing document, which only admins
+    // and its author may do; otherwise the upload waits for a review
+    if (job.duplicates.length > 0 && ['replace', 'merge'].includes(job.duplicateAction) && !job.duplicateOf) {
+      const target = job.duplicates.find(duplicate => job.userRole === 'admin' || duplicate.createdBy === job.createdBy);
+      if (target) {
+        job.duplicateOf = target.documentId;
+      } else {
+        job.duplicateAction = undefined;
+      }
+    }
+  }
+
+  // Split into passages and embed them; they stay inactive with the document
+  async chunk(job) {
+    job.chunkCount = await chunkingService.indexDocument(await this.getDocument(job));
+  }
+
+  async summarize(job) {
+    const doc = await this.getDocument(job);
+    doc.summary = await llmService.summarizeText(doc.content, undefined, this.getCaller(job), { fallback: false });
+    await doc.save();
+  }
+
+  async tag(job) {
+    const doc = await this.getDocument(job);
+    const keywords = await llmService.extractKeywords(doc.content, this.getCaller(job), { fallback: false });
+    doc.tags = [...new Set([...keywords, ...job.tags.map(tag => tag.toLowerCase())])];
+    await doc.save();
+  }
+
+  // Make the document searchable, unless it looks like a prompt injection.
+  // A merge hands the text to the existing document instead.
+  async index(job) {
+    const doc = await this.getDocument(job);
+    const user = { id: job.createdByUserId, email: job.createdBy, role: job.userRole };
+    if (job.duplicateAction === 'merge' && job.duplicateOf) {
+      return this.merge(job, doc, user);
+    }
+
+    const injection = promptInjectionService.checkDocument(doc);
+
+    doc.isActive = true;
+    await this.releaseLargeFile(job, doc);
+
+    await doc.save();
+    if (injection.flagged) {
+      await promptInjectionService.logDocumentFlag(injection, doc, user);
+    }
+
+    // The finished document is its first revision
+    await documentRevisionService.record(doc, { action: 'create', user });
+    await chunkingService.syncDocument(doc);
+
+    if (job.duplicateAction === 'replace' && job.duplicateOf) {
+      await this.removeReplaced(job.duplicateOf, doc);
+    }
+    await answerCacheService.bumpRevision();
+    job.quarantined = Boolean(doc.quarantine?.isQuarantined);
+  }
+
+  // Large originals are not kept once the text is extracted
+  async releaseLargeFile(job, doc) {
+    if (job.fileSize > MAX_KEPT_FILE_SIZE && doc.filePath) {
+      await fsPromises.unlink(doc.filePath).catch(error => {
+        console.warn('Could not clean up file:', error.message);
+      });
+      doc.filePath = null;
+    }
+  }
+
+  async removeReplaced(documentId, replacement) {
+    const replaced = await KnowledgeBase.findById(documentId);
+    if (!replaced) return;
+
+    if (replaced.filePath && replaced.filePath !== replacement.filePath) {
+      await fsPromises.unlink(replaced.filePath).catch(() => {});
+    }
+    await KnowledgeBase.deleteOne({ _id: replaced._id });
+    await chunkingService.removeDocument(replaced._id);
+    await documentRevisionService.removeDocument(replaced._id);
+    await answerCacheService.invalidateDocument(replaced._id);
+  }
+
+  // The uploaded text becomes a new revision of the existing document,
+  // which keeps its title, category and access; tags are combined. The
+  // document built for the upload is removed.
+  async merge(job, doc, user) {
+    const target = await KnowledgeBase.findById(job.duplicateOf);
+    if (!target) {
+      throw new Error('The document to merge into was deleted');
+    }
+
+    await documentRevisionService.ensureBaseline(target);
+    if (target.filePath && target.filePath !== doc.filePath) {
+      await fsPromises.unlink(target.filePath).catch(() => {});
+    }
+
+    target.content = doc.content;
+    target.summary = doc.summary;
+    target.tags = [...new Set([...target.tags, ...doc.tags])];
+    target.fileName = doc.fileName;
+    target.fileType = doc.fileType;
+    target.filePath = doc.filePath;
+    target.fileHash = doc.fileHash;
+    duplicateDetectionService.applyFingerprint(target);
+    await this.releaseLargeFile(job, target);
+
+    // Clean text lifts an earlier quarantine, as with edits
+    const scanned = { title: target.title, content: target.content };
+    const injection = promptInjectionService.checkDocument(scanned);
+    target.quarantine = scanned.quarantine || { isQuarantined: false };
+    await target.save();
+    if (injection.flagged) {
+      await promptInjectionService.logDocumentFlag(injection, target, user);
+    }
+
+    await documentRevisionService.record(target, {
+      user,
+      note: `Merged upload ${job.fileName}`
+    });
+    await chunkingService.indexDocument(target);
+
+    await KnowledgeBase.deleteOne({ _id: doc._id });
+    await chunkingService.removeDocument(doc._id);
+    job.documentId = target._id;
+
+    await answerCacheService.invalidateDocument(target._id);
+    await answerCacheService.bumpRevision();
+    job.quarantined = Boolean(target.quarantine?.isQuarantined);
+  }
+}
+
+module.exports = new IngestionService();
@@ -0,0 +1,155 @@
+const KnowledgeGap = require('../models/KnowledgeGap');
+const embeddingService = require('./EmbeddingService');
+const answerCacheService = require('./AnswerCacheService');
+
+// Collects questions the bot could not answer well (non-answers, searches
+// that found nothing, low-confidence answers and thumbs-down ratings) and
+// groups similar ones into clusters for HR to answer.
+class KnowledgeGapService {
+  constructor() {
+    this.enabled = process.env.KNOWLEDGE_GAPS_ENABLED !== 'false';
+    // Cosine similarity a question needs to join an existing cluster
+    this.similarityThreshold = parseFloat(process.env.KNOWLEDGE_GAP_SIMILARITY) || 0.6;
+    this.maxQuestions = 20;
+    this.clusterCandidates = 500;
+  }
+
+  // Reasons a completed answer is a gap, or [] if it is not
+  getAnswerReasons({ answered, sourceCount, answer, noAnswer, confidence }) {
+    const reasons = [];
+    if (!answered || this.isNonAnswer(answer, noAnswer)) reasons.push('noAnswer');
+    if (sourceCount === 0) reasons.push('noSources');
+    if (confidence === 'low') reasons.push('lowConfidence');
+    return reasons;
+  }
+
+  // The model was told to reply with the no-answer text when the passages
+  // don't cover the question; it may add to it, so only its first sentence
+  // has to appear
+  isNonAnswer(answer, noAnswer) {
+    const firstSentence = answerCacheService.normalizeQuestion((noAnswer || '').split(/(?<=[.!?])\s/)[0]);
+    return Boolean(firstSentence) && answerCacheService.normalizeQuestion(answer).includes(firstSentence);
+  }
+
+  // Add a question to the most similar open or dismissed cluster, or start
+  // a new one. Dismissed clusters keep absorbing their questions so they
+  // don't come back; resolved ones don't, since a new miss after the Q&A
+  // was added is a new gap. `caller` is { userId, userRole, conversationId }.
+  // Never throws, and callers don't wait for it.
+  record(question, reasons, caller = {}) {
+    if (!this.enabled || !question || reasons.length === 0) return Promise.resolve(null);
+
+    return this.addToCluster(question, reasons, caller).catch(error => {
+      console.error('Knowledge gap record error:', error.message);
+      return null;
+    });
+  }
+
+  async addToCluster(question, reasons, caller) {
+    const text = question.trim().substring(0, 500);
+    const vector = await embeddingService.embedQuery(answerCacheService.normalizeQuestion(text));
+    const cluster = await this.findCluster(vector);
+
+    const entry = {
+      text,
+      reasons,
+      conversationId: caller.conversationId,
+      userId: caller.userId,
+      userRole: caller.userRole,
+      askedAt: new Date()
+    };
+    const reasonCounts = Object.fromEntries(reasons.map(reason => [`reasonCounts.${reason}`, 1]));
+
+    if (!cluster) {
+      return KnowledgeGap.create({
+        question: text,
+        questions: [entry],
+        count: 1,
+        reasonCounts: Object.fromEntries(reasons.map(reason => [reason, 1])),
+        embedding: vector,
+        embeddingModel: embeddingService.model
+      });
+    }
+
+    // A thumbs-down on an answer that was already recorded as a gap adds
+    // the reason, not another question
+    const existing = caller.conversationId && cluster.questions.find(q =>
+      q.text === text && String(q.conversationId) === String(caller.conversationId));
+    if (existing) {
+      const added = reasons.filter(reason => !existing.reasons.includes(reason));
+      if (added.length === 0) return cluster;
+
+      return KnowledgeGap.updateOne(
+        { _id: cluster._id, questions: { $elemMatch: { conversationId: caller.conversationId, text } } },
+        {
+          $addToSet: { 'questions.$.reasons': { $each: added } },
+          $inc: Object.fromEntries(added.map(reason => [`reasonCounts.${reason}`, 1])),
+          $set: { lastSeenAt: new Date() }
+        }
+      );
+    }
+
+    // Running mean, so the cluster follows the questions it collects
+    const embedding = cluster.embedding.map((value, i) => (value * cluster.count + vector[i]) / (cluster.count + 1));
+
+    return KnowledgeGap.updateOne({ _id: cluster._id }, {
+      $push: { questions: { $each: [entry], $slice: -this.maxQuestions } },
+      $inc: { count: 1, ...reasonCounts },
+      $set: { embedding, lastSeenAt: new Date() }
+    });
+  }
+
+  async findCluster(vector) {
+    const candidates = await KnowledgeGap.find({
+      status: { $in: ['open', 'dismissed'] },
+      embeddingModel: embeddingService.model
+    })
+      .select('+embedding')
+      .sort({ lastSeenAt: -1 })
+      .limit(this.clusterCandidates)
+      .lean();
+
+    let best = null;
+    candidates.forEach(cluster => {
+      const similarity = embeddingService.cosineSimilarity(vector, cluster.embedding);
+      if (similarity >= this.similarityThreshold && (!best || similarity > best.similarity)) {
+        best = { cluster, similarity };
+      }
+    });
+
+    return best?.cluster || null;
+  }
+
+  // Mark a cluster answered by a new Q&A entry
+  async resolve(gap, document, user) {
+    gap.status = 'resolved';
+    gap.resolvedDocumentId = document._id;
+    gap.reviewedBy = user.email;
+    gap.reviewedAt = new Date();
+    await gap.save();
+    return gap;
+  }
+
+  // Cluster counts by status for the admin analytics
+  async getStats() {
+    const [byStatus, openQuestions] = await Promise.all([
+      KnowledgeGap.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      KnowledgeGap.aggregate([
+        { $match: { status: 'open' } },
+        { $group: { _id: null, questions: { $sum: '$count' } } }
+      ])
+    ]);
+
+    const counts = byStatus.reduce((total, entry) => ({ ...total, [entry._id]: entry.count }), {});
+    return {
+      open: counts.open || 0,
+      resolved: counts.resolved || 0,
+      dismissed: counts.dismissed || 0,
+      openQuestions: openQuestions[0]?.questions || 0
+    };
+  }
+}
+
+module.exports = new KnowledgeGapService();
@@ -0,0 +1,120 @@
+const Setting = require('../models/Setting');
+
+const SETTINGS_KEY = 'modelSettings';
+
+// Model calls by purpose; each can have its own generation settings
+const TASKS = ['answer', 'rewrite', 'conversationSummary', 'summary', 'keywords'];
+
+// What every task used before settings were configurable. `model: null`
+// means the provider's default model (GEMINI_MODEL or LLM_MODEL).
+const DEFAULTS = {
+  model: null,
+  temperature: 0.7,
+  topK: 40,
+  topP: 0.95,
+  maxOutputTokens: 1024
+};
+
+// Allowed range of each numeric setting
+const LIMITS = {
+  temperature: { min: 0, max: 2 },
+  topK: { min: 1, max: 100, integer: true },
+  topP: { min: 0, max: 1 },
+  maxOutputTokens: { min: 1, max: 8192, integer: true }
+};
+
+// Generation settings per task, editable by admins. Experiment variants use
+// the same fields and override them for the conversations they are assigned.
+class ModelSettingsService {
+  constructor() {
+    this.tasks = TASKS;
+    this.defaults = DEFAULTS;
+    this.cacheTtl = 60 * 1000;
+    this.saved = null;
+    this.loadedAt = 0;
+  }
+
+  invalidate() {
+    this.saved = null;
+  }
+
+  async getSaved() {
+    if (!this.saved || Date.now() - this.loadedAt > this.cacheTtl) {
+      this.saved = await Setting.getValue(SETTINGS_KEY, {}) || {};
+      this.loadedAt = Date.now();
+    }
+    return this.saved;
+  }
+
+  // Effective settings for a task: defaults, then the saved task settings,
+  // then `overrides` (e.g. from an experiment variant)
+  async get(task, overrides = {}) {
+    let saved = {};
+    if (TASKS.includes(task)) {
+      try {
+        saved = (await this.getSaved())[task] || {};
+      } catch (error) {
+        console.error('Model settings lookup error:', error.message);
+      }
+    }
+    return { ...DEFAULTS, ...this.compact(saved), ...this.compact(overrides) };
+  }
+
+  async getAll() {
+    const saved = await this.getSaved();
+    return TASKS.map(task => ({
+      task,
+      saved: this.compact(saved[task] || {}),
+      settings: { ...DEFAULTS, ...this.compact(saved[task] || {}) }
+    }));
+  }
+
+  // Fields that are set; empty fields fall back to the next level
+  compact(settings) {
+    return Object.fromEntries(Object.entries(settings || {})
+      .filter(([key, value]) => key in DEFAULTS && value !== null && value !== undefined && value !== ''));
+  }
+
+  // Returns { settings, errors } with numbers parsed and empty fields dropped
+  validate(input = {}) {
+    const settings = {};
+    const errors = [];
+
+    for (const [key, value] of Object.entries(this.compact(input))) {
+      if (key === 'model') {
+        if (typeof value !== 'string' || !/^[\w./:-]{1,100}$/.test(value.trim())) {
+          errors.push('model must be a model name');
+        } else {
+          settings.model = value.trim();
+        }
+        continue;
+      }
+
+      const number = Number(value);
+      const { min, max, integer } = LIMITS[key];
+      if (!Number.isFinite(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+        errors.push(`${key} must be ${integer ? 'a whole number' : 'a number'} from ${min} to ${max}`);
+      } else {
+        settings[key] = number;
+      }
+    }
+
+    return { settings, errors };
+  }
+
+  // Replace a task's saved settings; empty settings restore the defaults
+  async update(task, settings) {
+    const saved = { ...(await Setting.getValue(SETTINGS_KEY, {}) || {}) };
+    if (Object.keys(settings).length > 0) {
+      saved[task] = settings;
+    } else {
+      delete saved[task];
+    }
+
+    await Setting.setValue(SETTINGS_KEY, saved);
+    this.invalidate();
+    return this.get(task);
+  }
+}
+
+module.exports = new ModelSettingsService();
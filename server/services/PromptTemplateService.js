@@ -0,0 +1,190 @@
+const PromptTemplate = require('../models/PromptTemplate');
+const defaultTemplates = require('./prompts/defaultTemplates');
+
+const ROLES = ['default', 'employee', 'hr', 'admin'];
+const SECTION_PATTERN = /\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g;
+const VARIABLE_PATTERN = /\{\{(\w+)\}\}/g;
+
+class PromptTemplateService {
+  constructor() {
+    this.roles = ROLES;
+    this.cacheTtl = 5 * 60 * 1000; // 5 minutes
+    this.active = null;
+    this.loadedAt = 0;
+  }
+
+  // Drop the cached templates after a version is saved or reset
+  invalidate() {
+    this.active = null;
+  }
+
+  getDefinition(name) {
+    const definition = defaultTemplates[name];
+    if (!definition) {
+      throw new Error(`Unknown prompt template: ${name}`);
+    }
+    return definition;
+  }
+
+  // Active saved versions, keyed by "name:role"
+  async getActiveTemplates() {
+    if (!this.active || Date.now() - this.loadedAt > this.cacheTtl) {
+      const templates = await PromptTemplate.find({ isActive: true }).lean();
+      this.active = new Map(templates.map(template => [`${template.name}:${template.role}`, template]));
+      this.loadedAt = Date.now();
+    }
+    return this.active;
+  }
+
+  getBuiltIn(name, role) {
+    const { defaults } = this.getDefinition(name);
+    return defaults[role] || defaults.default;
+  }
+
+  // Text for a role and where it comes from: a saved role override, then
+  // the saved default, then the built-in text
+  resolve(active, name, role) {
+    const saved = active.get(`${name}:${role}`);
+    if (saved) return { content: saved.content, source: 'role', template: saved };
+
+    const savedDefault = active.get(`${name}:default`);
+    if (savedDefault) return { content: savedDefault.content, source: 'default', template: savedDefault };
+
+    return { content: this.getBuiltIn(name, role), source: 'builtIn', template: null };
+  }
+
+  async getContent(name, role = 'employee') {
+    this.getDefinition(name);
+
+    try {
+      const active = await this.getActiveTemplates();
+      return this.resolve(active, name, role).content;
+    } catch (error) {
+      console.error('Prompt template lookup error:', error.message);
+      return this.getBuiltIn(name, role);
+    }
+  }
+
+  render(content, variables = {}) {
+    const value = (key) => {
+      const text = variables[key];
+      return text === undefined || text === null ? '' : String(text);
+    };
+
+    return content
+      .replace(SECTION_PATTERN, (match, key, inner) => value(key).trim() ? inner : '')
+      .replace(VARIABLE_PATTERN, (match, key) => value(key))
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  async renderTemplate(name, role, variables = {}) {
+    const content = await this.getContent(name, role);
+    return this.render(content, { role, ...variables });
+  }
+
+  // Throws for empty templates, unknown variables and missing required ones
+  validate(name, content) {
+    const { variables, required = [] } = this.getDefinition(name);
+
+    if (!content || !content.trim()) {
+      throw new Error('Template content is required');
+    }
+
+    const used = new Set();
+    for (const match of content.matchAll(/\{\{[#/]?(\w+)\}\}/g)) {
+      used.add(match[1]);
+    }
+    const unknown = Array.from(used).filter(variable => !variables.includes(variable));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown variables: ${unknown.join(', ')}. Available: ${variables.join(', ')}`);
+    }
+
+    // A required variable only inside a {{#section}} marker is never output
+    const output = new Set(Array.from(content.matchAll(VARIABLE_PATTERN), match => match[1]));
+    const missing = required.filter(variable => !output.has(variable));
+    if (missing.length > 0) {
+      throw new Error(`Missing required variables: ${missing.map(variable => `{{${variable}}}`).join(', ')}`);
+    }
+  }
+
+  validateRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+  }
+
+  // Save content as the new active version for a template and role
+  async saveVersion(name, role, content, { note, createdBy } = {}) {
+    this.validate(name, content);
+    this.validateRole(role);
+
+    const latest = await PromptTemplate.findOne({ name, role }).sort({ version: -1 });
+    await PromptTemplate.updateMany({ name, role, isActive: true }, { isActive: false });
+
+    const template = new PromptTemplate({
+      name,
+      role,
+      version: latest ? latest.version + 1 : 1,
+      content,
+      note,
+      createdBy
+    });
+    await template.save();
+
+    this.invalidate();
+    return template;
+  }
+
+  // Rolling back adds a new version with the old content, so history stays linear
+  async getVersion(name, role, version) {
+    return PromptTemplate.findOne({ name, role, version });
+  }
+
+  async rollback(name, role, version, createdBy) {
+    const previous = await this.getVersion(name, role, version);
+    if (!previous) return null;
+
+    return this.saveVersion(name, role, previous.content, {
+      note: `Rollback to version ${version}`,
+      createdBy
+    });
+  }
+
+  // Stop using saved versions for a role; history is kept
+  async resetToBuiltIn(name, role) {
+    this.getDefinition(name);
+    await PromptTemplate.updateMany({ name, role, isActive: true }, { isActive: false });
+    this.invalidate();
+  }
+
+  async listVersions(name, role) {
+    return PromptTemplate.find({ name, role }).sort({ version: -1 });
+  }
+
+  // Every template with its variables and, per role, the text in use
+  async describeTemplates() {
+    const active = await this.getActiveTemplates();
+
+    return Object.entries(defaultTemplates).map(([name, definition]) => ({
+      name,
+      label: definition.label,
+      description: definition.description,
+      variables: definition.variables,
+      roles: ROLES.map(role => {
+        const { content, source, template } = this.resolve(active, name, role);
+        return {
+          role,
+          content,
+          source,
+          builtIn: this.getBuiltIn(name, role),
+          activeVersion: source === 'role' ? template.version : null,
+          updatedAt: template ? template.createdAt : null,
+          updatedBy: template ? template.createdBy : null
+        };
+      })
+    }));
+  }
+}
+
+module.exports = new PromptTemplateService();
@@ -0,0 +1,46 @@
+const llmService = require('./LlmService');
+
+// Openers that only make sense as a continuation of the previous question
+const FOLLOW_UP_OPENERS = /^(and|but|also|so|then|what about|how about|what if|same for|and for|or)\b/i;
+// References to something said earlier
+const REFERENCES = /\b(it|its|that|this|those|these|they|them|their|there|he|she|one|ones)\b/i;
+
+class QueryRewriteService {
+  constructor() {
+    this.historyTurns = parseInt(process.env.QUERY_REWRITE_TURNS) || 6;
+    this.maxFollowUpWords = 8;
+  }
+
+  isFollowUp(message) {
+    const text = message.trim();
+    const words = text.split(/\s+/).filter(Boolean);
+
+    if (FOLLOW_UP_OPENERS.test(text)) return true;
+    return words.length <= this.maxFollowUpWords && REFERENCES.test(text);
+  }
+
+  // Turn a follow-up into a standalone search query using the recent turns
+  // of the conversation. Returns the query and how it was produced.
+  // `caller` is passed on for token accounting.
+  async rewrite(message, history = [], caller) {
+    const recentTurns = history
+      .filter(msg => msg.role === 'user' || msg.role === 'bot')
+      .slice(-this.historyTurns);
+    const previousQuestions = recentTurns.filter(msg => msg.role === 'user');
+
+    if (previousQuestions.length === 0 || !this.isFollowUp(message)) {
+      return { query: message, method: 'none' };
+    }
+
+    const rewritten = await llmService.rewriteQuery(message, recentTurns, caller);
+    if (rewritten) {
+      return { query: rewritten, method: 'llm' };
+    }
+
+    // Without the model, search with the previous question's terms as well
+    const lastQuestion = previousQuestions[previousQuestions.length - 1].content;
+    return { query: `${lastQuestion} ${message}`, method: 'heuristic' };
+  }
+}
+
+module.exports = new QueryRewriteService();
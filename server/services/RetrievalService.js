@@ -0,0 +1,140 @@
+const KnowledgeChunk = require('../models/KnowledgeChunk');
+const embeddingService = require('./EmbeddingService');
+
+const parseNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+class RetrievalService {
+  constructor() {
+    this.limit = parseInt(process.env.RETRIEVAL_LIMIT) || 7;
+    this.candidateLimit = parseInt(process.env.RETRIEVAL_CANDIDATES) || 20;
+    this.rrfK = parseInt(process.env.RETRIEVAL_RRF_K) || 60;
+
+    // A passage must clear at least one of these to be considered relevant
+    this.minKeywordScore = parseNumber(process.env.RETRIEVAL_MIN_KEYWORD_SCORE, 0.75);
+    this.minSimilarity = parseNumber(process.env.RETRIEVAL_MIN_SIMILARITY, null);
+
+    // Minimum fused score (0-1) after rank fusion
+    this.minScore = parseNumber(process.env.RETRIEVAL_MIN_SCORE, 0);
+
+    // Word-shingle overlap above which two passages count as the same text
+    this.duplicateThreshold = parseNumber(process.env.RETRIEVAL_DUPLICATE_THRESHOLD, 0.8);
+  }
+
+  // Similarity scales differ between embedding providers
+  getMinSimilarity() {
+    if (this.minSimilarity !== null) return this.minSimilarity;
+    return embeddingService.provider.name === 'local' ? 0.2 : 0.55;
+  }
+
+  // Hybrid passage search: keyword and semantic candidates are fused with
+  // reciprocal rank fusion, weak matches are dropped and near-identical
+  // passages are collapsed. `user` is an access attribute object (or a role).
+  async search(query, user = 'employee', options = {}) {
+    const limit = options.limit || this.limit;
+
+    const [keywordResults, semanticResults] = await Promise.all([
+      KnowledgeChunk.searchByRole(query, user, this.candidateLimit).catch(error => {
+        console.error('Keyword search error:', error.message);
+        return [];
+      }),
+      embeddingService.search(query, user, this.candidateLimit).catch(error => {
+        console.error('Semantic search error:', error.message);
+        return [];
+      })
+    ]);
+
+    const candidates = new Map();
+    const candidateFor = (chunk) => {
+      const key = chunk._id.toString();
+      if (!candidates.has(key)) {
+        candidates.set(key, { chunk, keyword: null, semantic: null, rrf: 0 });
+      }
+      return candidates.get(key);
+    };
+
+    keywordResults.forEach((chunk, rank) => {
+      const candidate = candidateFor(chunk);
+      candidate.keyword = chunk._doc?.score || 0;
+      candidate.rrf += 1 / (this.rrfK + rank + 1);
+    });
+
+    semanticResults.forEach((chunk, rank) => {
+      const candidate = candidateFor(chunk);
+      candidate.semantic = chunk.similarity;
+      candidate.rrf += 1 / (this.rrfK + rank + 1);
+    });
+
+    // Normalize so a passage ranked first in both lists scores 1
+    const maxRrf = 2 / (this.rrfK + 1);
+    const minSimilarity = this.getMinSimilarity();
+
+    const ranked = Array.from(candidates.values())
+      .map(candidate => ({ ...candidate, fused: candidate.rrf / maxRrf }))
+      .filter(candidate =>
+        (candidate.keyword !== null && candidate.keyword >= this.minKeywordScore) ||
+        (candidate.semantic !== null && candidate.semantic >= minSimilarity)
+      )
+      .filter(candidate => candidate.fused >= this.minScore)
+      .sort((a, b) => b.fused - a.fused);
+
+    return this.removeDuplicates(ranked)
+      .slice(0, limit)
+      .map(({ chunk, keyword, semantic, fused }) => ({
+        id: chunk.documentId,
+        chunkId: chunk._id,
+        title: chunk.title,
+        revision: chunk.revision,
+        content: chunk.content,
+        category: chunk.category,
+        startOffset: chunk.startOffset,
+        endOffset: chunk.endOffset,
+        score: Number(fused.toFixed(4)),
+        scores: {
+          keyword: keyword !== null ? Number(keyword.toFixed(4)) : null,
+          semantic: semantic !== null ? Number(semantic.toFixed(4)) : null,
+          fused: Number(fused.toFixed(4))
+        }
+      }));
+  }
+
+  // Keep the best-ranked copy of near-identical passages
+  removeDuplicates(ranked) {
+    const kept = [];
+
+    for (const candidate of ranked) {
+      const shingles = this.shingles(candidate.chunk.content);
+      const duplicate = kept.some(other => this.jaccard(shingles, other.shingles) >= this.duplicateThreshold);
+      if (!duplicate) {
+        kept.push({ ...candidate, shingles });
+      }
+    }
+
+    return kept;
+  }
+
+  shingles(text, size = 3) {
+    const words = (text || '').toLowerCase().split(/\W+/).filter(Boolean);
+    const result = new Set();
+    for (let i = 0; i + size <= words.length; i++) {
+      result.add(words.slice(i, i + size).join(' '));
+    }
+    if (result.size === 0 && words.length > 0) {
+      result.add(words.join(' '));
+    }
+    return result;
+  }
+
+  jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let intersection = 0;
+    a.forEach(value => {
+      if (b.has(value)) intersection++;
+    });
+    return intersection / (a.size + b.size - intersection);
+  }
+}
+
+module.exports = new RetrievalService();
@@ -0,0 +1,166 @@
+// The answer prompt asks for a JSON object; this service states that
+// contract, validates what comes back and keeps the Markdown to a subset the
+// chat window renders safely.
+
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+const FORMAT_INSTRUCTIONS = `RESPONSE FORMAT:
+Reply with one JSON object and nothing else, with the keys in this order:
+{"answer": "...", "sources": [1], "confidence": "high", "followUps": ["..."]}
+- answer: your reply in Markdown. Use only paragraphs, bullet or numbered lists, **bold**, *italic* and [links](https://example.com). No headings, tables, images, code or HTML.
+- sources: the id numbers of the <document> passages the answer relies on, [] if none
+- confidence: "high" if the passages answer the question directly, "medium" if they answer it in part, "low" if they barely cover it
+- followUps: up to 3 short questions the user might ask next, [] if none`;
+
+class StructuredAnswerService {
+  constructor() {
+    this.formatInstructions = FORMAT_INSTRUCTIONS;
+    this.maxFollowUps = 3;
+  }
+
+  // Validate model output against the contract. Output that is not JSON is
+  // kept as a plain answer with `structured: false` and `sources: null`
+  // (unknown, rather than none).
+  parse(text, passageCount = 0) {
+    const raw = (text || '').trim();
+    const data = this.parseJson(raw);
+
+    if (!data) {
+      return {
+        answer: this.sanitizeMarkdown(raw),
+        sources: null,
+        confidence: null,
+        followUps: [],
+        structured: false
+      };
+    }
+
+    const sources = Array.isArray(data.sources)
+      ? [...new Set(data.sources.map(Number))].filter(id => Number.isInteger(id) && id >= 1 && id <= passageCount)
+      : [];
+
+    const followUps = Array.isArray(data.followUps)
+      ? data.followUps
+        .filter(question => typeof question === 'string')
+        .map(question => question.trim())
+        .filter(question => question && question.length <= 200)
+        .slice(0, this.maxFollowUps)
+      : [];
+
+    return {
+      answer: typeof data.answer === 'string' ? this.sanitizeMarkdown(data.answer) : '',
+      sources,
+      confidence: CONFIDENCE_LEVELS.includes(data.confidence) ? data.confidence : null,
+      followUps,
+      structured: true
+    };
+  }
+
+  // The object may come wrapped in a code fence or with text around it
+  parseJson(text) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+
+    try {
+      const data = JSON.parse(text.substring(start, end + 1));
+      return data && typeof data === 'object' && !Array.isArray(data) ? data : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Reduce model Markdown to paragraphs, lists, bold, italic and http(s) or
+  // mailto links. The client renders the same subset without HTML, so this
+  // keeps stored answers readable rather than being the only safeguard.
+  sanitizeMarkdown(text) {
+    return (text || '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/```[a-z]*\n?([\s\S]*?)```/gi, '$1') // Unwrap code blocks
+      .replace(/`([^`\n]+)`/g, '$1') // Inline code
+      .replace(/<\/?[a-z][^>]*>/gi, '') // HTML tags
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // Images
+      .replace(/^#{1,6}\s+(.+?)\s*#*$/gm, '**$1**') // Headings become bold lines
+      .replace(/^\s*>\s?/gm, '') // Block quotes
+      .replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))*)\)/g, (match, label, url) =>
+        /^(https?:\/\/|mailto:)/i.test(url) ? `[${label}](${url})` : label
+      )
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  // Incremental reader for streamed JSON: push() returns the part of the
+  // "answer" string decoded since the last call, so the answer can be shown
+  // while the rest of the object is still being generated. Output that does
+  // not start like JSON is passed through as it arrives.
+  createAnswerReader() {
+    let raw = '';
+    let position = 0;
+    let mode = 'seek';
+
+    const decodeString = () => {
+      let output = '';
+
+      while (position < raw.length) {
+        const char = raw[position];
+
+        if (char === '"') {
+          mode = 'done';
+          position++;
+          break;
+        }
+
+        if (char !== '\\') {
+          output += char;
+          position++;
+          continue;
+        }
+
+        // Wait for the rest of an escape sequence
+        const next = raw[position + 1];
+        if (next === undefined) break;
+
+        if (next === 'u') {
+          const hex = raw.substring(position + 2, position + 6);
+          if (hex.length < 4) break;
+          output += String.fromCharCode(parseInt(hex, 16));
+          position += 6;
+          continue;
+        }
+
+        output += { n: '\n', t: '\t', r: '', b: '', f: '' }[next] ?? next;
+        position += 2;
+      }
+
+      return output;
+    };
+
+    return {
+      push: (text) => {
+        raw += text;
+
+        if (mode === 'seek') {
+          const start = raw.trimStart();
+          if (start && !start.startsWith('{') && !start.startsWith('`')) {
+            mode = 'plain';
+            return raw;
+          }
+
+          const match = raw.match(/"answer"\s*:\s*"/);
+          if (!match) return '';
+          mode = 'string';
+          position = match.index + match[0].length;
+        }
+
+        if (mode === 'plain') return text;
+        if (mode === 'string') return decodeString();
+        return '';
+      },
+      get raw() {
+        return raw;
+      }
+    };
+  }
+}
+
+module.exports = new StructuredAnswerService();
@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const LlmUsage = require('../models/LlmUsage');
+const UsageQuota = require('../models/UsageQuota');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sums used by every rollup
+const TOTALS = {
+  calls: { $sum: 1 },
+  failures: { $sum: { $cond: ['$success', 0, 1] } },
+  promptTokens: { $sum: '$promptTokens' },
+  completionTokens: { $sum: '$completionTokens' },
+  totalTokens: { $sum: '$totalTokens' },
+  avgLatencyMs: { $avg: '$latencyMs' }
+};
+
+// Token accounting for model calls and per-role or per-user quotas. Days and
+// months are UTC, for rollups and quotas alike.
+class UsageService {
+  constructor() {
+    this.enabled = process.env.USAGE_TRACKING_ENABLED !== 'false';
+  }
+
+  // Same rough count as conversation memory: about four characters per token
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  // Save one provider call. `caller` is { userId, userRole, conversationId };
+  // calls made outside a request (e.g. scripts) have none. Never throws, and
+  // callers don't wait for it.
+  record({ feature, provider, model, promptTokens = 0, completionTokens = 0, estimated = false, latencyMs, success = true, errorType, caller = {} }) {
+    if (!this.enabled) return Promise.resolve(null);
+
+    return LlmUsage.create({
+      feature: feature || 'other',
+      provider,
+      model,
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      estimated,
+      latencyMs,
+      success,
+      errorType,
+      userId: caller.userId,
+      userRole: caller.userRole,
+      conversationId: caller.conversationId
+    }).catch(error => {
+      console.error('Usage record error:', error.message);
+      return null;
+    });
+  }
+
+  getPeriodStarts(now = new Date()) {
+    const day = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const month = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const nextMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+    return { day, month, nextDay: new Date(day.getTime() + DAY_MS), nextMonth };
+  }
+
+  // A user's own quota replaces their role's quota
+  async getQuota(user) {
+    if (mongoose.isValidObjectId(user.id)) {
+      const userQuota = await UsageQuota.findOne({ scope: 'user', userId: user.id }).lean();
+      if (userQuota) return userQuota;
+    }
+    return UsageQuota.findOne({ scope: 'role', role: user.role || 'employee' }).lean();
+  }
+
+  // Tokens a user has used today and this month
+  async getUserUsage(userId) {
+    const { day, month } = this.getPeriodStarts();
+    const [usage] = await LlmUsage.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(userId), createdAt: { $gte: month } } },
+      {
+        $group: {
+          _id: null,
+          month: { $sum: '$totalTokens' },
+          today: { $sum: { $cond: [{ $gte: ['$createdAt', day] }, '$totalTokens', 0] } }
+        }
+      }
+    ]);
+    return { today: usage?.today || 0, month: usage?.month || 0 };
+  }
+
+  // Returns { exceeded, period, limit, used, resetsAt } for the first limit
+  // that is used up, or { exceeded: false } with the quota and usage
+  async checkQuota(user) {
+    if (!this.enabled || !user?.id) return { exceeded: false, quota: null };
+
+    const quota = await this.getQuota(user);
+    const hasDaily = typeof quota?.dailyTokens === 'number';
+    const hasMonthly = typeof quota?.monthlyTokens === 'number';
+    if (!hasDaily && !hasMonthly) return { exceeded: false, quota: null };
+
+    const used = await this.getUserUsage(user.id);
+    const { nextDay, nextMonth } = this.getPeriodStarts();
+
+    if (hasDaily && used.today >= quota.dailyTokens) {
+      return { exceeded: true, period: 'daily', limit: quota.dailyTokens, used: used.today, resetsAt: nextDay };
+    }
+    if (hasMonthly && used.month >= quota.monthlyTokens) {
+      return { exceeded: true, period: 'monthly', limit: quota.monthlyTokens, used: used.month, resetsAt: nextMonth };
+    }
+
+    return {
+      exceeded: false,
+      quota: { scope: quota.scope, dailyTokens: quota.dailyTokens, monthlyTokens: quota.monthlyTokens },
+      used
+    };
+  }
+
+  getQuotaMessage({ period, resetsAt }) {
+    const when = period === 'daily'
+      ? `at ${resetsAt.toISOString().substring(11, 16)} UTC`
+      : `on ${resetsAt.toISOString().substring(0, 10)}`;
+    return `You have reached your ${period} limit for questions to the assistant. It resets ${when}. If you need more, please contact HR or an administrator.`;
+  }
+
+  // Daily and monthly totals, plus this month's split by feature and model
+  // and its heaviest users
+  async getRollups({ days = 30, months = 6 } = {}) {
+    const { day, month } = this.getPeriodStarts();
+    const dailySince = new Date(day.getTime() - (days - 1) * DAY_MS);
+    const monthlySince = new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth() - (months - 1), 1));
+    const thisMonth = { $match: { createdAt: { $gte: month } } };
+
+    const [daily, monthly, byFeature, byModel, topUsers, today] = await Promise.all([
+      LlmUsage.aggregate([
+        { $match: { createdAt: { $gte: dailySince } } },
+        { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, ...TOTALS } },
+        { $sort: { _id: 1 } }
+      ]),
+      LlmUsage.aggregate([
+        { $match: { createdAt: { $gte: monthlySince } } },
+        { $group: { _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } }, ...TOTALS } },
+        { $sort: { _id: 1 } }
+      ]),
+      LlmUsage.aggregate([
+        thisMonth,
+        { $group: { _id: '$feature', ...TOTALS } },
+        { $sort: { totalTokens: -1 } }
+      ]),
+      LlmUsage.aggregate([
+        thisMonth,
+        { $group: { _id: { provider: '$provider', model: '$model' }, ...TOTALS } },
+        { $sort: { totalTokens: -1 } }
+      ]),
+      LlmUsage.aggregate([
+        { $match: { createdAt: { $gte: month }, userId: { $ne: null } } },
+        { $group: { _id: '$userId', userRole: { $last: '$userRole' }, ...TOTALS } },
+        { $sort: { totalTokens: -1 } },
+        { $limit: 10 },
+        { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+        {
+          $project: {
+            _id: 0,
+            userId: '$_id',
+            userRole: 1,
+            name: { $first: '$user.name' },
+            email: { $first: '$user.email' },
+            calls: 1,
+            totalTokens: 1
+          }
+        }
+      ]),
+      LlmUsage.aggregate([
+        { $match: { createdAt: { $gte: day } } },
+        { $group: { _id: null, ...TOTALS } }
+      ])
+    ]);
+
+    const rename = (key) => ({ _id, ...totals }) => ({ [key]: _id, ...totals });
+    const thisMonthTotals = monthly.find(entry => entry._id === month.toISOString().substring(0, 7));
+
+    return {
+      today: today[0] ? rename('day')({ ...today[0], _id: day.toISOString().substring(0, 10) }) : null,
+      month: thisMonthTotals ? rename('month')(thisMonthTotals) : null,
+      daily: daily.map(rename('day')),
+      monthly: monthly.map(rename('month')),
+      byFeature: byFeature.map(rename('feature')),
+      byModel: byModel.map(({ _id, ...totals }) => ({ ..._id, ...totals })),
+      topUsers
+    };
+  }
+}
+
+module.exports = new UsageService();
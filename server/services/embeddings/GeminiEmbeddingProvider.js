@@ -0,0 +1,40 @@
+const { GoogleGenerativeAI, TaskType } = require("@google/generative-ai");
+
+// Gemini's batch endpoint accepts at most 100 texts per request
+const BATCH_SIZE = 100;
+
+class GeminiEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.model = options.model || process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004';
+    this.genAI = new GoogleGenerativeAI(options.apiKey || process.env.GEMINI_API_KEY);
+    this.embeddingModel = this.genAI.getGenerativeModel({ model: this.model });
+  }
+
+  async embedDocuments(texts) {
+    const vectors = [];
+
+    for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+      const batch = texts.slice(i, i + BATCH_SIZE);
+      const result = await this.embeddingModel.batchEmbedContents({
+        requests: batch.map(text => ({
+          content: { role: 'user', parts: [{ text }] },
+          taskType: TaskType.RETRIEVAL_DOCUMENT
+        }))
+      });
+      vectors.push(...result.embeddings.map(embedding => embedding.values));
+    }
+
+    return vectors;
+  }
+
+  async embedQuery(text) {
+    const result = await this.embeddingModel.embedContent({
+      content: { role: 'user', parts: [{ text }] },
+      taskType: TaskType.RETRIEVAL_QUERY
+    });
+    return result.embedding.values;
+  }
+}
+
+module.exports = GeminiEmbeddingProvider;
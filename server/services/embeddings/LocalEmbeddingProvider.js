@@ -0,0 +1,83 @@
+// Deterministic, offline embedding provider. Text is turned into a hashed
+// bag of words and character trigrams with sublinear term frequency; common
+// stopwords are dropped, which stands in for inverse document frequency.
+// The same text always produces the same vector, so it is safe for tests.
+
+const STOPWORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do',
+  'does', 'for', 'from', 'how', 'i', 'in', 'is', 'it', 'me', 'my', 'of',
+  'on', 'or', 'our', 'should', 'that', 'the', 'this', 'to', 'was', 'we',
+  'what', 'when', 'where', 'which', 'who', 'will', 'with', 'you', 'your'
+]);
+
+class LocalEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.dimensions = options.dimensions || parseInt(process.env.LOCAL_EMBEDDING_DIMENSIONS) || 512;
+    this.model = `local-hash-${this.dimensions}`;
+  }
+
+  async embedDocuments(texts) {
+    return texts.map(text => this.embed(text));
+  }
+
+  async embedQuery(text) {
+    return this.embed(text);
+  }
+
+  embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const counts = new Map();
+
+    for (const feature of this.extractFeatures(text)) {
+      counts.set(feature, (counts.get(feature) || 0) + 1);
+    }
+
+    counts.forEach((count, feature) => {
+      const hash = this.hash(feature);
+      const sign = (hash & 0x80000000) ? -1 : 1;
+      const weight = feature.startsWith('#') ? 0.5 : 1;
+      vector[hash % this.dimensions] += sign * weight * (1 + Math.log(count));
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  extractFeatures(text) {
+    const words = (text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word && !STOPWORDS.has(word))
+      .map(word => this.stem(word));
+
+    const features = [...words];
+
+    // Character trigrams make "vacation" and "vacations" land close together
+    words.forEach(word => {
+      const padded = `^${word}$`;
+      for (let i = 0; i < padded.length - 2; i++) {
+        features.push('#' + padded.substring(i, i + 3));
+      }
+    });
+
+    return features;
+  }
+
+  stem(word) {
+    if (word.length <= 4) return word;
+    return word.replace(/(ing|ed|es|s)$/, '');
+  }
+
+  // 32-bit FNV-1a
+  hash(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+}
+
+module.exports = LocalEmbeddingProvider;
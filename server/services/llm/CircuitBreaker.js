@@ -0,0 +1,63 @@
+// Stops calling a provider that keeps failing. After `failureThreshold`
+// consecutive provider failures the circuit opens and requests fail fast;
+// once `cooldown` ms have passed one trial request is let through
+// (half-open), and its outcome closes or reopens the circuit.
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, cooldown = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldown = cooldown;
+    this.reset();
+  }
+
+  reset() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInProgress = false;
+  }
+
+  canRequest() {
+    if (this.state === 'closed') return true;
+
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.cooldown) return false;
+      this.state = 'half-open';
+    }
+
+    // Half-open: only one trial request at a time
+    if (this.trialInProgress) return false;
+    this.trialInProgress = true;
+    return true;
+  }
+
+  recordSuccess() {
+    this.reset();
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.trialInProgress = false;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  // A request that ended without saying anything about the provider, e.g. a
+  // safety block or a request the user stopped
+  recordNeutral() {
+    this.trialInProgress = false;
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldown) : null
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
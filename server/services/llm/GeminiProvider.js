@@ -0,0 +1,113 @@
+const {
+  GoogleGenerativeAI,
+  GoogleGenerativeAIFetchError,
+  GoogleGenerativeAIResponseError,
+  GoogleGenerativeAIAbortError
+} = require("@google/generative-ai");
+const { LlmError, LlmAuthError, LlmSafetyError, LlmTimeoutError, LlmUnavailableError, fromStatus } = require('./errors');
+
+const SAFETY_SETTINGS = [
+  {
+    category: "HARM_CATEGORY_HARASSMENT",
+    threshold: "BLOCK_MEDIUM_AND_ABOVE"
+  },
+  {
+    category: "HARM_CATEGORY_HATE_SPEECH",
+    threshold: "BLOCK_MEDIUM_AND_ABOVE"
+  },
+  {
+    category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+    threshold: "BLOCK_MEDIUM_AND_ABOVE"
+  },
+  {
+    category: "HARM_CATEGORY_DANGEROUS_CONTENT",
+    threshold: "BLOCK_MEDIUM_AND_ABOVE"
+  }
+];
+
+class GeminiProvider {
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.model = options.model || process.env.GEMINI_MODEL || 'gemini-pro';
+    this.timeout = options.timeout || parseInt(process.env.LLM_TIMEOUT_MS) || 60000;
+    this.genAI = new GoogleGenerativeAI(options.apiKey || process.env.GEMINI_API_KEY);
+  }
+
+  // `config` holds the task's generation settings (see ModelSettingsService);
+  // creating a model object makes no request
+  getModel(config = {}) {
+    return this.genAI.getGenerativeModel({
+      model: config.model || this.model,
+      generationConfig: {
+        temperature: config.temperature ?? 0.7,
+        topK: config.topK ?? 40,
+        topP: config.topP ?? 0.95,
+        maxOutputTokens: config.maxOutputTokens ?? 1024,
+      },
+      safetySettings: SAFETY_SETTINGS
+    });
+  }
+
+  async generate(prompt, { signal, onUsage, config } = {}) {
+    try {
+      const result = await this.getModel(config).generateContent(prompt, { signal, timeout: this.timeout });
+      const response = await result.response;
+      this.reportUsage(response.usageMetadata, onUsage);
+      return response.text();
+    } catch (error) {
+      throw this.toLlmError(error, signal);
+    }
+  }
+
+  async *stream(prompt, { signal, onUsage, config } = {}) {
+    try {
+      const result = await this.getModel(config).generateContentStream(prompt, { signal, timeout: this.timeout });
+      let usageMetadata;
+      for await (const chunk of result.stream) {
+        // Every chunk carries the running totals
+        usageMetadata = chunk.usageMetadata || usageMetadata;
+        const text = chunk.text();
+        if (text) yield text;
+      }
+      this.reportUsage(usageMetadata, onUsage);
+    } catch (error) {
+      throw this.toLlmError(error, signal);
+    }
+  }
+
+  reportUsage(usageMetadata, onUsage) {
+    if (!usageMetadata || !onUsage) return;
+    onUsage({
+      promptTokens: usageMetadata.promptTokenCount || 0,
+      completionTokens: usageMetadata.candidatesTokenCount || 0
+    });
+  }
+
+  // Map SDK errors to the provider-neutral types in ./errors. A request the
+  // caller aborted is rethrown as is.
+  toLlmError(error, signal) {
+    if (signal?.aborted || error instanceof LlmError) return error;
+
+    const options = { provider: this.name, cause: error };
+
+    if (error instanceof GoogleGenerativeAIResponseError) {
+      return /blocked/i.test(error.message)
+        ? new LlmSafetyError(error.message, options)
+        : new LlmError(error.message, { ...options, type: 'invalid_response' });
+    }
+    if (error instanceof GoogleGenerativeAIAbortError) {
+      return new LlmTimeoutError(`Gemini did not respond within ${this.timeout} ms`, options);
+    }
+    if (error instanceof GoogleGenerativeAIFetchError && error.status) {
+      // An invalid key is reported as 400 rather than 401
+      if (error.status === 400 && /API[_ ]KEY/i.test(error.message)) {
+        return new LlmAuthError(error.message, { ...options, status: error.status });
+      }
+      return fromStatus(error.status, error.message, options);
+    }
+
+    return new LlmUnavailableError(error.message, options);
+  }
+}
+
+module.exports = GeminiProvider;
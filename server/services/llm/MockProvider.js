@@ -0,0 +1,146 @@
+// Deterministic, offline provider for development and tests. It never calls
+// a model: answers quote the knowledge base context passed in `data`, so the
+// same request always produces the same text.
+
+const { LlmError, fromStatus } = require('./errors');
+
+const STOPWORDS = new Set([
+  'a', 'about', 'all', 'also', 'an', 'and', 'are', 'as', 'at', 'be', 'by',
+  'can', 'do', 'for', 'from', 'has', 'have', 'if', 'in', 'is', 'it', 'may',
+  'must', 'not', 'of', 'on', 'or', 'our', 'per', 'should', 'that', 'the',
+  'their', 'this', 'to', 'up', 'was', 'we', 'will', 'with', 'you', 'your'
+]);
+
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.model = 'mock';
+    this.streamDelay = parseInt(process.env.MOCK_STREAM_DELAY_MS) || 20;
+    // Simulate a failing provider: auth | quota | safety | timeout | unavailable
+    this.failWith = process.env.MOCK_ERROR || null;
+  }
+
+  async generate(prompt, { task, data = {} } = {}) {
+    if (this.failWith) {
+      throw this.createError(this.failWith);
+    }
+
+    switch (task) {
+      case 'answer':
+        return this.answer(data);
+      case 'summary':
+        return this.summarize(data.text || '', data.maxLength);
+      case 'keywords':
+        return this.keywords(data.text || '').join(', ');
+      case 'conversationSummary':
+        return this.summarizeConversation(data);
+      case 'rewrite':
+        // No rewrite: the caller falls back to its heuristic
+        return '';
+      default:
+        return prompt.trim().substring(0, 200);
+    }
+  }
+
+  // Word by word, so the streaming UI can be tried without a model
+  async *stream(prompt, options = {}) {
+    const text = await this.generate(prompt, options);
+    for (const token of text.match(/\S+\s*/g) || []) {
+      if (options.signal?.aborted) return;
+      await new Promise(resolve => setTimeout(resolve, this.streamDelay));
+      yield token;
+    }
+  }
+
+  // Follows the JSON answer contract: quotes the first lines of the
+  // <document> and <glossary> blocks as a list and cites their passages.
+  // Confidence is the share of question words found in the quoted lines.
+  answer({ question = '', context = '' }) {
+    const lines = [];
+    const titles = new Map();
+    let block = null;
+
+    context.split('\n').map(line => line.trim()).forEach(line => {
+      const open = line.match(/^<(document|glossary)(?: id="(\d+)")?(?:[^>]*title="([^"]*)")?[^>]*>$/);
+      if (open) {
+        block = { passageId: open[2] ? parseInt(open[2]) : null };
+        if (block.passageId) titles.set(block.passageId, open[3]);
+        return;
+      }
+      if (/^<\/(document|glossary)>$/.test(line)) {
+        block = null;
+        return;
+      }
+      if (line && block) lines.push({ text: line, passageId: block.passageId });
+    });
+
+    if (lines.length === 0) {
+      return JSON.stringify({
+        answer: /\b(thanks|thank you)\b/i.test(question)
+          ? "You're welcome! Let me know if there is anything else I can help with."
+          : 'Hello! How can I help you with your onboarding today?',
+        sources: [],
+        confidence: 'high',
+        followUps: []
+      });
+    }
+
+    const quoted = lines.slice(0, 3);
+    const sources = [...new Set(quoted.map(line => line.passageId).filter(Boolean))];
+
+    const questionWords = this.keywords(question);
+    const quotedText = quoted.map(line => line.text).join(' ').toLowerCase();
+    const coverage = questionWords.length > 0
+      ? questionWords.filter(word => quotedText.includes(word)).length / questionWords.length
+      : 1;
+
+    return JSON.stringify({
+      answer: `Here is what the knowledge base says:\n\n${quoted.map(line => `- ${line.text.replace(/^[-*•]\s*/, '')}`).join('\n')}`,
+      sources,
+      confidence: coverage >= 0.5 ? 'high' : coverage >= 0.2 ? 'medium' : 'low',
+      followUps: Array.from(titles.entries())
+        .filter(([id, title]) => title && !sources.includes(id))
+        .slice(0, 2)
+        .map(([, title]) => `What else should I know about ${title.trim()}?`)
+    });
+  }
+
+  createError(type) {
+    const statuses = { auth: 401, quota: 429, timeout: 504, unavailable: 503 };
+    const message = `Simulated ${type} error (MOCK_ERROR)`;
+    return statuses[type]
+      ? fromStatus(statuses[type], message, { provider: this.name })
+      : new LlmError(message, { provider: this.name, type });
+  }
+
+  // Earlier summary plus the questions asked since, newest kept
+  summarizeConversation({ summary = '', turns = [], maxLength = 1200 }) {
+    const questions = turns.filter(msg => msg.role === 'user').map(msg => `User asked: ${msg.content}`);
+    const text = [summary, ...questions].filter(Boolean).join('\n');
+    return text.substring(Math.max(0, text.length - maxLength));
+  }
+
+  summarize(text, maxLength = 500) {
+    const sentences = text.replace(/\s+/g, ' ').match(/[^.!?]+[.!?]*/g) || [];
+    let summary = '';
+    for (const sentence of sentences) {
+      if ((summary + sentence).length > maxLength) break;
+      summary += sentence;
+    }
+    return (summary || text.substring(0, maxLength)).trim();
+  }
+
+  keywords(text) {
+    const counts = new Map();
+    (text.toLowerCase().match(/[a-z][a-z0-9-]{2,}/g) || [])
+      .filter(word => !STOPWORDS.has(word))
+      .forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+
+    return Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, 5)
+      .map(([word]) => word);
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,130 @@
+const { LlmError, LlmSafetyError, LlmTimeoutError, LlmUnavailableError, fromStatus } = require('./errors');
+
+// Any server that implements the OpenAI chat completions API, e.g. a
+// self-hosted model behind vLLM, Ollama or LM Studio. Nothing is sent to a
+// third party unless LLM_BASE_URL points at one.
+class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.baseUrl = (options.baseUrl || process.env.LLM_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.LLM_API_KEY;
+    this.model = options.model || process.env.LLM_MODEL || 'llama3.1';
+    this.timeout = options.timeout || parseInt(process.env.LLM_TIMEOUT_MS) || 60000;
+    this.temperature = 0.7;
+    this.maxTokens = 1024;
+  }
+
+  // `config` holds the task's generation settings (see ModelSettingsService).
+  // topK is not part of the chat completions API and is not sent.
+  async request(prompt, { signal, stream = false, config = {} } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const timeoutSignal = AbortSignal.timeout(this.timeout);
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: config.model || this.model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: config.temperature ?? this.temperature,
+        ...(config.topP !== undefined ? { top_p: config.topP } : {}),
+        max_tokens: config.maxOutputTokens ?? this.maxTokens,
+        stream,
+        // Token counts arrive in a last chunk without choices
+        ...(stream ? { stream_options: { include_usage: true } } : {})
+      }),
+      signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw fromStatus(response.status, `LLM endpoint returned ${response.status}: ${body.substring(0, 200)}`, {
+        provider: this.name
+      });
+    }
+
+    return response;
+  }
+
+  async generate(prompt, { signal, onUsage, config } = {}) {
+    try {
+      const response = await this.request(prompt, { signal, config });
+      const data = await response.json();
+      this.reportUsage(data.usage, onUsage);
+      const choice = data.choices?.[0];
+      this.checkFinishReason(choice);
+
+      const text = choice?.message?.content;
+      if (typeof text !== 'string') {
+        throw new LlmError('LLM endpoint returned no completion', { provider: this.name, type: 'invalid_response' });
+      }
+      return text;
+    } catch (error) {
+      throw this.toLlmError(error, signal);
+    }
+  }
+
+  // Parses the server-sent events of a streamed completion
+  async *stream(prompt, { signal, onUsage, config } = {}) {
+    try {
+      const response = await this.request(prompt, { signal, stream: true, config });
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      for await (const bytes of response.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const data = line.trim().replace(/^data:\s*/, '');
+          if (!line.startsWith('data:') || !data) continue;
+          if (data === '[DONE]') return;
+
+          const event = JSON.parse(data);
+          this.reportUsage(event.usage, onUsage);
+          const choice = event.choices?.[0];
+          this.checkFinishReason(choice);
+          const text = choice?.delta?.content;
+          if (text) yield text;
+        }
+      }
+    } catch (error) {
+      throw this.toLlmError(error, signal);
+    }
+  }
+
+  reportUsage(usage, onUsage) {
+    if (!usage || !onUsage) return;
+    onUsage({
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0
+    });
+  }
+
+  checkFinishReason(choice) {
+    if (choice?.finish_reason === 'content_filter') {
+      throw new LlmSafetyError('The completion was blocked by the content filter', { provider: this.name });
+    }
+  }
+
+  // Typed errors pass through; a request the caller aborted is rethrown as is
+  toLlmError(error, signal) {
+    if (signal?.aborted || error instanceof LlmError) return error;
+
+    const options = { provider: this.name, cause: error };
+    if (error.name === 'TimeoutError') {
+      return new LlmTimeoutError(`LLM endpoint did not respond within ${this.timeout} ms`, options);
+    }
+    if (error instanceof SyntaxError) {
+      return new LlmError(`LLM endpoint returned invalid JSON: ${error.message}`, { ...options, type: 'invalid_response' });
+    }
+    // Network failures (connection refused, DNS) surface as a TypeError from fetch
+    return new LlmUnavailableError(error.message, options);
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
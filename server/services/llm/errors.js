@@ -0,0 +1,97 @@
+// Provider failures, classified so LlmService can decide whether to retry
+// and callers can tell users (and analytics) what went wrong. Providers
+// throw these; anything else is wrapped by toLlmError.
+
+const RETRYABLE_TYPES = ['quota', 'timeout', 'unavailable', 'invalid_response'];
+
+// Failures that say something about the provider rather than the prompt
+const PROVIDER_FAILURE_TYPES = ['auth', 'quota', 'timeout', 'unavailable', 'invalid_response'];
+
+class LlmError extends Error {
+  constructor(message, { type = 'unavailable', provider, status, cause } = {}) {
+    super(message);
+    this.name = 'LlmError';
+    this.type = type;
+    this.provider = provider;
+    this.status = status;
+    this.cause = cause;
+    this.retryable = RETRYABLE_TYPES.includes(type);
+  }
+
+  // Whether the failure should count toward opening the circuit breaker
+  get isProviderFailure() {
+    return PROVIDER_FAILURE_TYPES.includes(this.type);
+  }
+}
+
+class LlmAuthError extends LlmError {
+  constructor(message, options = {}) {
+    super(message, { ...options, type: 'auth' });
+    this.name = 'LlmAuthError';
+  }
+}
+
+class LlmQuotaError extends LlmError {
+  constructor(message, options = {}) {
+    super(message, { ...options, type: 'quota' });
+    this.name = 'LlmQuotaError';
+  }
+}
+
+class LlmSafetyError extends LlmError {
+  constructor(message, options = {}) {
+    super(message, { ...options, type: 'safety' });
+    this.name = 'LlmSafetyError';
+  }
+}
+
+class LlmTimeoutError extends LlmError {
+  constructor(message, options = {}) {
+    super(message, { ...options, type: 'timeout' });
+    this.name = 'LlmTimeoutError';
+  }
+}
+
+class LlmUnavailableError extends LlmError {
+  constructor(message, options = {}) {
+    super(message, { ...options, type: 'unavailable' });
+    this.name = 'LlmUnavailableError';
+  }
+}
+
+// Thrown without calling the provider while the circuit breaker is open
+class LlmCircuitOpenError extends LlmError {
+  constructor(message, options = {}) {
+    super(message, { ...options, type: 'circuit_open' });
+    this.name = 'LlmCircuitOpenError';
+  }
+}
+
+// Map an HTTP status from a provider API to an error type
+const fromStatus = (status, message, options = {}) => {
+  if (status === 401 || status === 403) return new LlmAuthError(message, { ...options, status });
+  if (status === 429) return new LlmQuotaError(message, { ...options, status });
+  if (status === 408 || status === 504) return new LlmTimeoutError(message, { ...options, status });
+  if (status >= 500) return new LlmUnavailableError(message, { ...options, status });
+  return new LlmError(message, { ...options, status, type: 'request' });
+};
+
+const toLlmError = (error, provider) => {
+  if (error instanceof LlmError) return error;
+  if (error?.name === 'TimeoutError' || error?.name === 'AbortError') {
+    return new LlmTimeoutError(error.message || 'Request timed out', { provider, cause: error });
+  }
+  return new LlmUnavailableError(error?.message || 'Provider request failed', { provider, cause: error });
+};
+
+module.exports = {
+  LlmError,
+  LlmAuthError,
+  LlmQuotaError,
+  LlmSafetyError,
+  LlmTimeoutError,
+  LlmUnavailableError,
+  LlmCircuitOpenError,
+  fromStatus,
+  toLlmError
+};
@@ -0,0 +1,38 @@
+const { decodeText, decodeEntities } = require('./textUtils');
+
+// Tags that start a new line in the text (list items start one with a bullet)
+const BLOCK_TAGS = 'p|div|h[1-6]|ul|ol|dl|dt|dd|table|tr|section|article|header|footer|aside|nav|main|blockquote|pre|figure|figcaption|address|hr';
+
+// Readable text from an HTML page: scripts, styles and the head are dropped,
+// block elements become lines, list items get a bullet and table cells are
+// separated by tabs
+class HtmlParser {
+  constructor() {
+    this.name = 'html';
+    this.mimeTypes = ['text/html', 'application/xhtml+xml'];
+  }
+
+  async parse(buffer) {
+    return this.toText(decodeText(buffer));
+  }
+
+  toText(html) {
+    const text = html
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<(script|style|noscript|template|head|svg)\b[\s\S]*?<\/\1\s*>/gi, '')
+      // Line breaks in the source are just spaces
+      .replace(/\s+/g, ' ')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<li\b[^>]*>/gi, '\n- ')
+      .replace(/<\/(td|th)\s*>/gi, '\t')
+      .replace(new RegExp(`</?(${BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n')
+      .replace(/<[^>]*>/g, '');
+
+    return decodeEntities(text)
+      .split('\n')
+      .map(line => line.replace(/ {2,}/g, ' ').replace(/ *\t */g, '\t').trim())
+      .join('\n');
+  }
+}
+
+module.exports = HtmlParser;
@@ -0,0 +1,19 @@
+const marked = require('marked');
+const HtmlParser = require('./HtmlParser');
+const { decodeText } = require('./textUtils');
+
+// Markdown is rendered to HTML first so that lists, tables and entities
+// come out the same way as in HTML uploads
+class MarkdownParser {
+  constructor() {
+    this.name = 'md';
+    this.mimeTypes = ['text/markdown', 'text/x-markdown'];
+    this.html = new HtmlParser();
+  }
+
+  async parse(buffer) {
+    return this.html.toText(marked.parse(decodeText(buffer)));
+  }
+}
+
+module.exports = MarkdownParser;
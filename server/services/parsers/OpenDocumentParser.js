@@ -0,0 +1,47 @@
+const JSZip = require('jszip');
+const { DocumentParseError } = require('./errors');
+const { decodeEntities } = require('./textUtils');
+
+// OpenDocument text (.odt, e.g. from LibreOffice): the text is in
+// content.xml inside the ZIP container
+class OpenDocumentParser {
+  constructor() {
+    this.name = 'odt';
+    this.mimeTypes = ['application/vnd.oasis.opendocument.text'];
+  }
+
+  async parse(buffer) {
+    let xml;
+    try {
+      const zip = await JSZip.loadAsync(buffer);
+      xml = await zip.file('content.xml')?.async('string');
+    } catch (error) {
+      throw new DocumentParseError('The OpenDocument file is damaged and could not be read', { format: this.name, cause: error });
+    }
+    if (!xml) {
+      throw new DocumentParseError('The OpenDocument file has no content', { format: this.name });
+    }
+
+    return this.toText(xml);
+  }
+
+  toText(xml) {
+    const body = xml.match(/<office:body\b[\s\S]*<\/office:body>/)?.[0] || xml;
+    const text = body
+      .replace(/<office:annotation\b[\s\S]*?<\/office:annotation>/g, '')
+      .replace(/<text:s\b([^>]*)\/>/g, (tag, attrs) => {
+        const count = /text:c="(\d+)"/.exec(attrs);
+        return ' '.repeat(count ? parseInt(count[1]) : 1);
+      })
+      .replace(/<text:tab\b[^>]*\/>/g, '\t')
+      .replace(/<text:line-break\b[^>]*\/>/g, '\n')
+      .replace(/<text:list-item\b[^>]*>/g, '- ')
+      .replace(/<\/(text:p|text:h|table:table-row)>/g, '\n')
+      .replace(/<\/table:table-cell>/g, '\t')
+      .replace(/<[^>]*>/g, '');
+
+    return decodeEntities(text);
+  }
+}
+
+module.exports = OpenDocumentParser;
@@ -0,0 +1,30 @@
+const { PDFParse, PasswordException, InvalidPDFException } = require('pdf-parse');
+const { DocumentParseError } = require('./errors');
+
+class PdfParser {
+  constructor() {
+    this.name = 'pdf';
+    this.mimeTypes = ['application/pdf'];
+  }
+
+  async parse(buffer) {
+    const parser = new PDFParse({ data: buffer });
+    try {
+      // Pages are joined without the default "-- 1 of 3 --" markers
+      const result = await parser.getText({ pageJoiner: '' });
+      return result.text;
+    } catch (error) {
+      if (error instanceof PasswordException) {
+        throw new DocumentParseError('The PDF is password protected', { type: 'unsupported', format: this.name, cause: error });
+      }
+      if (error instanceof InvalidPDFException) {
+        throw new DocumentParseError('The PDF file is damaged and could not be read', { format: this.name, cause: error });
+      }
+      throw error;
+    } finally {
+      await parser.destroy();
+    }
+  }
+}
+
+module.exports = PdfParser;
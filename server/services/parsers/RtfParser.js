@@ -0,0 +1,135 @@
+// Destinations whose content is not document text
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'themedata',
+  'colorschememapping', 'datastore', 'latentstyles', 'listtable', 'listoverridetable',
+  'rsidtbl', 'generator', 'xmlnstbl', 'filetbl', 'revtbl', 'pgdsctbl', 'fldinst',
+  'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf'
+]);
+
+const SYMBOLS = {
+  par: '\n', line: '\n', sect: '\n', page: '\n', row: '\n',
+  tab: '\t', cell: '\t',
+  emdash: '—', endash: '–', bullet: '•', emspace: ' ', enspace: ' ',
+  lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”'
+};
+
+// Code pages that are not named windows-<number>
+const ENCODINGS = { 932: 'shift_jis', 936: 'gbk', 949: 'euc-kr', 950: 'big5', 65001: 'utf-8' };
+
+// Rich Text Format. Text is read group by group; font tables, pictures,
+// headers and other non-text destinations are skipped, and \'hh bytes are
+// decoded with the document's code page.
+class RtfParser {
+  constructor() {
+    this.name = 'rtf';
+    this.mimeTypes = ['application/rtf', 'text/rtf'];
+  }
+
+  async parse(buffer) {
+    return this.toText(buffer.toString('latin1'));
+  }
+
+  toText(rtf) {
+    const output = [];
+    const stack = [];
+    let state = { skip: false, uc: 1 };
+    let codepage = 1252;
+    let bytes = [];
+    // Fallback characters still to drop after a \u character
+    let fallback = 0;
+
+    const flushBytes = () => {
+      if (bytes.length > 0) {
+        output.push(this.decodeBytes(bytes, codepage));
+        bytes = [];
+      }
+    };
+    const emit = (text) => {
+      if (state.skip) return;
+      if (fallback > 0) {
+        fallback--;
+        return;
+      }
+      flushBytes();
+      output.push(text);
+    };
+
+    let i = 0;
+    while (i < rtf.length) {
+      const char = rtf[i];
+
+      if (char === '{') {
+        stack.push(state);
+        state = { ...state };
+        i++;
+      } else if (char === '}') {
+        flushBytes();
+        state = stack.pop() || state;
+        fallback = 0;
+        i++;
+      } else if (char === '\\') {
+        const next = rtf[i + 1];
+
+        if (next === "'") {
+          if (!state.skip) {
+            if (fallback > 0) {
+              fallback--;
+            } else {
+              bytes.push(parseInt(rtf.substring(i + 2, i + 4), 16));
+            }
+          }
+          i += 4;
+          continue;
+        }
+
+        const control = /^[a-zA-Z]+/.exec(rtf.substring(i + 1, i + 33));
+        if (!control) {
+          if (next === '*') state.skip = true;
+          else if (next === '~') emit(' ');
+          else if (next === '_') emit('-');
+          else if (next === '\n' || next === '\r') emit('\n');
+          else if (next === '\\' || next === '{' || next === '}') emit(next);
+          // \- is an optional hyphen and other symbols have no text
+          i += 2;
+          continue;
+        }
+
+        const word = control[0];
+        i += 1 + word.length;
+        const param = /^-?\d+/.exec(rtf.substring(i, i + 12));
+        const value = param ? parseInt(param[0], 10) : null;
+        if (param) i += param[0].length;
+        if (rtf[i] === ' ') i++;
+
+        if (SKIPPED_DESTINATIONS.has(word)) {
+          state.skip = true;
+        } else if (word === 'ansicpg' && value) {
+          codepage = value;
+        } else if (word === 'uc' && value !== null) {
+          state.uc = value;
+        } else if (word === 'u' && value !== null) {
+          emit(String.fromCharCode(value < 0 ? value + 65536 : value));
+          if (!state.skip) fallback = state.uc;
+        } else if (SYMBOLS[word]) {
+          emit(SYMBOLS[word]);
+        }
+      } else {
+        if (char !== '\n' && char !== '\r') emit(char);
+        i++;
+      }
+    }
+
+    flushBytes();
+    return output.join('');
+  }
+
+  decodeBytes(bytes, codepage) {
+    try {
+      return new TextDecoder(ENCODINGS[codepage] || `windows-${codepage}`).decode(Uint8Array.from(bytes));
+    } catch (error) {
+      return new TextDecoder('windows-1252').decode(Uint8Array.from(bytes));
+    }
+  }
+}
+
+module.exports = RtfParser;
@@ -0,0 +1,14 @@
+const { decodeText } = require('./textUtils');
+
+class TextParser {
+  constructor() {
+    this.name = 'txt';
+    this.mimeTypes = ['text/plain'];
+  }
+
+  async parse(buffer) {
+    return decodeText(buffer);
+  }
+}
+
+module.exports = TextParser;
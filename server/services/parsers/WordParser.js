@@ -0,0 +1,33 @@
+const WordExtractor = require('word-extractor');
+const { DocumentParseError } = require('./errors');
+
+// Word 2007+ (.docx) and legacy Word 97-2003 (.doc) files. Footnotes and
+// endnotes are kept; headers and footers repeat on every page and are not.
+class WordParser {
+  constructor() {
+    this.name = 'word';
+    this.mimeTypes = [
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/msword'
+    ];
+    this.extractor = new WordExtractor();
+  }
+
+  async parse(buffer) {
+    let document;
+    try {
+      document = await this.extractor.extract(buffer);
+    } catch (error) {
+      throw new DocumentParseError('The file could not be read as a Word document; it may be damaged', {
+        format: this.name,
+        cause: error
+      });
+    }
+
+    return [document.getBody(), document.getFootnotes(), document.getEndnotes()]
+      .filter(text => text && text.trim())
+      .join('\n\n');
+  }
+}
+
+module.exports = WordParser;
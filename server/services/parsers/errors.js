@@ -0,0 +1,26 @@
+// Upload failures the user can act on. `unsupported` files are a format the
+// knowledge base can't read, `corrupt` ones claim a supported format but
+// can't be opened, and `empty` ones open but contain no text (e.g. a
+// scanned PDF).
+
+const STATUS_BY_TYPE = {
+  unsupported: 415,
+  corrupt: 422,
+  empty: 422
+};
+
+class DocumentParseError extends Error {
+  constructor(message, { type = 'corrupt', format, cause } = {}) {
+    super(message);
+    this.name = 'DocumentParseError';
+    this.type = type;
+    this.format = format;
+    this.cause = cause;
+  }
+
+  get status() {
+    return STATUS_BY_TYPE[this.type] || 422;
+  }
+}
+
+module.exports = { DocumentParseError };
@@ -0,0 +1,37 @@
+// Helpers shared by the text-based parsers
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', bull: '•', middot: '·',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+  copy: '©', reg: '®', trade: '™', euro: '€', pound: '£', deg: '°'
+};
+
+// Files without NUL bytes near the start are treated as text
+const isBinary = (buffer) => buffer.subarray(0, 8000).includes(0) && !hasUtf16Bom(buffer);
+
+const hasUtf16Bom = (buffer) => buffer.length >= 2 &&
+  ((buffer[0] === 0xff && buffer[1] === 0xfe) || (buffer[0] === 0xfe && buffer[1] === 0xff));
+
+// UTF-8 (with or without BOM) or UTF-16 with a BOM; anything that is not
+// valid UTF-8 is read as Windows-1252, which covers legacy Western files
+const decodeText = (buffer) => {
+  if (hasUtf16Bom(buffer)) {
+    return new TextDecoder(buffer[0] === 0xff ? 'utf-16le' : 'utf-16be').decode(buffer);
+  }
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (error) {
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+};
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const point = code[1].toLowerCase() === 'x' ? parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10);
+    return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : '';
+  }
+  return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+module.exports = { isBinary, decodeText, decodeEntities };
@@ -0,0 +1,60 @@
+// Built-in prompt templates, used until an admin saves a version of their
+// own. `{{name}}` inserts a variable; `{{#name}}...{{/name}}` is only kept
+// when the variable is not empty. Templates can differ per role; `default`
+// applies to every role without its own text. The security rules and the
+// JSON response format are added by LlmService and cannot be edited here.
+
+const ANSWER_TEMPLATE = `ROLE: You are an AI assistant for new employees at a company.{{#userName}} The user's name is {{userName}}.{{/userName}}
+USER TYPE: {{roleDescription}}{{#department}}, {{department}} department{{/department}}
+{{#history}}
+{{history}}
+{{/history}}
+CONTEXT FROM KNOWLEDGE BASE (use this information to answer):
+{{context}}
+
+USER QUESTION:
+{{question}}
+
+INSTRUCTIONS:
+1. Answer based on the context provided above when possible
+2. If the answer is not in the context, say: "{{noAnswer}}"
+3. Be helpful, concise, and professional
+4. Use bullet points for lists and short paragraphs otherwise
+5. Suggest relevant follow-up questions if appropriate
+6. Never mention that you're an AI or about the context/system
+7. If it's a greeting, respond warmly
+8. If it's a thank you, acknowledge politely`;
+
+module.exports = {
+  answer: {
+    label: 'Answer prompt',
+    description: 'Prompt used to answer chat questions',
+    variables: ['userName', 'role', 'roleDescription', 'department', 'history', 'context', 'question', 'noAnswer'],
+    // Without these the model never sees the question or the passages
+    required: ['question', 'context'],
+    defaults: {
+      default: ANSWER_TEMPLATE
+    }
+  },
+  noAnswer: {
+    label: 'No answer reply',
+    description: 'Reply when the knowledge base has nothing relevant',
+    variables: ['userName', 'role', 'department'],
+    required: [],
+    defaults: {
+      default: "I don't have specific information about that in our knowledge base. Please contact HR or your manager for assistance.",
+      hr: "I don't have specific information about that in our knowledge base. Please contact your manager for assistance."
+    }
+  },
+  roleDescription: {
+    label: 'Role description',
+    description: 'How the user is described to the model',
+    variables: ['userName', 'role', 'department'],
+    required: [],
+    defaults: {
+      default: 'New Employee (needs help with onboarding)',
+      hr: 'HR Staff Member (has access to HR-related information)',
+      admin: 'Company Administrator (has access to all information)'
+    }
+  }
+};